@@ -0,0 +1,103 @@
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import net from 'node:net';
+import tty from 'node:tty';
+
+const RETRY_INTERVAL = 2000; // ms between attempts to (re)open the device
+
+// Puts a serial device (or pseudo-terminal) into raw mode at the given rate. Node has no
+// serial API of its own, so this leans on stty, which Linux and macOS both ship.
+function configureSerial(device, baudRate) {
+  const deviceFlag = process.platform === 'darwin' ? '-f' : '-F';
+  execFileSync('stty', [deviceFlag, device, String(baudRate), 'raw', '-echo', 'clocal', 'cread'], { stdio: 'pipe' });
+}
+
+function openSerial(device, baudRate) {
+  configureSerial(device, baudRate);
+  const fd = fs.openSync(device, fs.constants.O_RDWR | fs.constants.O_NOCTTY | fs.constants.O_NONBLOCK);
+  const input = tty.isatty(fd) ? new tty.ReadStream(fd) : fs.createReadStream(null, { fd, autoClose: false });
+  return {
+    input,
+    write: (bytes) => fs.writeSync(fd, bytes),
+    close: () => {
+      input.destroy();
+      try {
+        fs.closeSync(fd);
+      } catch {
+        // tty.ReadStream may already have closed it
+      }
+    },
+  };
+}
+
+function openTcp(host, port) {
+  const socket = net.connect({ host, port });
+  return {
+    input: socket,
+    write: (bytes) => socket.write(bytes),
+    close: () => socket.destroy(),
+  };
+}
+
+// Keeps a byte link to the device open, reopening it whenever it drops.
+// target is { device, baudRate } for a serial port or pty, or { host, port } for a TCP stand-in.
+// onData(Buffer) receives everything read; onStatus({ open, message }) follows the link state.
+export function createDeviceLink(target, { onData, onStatus }) {
+  const description = target.device ? `${target.device} @ ${target.baudRate} baud` : `tcp://${target.host}:${target.port}`;
+  let link = null;
+  let retryTimer = null;
+  let stopped = false;
+
+  const scheduleRetry = (message) => {
+    link = null;
+    onStatus({ open: false, message: `${description}: ${message}, retrying…` });
+    if (!stopped && retryTimer === null) {
+      retryTimer = setTimeout(() => {
+        retryTimer = null;
+        open();
+      }, RETRY_INTERVAL);
+    }
+  };
+
+  const open = () => {
+    let opened;
+    try {
+      opened = target.device ? openSerial(target.device, target.baudRate) : openTcp(target.host, target.port);
+    } catch (error) {
+      scheduleRetry(error.message.split('\n')[0]);
+      return;
+    }
+
+    let lost = false;
+    const handleLoss = (message) => {
+      if (lost) return;
+      lost = true;
+      opened.close();
+      if (!stopped) scheduleRetry(message);
+    };
+
+    link = opened;
+    opened.input.on('data', onData);
+    opened.input.on('error', (error) => handleLoss(error.message));
+    opened.input.on('close', () => handleLoss('closed'));
+    if (target.device) {
+      onStatus({ open: true, message: description });
+    } else {
+      opened.input.on('connect', () => onStatus({ open: true, message: description }));
+    }
+  };
+
+  const write = (text) => {
+    if (!link) throw new Error(`${description} is not open`);
+    link.write(Buffer.from(text));
+  };
+
+  const close = () => {
+    stopped = true;
+    clearTimeout(retryTimer);
+    link?.close();
+  };
+
+  open();
+  return { description, write, close, isOpen: () => link !== null };
+}
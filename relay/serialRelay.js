@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+// Serial-to-WebSocket relay: reads telemetry from a device on this machine and serves it to
+// any number of dashboards on the network (pick "Serial Relay" as the data source there).
+//
+//   node relay/serialRelay.js --device /dev/ttyUSB0 --baud 115200
+//   node relay/serialRelay.js --tcp 127.0.0.1:5555          # TCP stand-in, e.g. socat or a test feed
+//
+// Frames are decoded here with the dashboard's own decoders and sent as JSON messages:
+//   { type: 'status', open, message }     device link state, also sent to each new client
+//   { type: 'samples', samples: [...] }   decoded telemetry, batched every BATCH_INTERVAL
+//   { type: 'raw', data }                 received bytes, base64, for the device console
+//   { type: 'stats', stats }              decoder counters and client count, every STATS_INTERVAL
+// Clients send { type: 'command', text } to write text to the device.
+// When the dashboard has been built (npm run build) it is served on the same port too.
+
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { createFrameDecoder, SERIAL_PROTOCOLS } from '../src/protocol/index.js';
+import { createDeviceLink } from './deviceLink.js';
+import { attachWebSocketServer } from './webSocketServer.js';
+
+const BATCH_INTERVAL = 20; // ms
+const STATS_INTERVAL = 1000; // ms
+const DIST_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../dist');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript',
+  '.css': 'text/css',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.json': 'application/json',
+  '.glb': 'model/gltf-binary',
+};
+
+const USAGE = `Usage: node relay/serialRelay.js (--device <path> [--baud <rate>] | --tcp <host:port>)
+       [--protocol ${SERIAL_PROTOCOLS.map((protocol) => protocol.value).join('|')}] [--port 8765] [--host 0.0.0.0]`;
+
+function parseOptions() {
+  const { values } = parseArgs({
+    options: {
+      device: { type: 'string' },
+      baud: { type: 'string', default: '115200' },
+      tcp: { type: 'string' },
+      protocol: { type: 'string', default: 'json' },
+      port: { type: 'string', default: '8765' },
+      host: { type: 'string', default: '0.0.0.0' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  if (values.help || !!values.device === !!values.tcp) {
+    console.log(USAGE);
+    process.exit(values.help ? 0 : 1);
+  }
+  if (!SERIAL_PROTOCOLS.some((protocol) => protocol.value === values.protocol)) {
+    throw new Error(`Unknown protocol "${values.protocol}"`);
+  }
+
+  let target;
+  if (values.device) {
+    target = { device: values.device, baudRate: Number(values.baud) };
+  } else {
+    const [host, port] = values.tcp.split(':');
+    target = { host, port: Number(port) };
+  }
+  return { target, protocol: values.protocol, port: Number(values.port), host: values.host };
+}
+
+// Serves the built dashboard, if there is one
+function serveStatic(request, response) {
+  const urlPath = decodeURIComponent(new URL(request.url, 'http://relay').pathname);
+  const filePath = path.resolve(DIST_DIR, `.${urlPath === '/' ? '/index.html' : urlPath}`);
+  if (!filePath.startsWith(DIST_DIR + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    response.writeHead(404, { 'Content-Type': 'text/plain' });
+    response.end(fs.existsSync(DIST_DIR) ? 'Not found' : 'Serial relay running. Run "npm run build" to serve the dashboard here too.');
+    return;
+  }
+  response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] ?? 'application/octet-stream' });
+  fs.createReadStream(filePath).pipe(response);
+}
+
+function main() {
+  const options = parseOptions();
+  const decoder = createFrameDecoder(options.protocol);
+  const clients = new Set();
+  let deviceStatus = { open: false, message: 'starting' };
+  let pendingSamples = [];
+  let pendingRaw = [];
+
+  const broadcast = (message) => {
+    const text = JSON.stringify(message);
+    clients.forEach((client) => client.send(text));
+  };
+
+  const link = createDeviceLink(options.target, {
+    onData: (bytes) => {
+      pendingRaw.push(bytes);
+      pendingSamples.push(...decoder.push(bytes));
+    },
+    onStatus: (status) => {
+      deviceStatus = status;
+      console.log(status.open ? `Device open: ${status.message}` : status.message);
+      broadcast({ type: 'status', ...status });
+    },
+  });
+
+  setInterval(() => {
+    if (clients.size > 0 && pendingSamples.length > 0) {
+      broadcast({ type: 'samples', samples: pendingSamples });
+    }
+    if (clients.size > 0 && pendingRaw.length > 0) {
+      broadcast({ type: 'raw', data: Buffer.concat(pendingRaw).toString('base64') });
+    }
+    pendingSamples = [];
+    pendingRaw = [];
+  }, BATCH_INTERVAL);
+
+  setInterval(() => {
+    broadcast({ type: 'stats', stats: { ...decoder.getStats(), clients: clients.size } });
+  }, STATS_INTERVAL);
+
+  const server = http.createServer(serveStatic);
+  attachWebSocketServer(server, (client) => {
+    clients.add(client);
+    console.log(`Client connected from ${client.address} (${clients.size} total)`);
+    client.send(JSON.stringify({ type: 'status', ...deviceStatus }));
+
+    client.onMessage((text) => {
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch {
+        message = null;
+      }
+      if (message?.type !== 'command' || typeof message.text !== 'string') {
+        client.send(JSON.stringify({ type: 'error', message: 'Expected { type: "command", text }' }));
+        return;
+      }
+      try {
+        link.write(message.text);
+      } catch (error) {
+        client.send(JSON.stringify({ type: 'error', message: error.message }));
+      }
+    });
+    client.onClose(() => {
+      clients.delete(client);
+      console.log(`Client ${client.address} left (${clients.size} total)`);
+    });
+  });
+
+  server.listen(options.port, options.host, () => {
+    console.log(`Relaying ${link.description} (${options.protocol}) on ws://${options.host}:${options.port}`);
+  });
+
+  process.on('SIGINT', () => {
+    link.close();
+    process.exit(0);
+  });
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
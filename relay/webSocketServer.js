@@ -0,0 +1,156 @@
+import { createHash } from 'node:crypto';
+
+// Just enough of RFC 6455 for the relay: text messages, ping/pong and close.
+// Browsers always mask and rarely fragment what they send; both are handled.
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = { CONTINUATION: 0x0, TEXT: 0x1, BINARY: 0x2, CLOSE: 0x8, PING: 0x9, PONG: 0xa };
+export const MAX_MESSAGE_LENGTH = 64 * 1024; // commands are short; anything bigger is a misbehaving client
+const MAX_BUFFERED = 4 * 1024 * 1024; // bytes queued for a client before it counts as too slow
+
+export function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Splits complete frames off the front of `buffer`; returns { frames, rest }, { tooBig: true } for a frame
+// over MAX_MESSAGE_LENGTH, or null on a protocol error
+export function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 2) {
+    const fin = (buffer[offset] & 0x80) !== 0;
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let headerLength = 2;
+
+    if (length === 126) {
+      if (buffer.length - offset < 4) break;
+      length = buffer.readUInt16BE(offset + 2);
+      headerLength = 4;
+    } else if (length === 127) {
+      if (buffer.length - offset < 10) break;
+      const longLength = buffer.readBigUInt64BE(offset + 2);
+      if (longLength > BigInt(MAX_MESSAGE_LENGTH)) return { tooBig: true };
+      length = Number(longLength);
+      headerLength = 10;
+    }
+    if (!masked) return null;
+    if (length > MAX_MESSAGE_LENGTH) return { tooBig: true };
+
+    const frameLength = headerLength + 4 + length;
+    if (buffer.length - offset < frameLength) break;
+
+    const mask = buffer.subarray(offset + headerLength, offset + headerLength + 4);
+    const payload = Buffer.from(buffer.subarray(offset + headerLength + 4, offset + frameLength));
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+    frames.push({ fin, opcode, payload });
+    offset += frameLength;
+  }
+
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+// Attaches to an http.Server. onConnection(client) runs for every new client, where
+// client = { send(text), close(), onMessage(handler), onClose(handler), address }.
+export function attachWebSocketServer(server, onConnection) {
+  server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write(
+      'HTTP/1.1 101 Switching Protocols\r\n' +
+      'Upgrade: websocket\r\n' +
+      'Connection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+    socket.setNoDelay(true);
+
+    const messageHandlers = new Set();
+    const closeHandlers = new Set();
+    let buffer = Buffer.alloc(0);
+    let fragments = [];
+    let closed = false;
+
+    const close = (code = 1000) => {
+      if (closed) return;
+      closed = true;
+      const payload = Buffer.alloc(2);
+      payload.writeUInt16BE(code, 0);
+      socket.end(encodeFrame(OPCODES.CLOSE, payload));
+    };
+
+    const client = {
+      address: request.socket.remoteAddress,
+      send: (text) => {
+        if (closed) return;
+        // A client that cannot keep up is dropped rather than buffering without bound
+        if (socket.writableLength > MAX_BUFFERED) {
+          close(1008);
+          return;
+        }
+        socket.write(encodeFrame(OPCODES.TEXT, Buffer.from(text)));
+      },
+      close,
+      onMessage: (handler) => messageHandlers.add(handler),
+      onClose: (handler) => closeHandlers.add(handler),
+    };
+
+    socket.on('data', (chunk) => {
+      const decoded = decodeFrames(Buffer.concat([buffer, chunk]));
+      if (!decoded || decoded.tooBig) {
+        close(decoded ? 1009 : 1002);
+        return;
+      }
+      buffer = decoded.rest;
+
+      decoded.frames.forEach(({ fin, opcode, payload }) => {
+        if (opcode === OPCODES.PING) {
+          socket.write(encodeFrame(OPCODES.PONG, payload));
+        } else if (opcode === OPCODES.CLOSE) {
+          close();
+        } else if (opcode === OPCODES.TEXT || opcode === OPCODES.BINARY || opcode === OPCODES.CONTINUATION) {
+          fragments.push(payload);
+          if (fragments.reduce((total, part) => total + part.length, 0) > MAX_MESSAGE_LENGTH) {
+            fragments = [];
+            close(1009);
+            return;
+          }
+          if (!fin) return;
+          const message = Buffer.concat(fragments).toString('utf8');
+          fragments = [];
+          messageHandlers.forEach((handler) => handler(message));
+        }
+      });
+    });
+    socket.on('close', () => {
+      closed = true;
+      closeHandlers.forEach((handler) => handler());
+    });
+    socket.on('error', () => socket.destroy());
+
+    onConnection(client);
+  });
+}
@@ -1,452 +1,434 @@
-import React, { useEffect, useState, useRef } from 'react';
-import { Canvas } from '@react-three/fiber';
-import { OrbitControls } from '@react-three/drei';
-import * as THREE from 'three';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import AlarmBanner from './components/AlarmBanner';
+import AlarmPanel from './components/AlarmPanel';
+import CalibrationPanel from './components/CalibrationPanel';
+import ChartsPanel from './components/ChartsPanel';
+import DeviceGrid from './components/DeviceGrid';
+import DeviceSourcesPanel from './components/DeviceSourcesPanel';
+import DiagnosticsPanel from './components/DiagnosticsPanel';
+import FlightPanel from './components/FlightPanel';
+import FramePanel from './components/FramePanel';
+import FusionPanel from './components/FusionPanel';
+import HttpManager from './components/HttpManager';
+import HudOverlay from './components/HudOverlay';
+import InstrumentsPanel from './components/InstrumentsPanel';
+import MagCalibrationWizard from './components/MagCalibrationWizard';
+import ModelPanel from './components/ModelPanel';
+import OrientationReadout from './components/OrientationReadout';
+import ProfilesPanel from './components/ProfilesPanel';
+import RawSensorPanel from './components/RawSensorPanel';
+import RecordingPanel from './components/RecordingPanel';
+import ReferencePanel from './components/ReferencePanel';
+import RelayManager from './components/RelayManager';
+import ReplayManager from './components/ReplayManager';
+import Scene from './components/Scene';
+import SerialConsole from './components/SerialConsole';
+import SerialPortManager from './components/SerialPortManager';
+import SimulatorManager from './components/SimulatorManager';
+import WebSocketManager from './components/WebSocketManager';
+import {
+  createHttpSource,
+  createSimulatorSource,
+  SOURCE_STATE,
+  SOURCE_TYPES,
+  STATUS_DISPLAY
+} from './sources';
+import {
+  extractFlightData,
+  extractRawImu,
+  isEulerData,
+  isFlightData,
+  isQuaternionData,
+  isRawImuData
+} from './sources/telemetry';
+import { createSessionRecorder } from './recording/sessionRecorder';
+import { createOrientationHistory } from './charts/orientationHistory';
+import { createFlightHistory } from './charts/flightHistory';
+import { createErrorHistory } from './charts/errorHistory';
+import { createFlightTrack } from './flight/flightTrack';
+import { createAlarmEngine } from './alarms/alarmEngine';
+import { playAlarmTone } from './alarms/alarmSound';
+import { createLinkDiagnostics } from './diagnostics/linkDiagnostics';
+import { createFusionFilter } from './orientation/fusion';
+import { eulerToQuaternion, quaternionToEuler } from './orientation/euler';
+import { useContinuousEuler } from './orientation/useContinuousEuler';
+import { createTurnRateEstimator } from './orientation/turnRate';
+import { vehicleAttitude } from './orientation/attitude';
+import { orientationError } from './orientation/orientationError';
+import { correctQuaternion, removeMount } from './orientation/correction';
+import { IDENTITY_QUATERNION, normalizeQuaternion } from './orientation/quaternion';
+import { DEFAULT_FRAME, isValidFrame } from './orientation/threeFrame';
+import { ROTATION_MODES } from './settings/profiles';
+import { useProfiles } from './settings/useProfiles';
+import { createFrameBatcher } from './utils/frameBatcher';
+import { timestamp } from './utils/clock';
+import { smallButtonStyle } from './styles';
+import { useVehicleModel } from './models/useVehicleModel';
+import { deviceQuaternion, getDeviceId, updateDevices, withDeviceId } from './devices/deviceState';
+
+const MAX_ALARM_LOG = 200;
+const ALARM_TICK_INTERVAL = 100; // ms, how promptly "no data" style rules fire
 
-function correctQuaternionForThreeJS(q) {
-  return new THREE.Quaternion(-q.y, q.z, -q.x, q.w);
-}
-
-function RotatingCube({ euler, quaternion, rotationMode }) {
-  const meshRef = useRef();
-
-     useEffect(() => {
-     if (rotationMode === 'quaternion' && quaternion && meshRef.current) {
-       const corrected = correctQuaternionForThreeJS(quaternion);
-       meshRef.current.quaternion.copy(corrected);
-     } else if (rotationMode === 'euler' && euler && meshRef.current) {
-       meshRef.current.rotation.set(
-         -(euler.pitch * Math.PI) / 180, // X-axis (pitch)
-         (euler.yaw * Math.PI) / 180,   // Y-axis (yaw)
-         -(euler.roll * Math.PI) / 180   // Z-axis (roll)
-       );
-     }
-   }, [quaternion, euler, rotationMode]);
-
-  return (
-    <mesh ref={meshRef}>
-      <boxGeometry args={[2, 2, 2]} />
-      <meshStandardMaterial 
-        color="#00d4ff" 
-        metalness={0.3} 
-        roughness={0.1}
-        emissive="#001122"
-        emissiveIntensity={0.2}
-      />
-    </mesh>
-  );
-}
-
-// 3D Scene Component
-function Scene({ euler, quaternion, rotationMode }) {
-  return (
-    <div style={{ 
-      width: '100%', 
-      height: '500px', 
-      borderRadius: '16px',
-      overflow: 'hidden',
-      boxShadow: '0 8px 32px rgba(0, 212, 255, 0.3)',
-      border: '1px solid rgba(0, 212, 255, 0.2)'
-    }}>
-      <Canvas camera={{ position: [0, 0, 5] }}>
-        <ambientLight intensity={1.2} />
-        <directionalLight position={[5, 5, 5]} intensity={2} color="#ffffff" />
-        <directionalLight position={[-5, -5, -5]} intensity={1} color="#ff6b6b" />
-        <pointLight position={[0, 10, 0]} intensity={1.5} color="#00d4ff" />
-        <pointLight position={[0, -10, 0]} intensity={0.8} color="#ffffff" />
-        <RotatingCube euler={euler} quaternion={quaternion} rotationMode={rotationMode} />
-        <OrbitControls enableZoom={true} enablePan={true} enableRotate={true} />
-      </Canvas>
-    </div>
-  );
-}
-
-// Serial Port Manager Component
-function SerialPortManager({ onDataReceived, isConnected, onConnectionChange }) {
-  const [port, setPort] = useState(null);
-  const [reader, setReader] = useState(null);
-  const [availablePorts, setAvailablePorts] = useState([]);
-  const [selectedPort, setSelectedPort] = useState(null);
-  const [dataBuffer, setDataBuffer] = useState('');
-
-  const connectToPort = async () => {
-    try {
-      if (!selectedPort) {
-        alert('Please select a port first');
-        return;
+function App() {
+  // Settings live in the active profile and are saved as they change (see settings/profiles.js)
+  const { settings, setters, ...profiles } = useProfiles();
+  const {
+    dataSource, // see SOURCE_TYPES
+    rotationMode, // see ROTATION_MODES, display only
+    unwrapYaw,
+    httpConfig,
+    simulatorConfig,
+    visibleArrows,
+    fusionSettings,
+    mountOffset,
+    frame,
+    showAxes,
+    alarmRules,
+    showHud,
+    reference,
+    hiddenPanels
+  } = settings;
+  const {
+    dataSource: setDataSource,
+    rotationMode: setRotationMode,
+    unwrapYaw: setUnwrapYaw,
+    httpConfig: setHttpConfig,
+    simulatorConfig: setSimulatorConfig,
+    visibleArrows: setVisibleArrows,
+    fusionSettings: setFusionSettings,
+    mountOffset: setMountOffset,
+    frame: setFrame,
+    showAxes: setShowAxes,
+    alarmRules: setAlarmRules,
+    showHud: setShowHud,
+    reference: setReference
+  } = setters;
+  const isPanelShown = (panel) => !hiddenPanels.includes(panel);
+
+  // Every sample is reduced to one quaternion; the Euler, matrix and axis-angle views are derived from it
+  const [sensorOrientation, setSensorOrientation] = useState(IDENTITY_QUATERNION);
+  const [rawImu, setRawImu] = useState({});
+  const [flight, setFlight] = useState({});
+  const [sceneView, setSceneView] = useState('attitude'); // or 'trajectory' once GPS arrives
+  const [fusedQuaternion, setFusedQuaternion] = useState(null);
+  // Latest orientations and the receive times of their samples, also written outside React so the
+  // cube can read them every frame
+  const liveOrientation = useRef({ sensor: IDENTITY_QUATERNION, fused: null, sensorAt: null, fusedAt: null });
+  const [tare, setTare] = useState(IDENTITY_QUATERNION);
+  const [activeFrame, setActiveFrame] = useState(() => (isValidFrame(frame) ? frame : DEFAULT_FRAME));
+  const vehicleModel = useVehicleModel();
+  const [source, setSource] = useState(null);
+  const [sourceStatus, setSourceStatus] = useState({ state: SOURCE_STATE.DISCONNECTED, message: '' });
+  const [recorder] = useState(createSessionRecorder);
+  const [history] = useState(createOrientationHistory);
+  const [flightHistory] = useState(createFlightHistory);
+  const [errorHistory] = useState(createErrorHistory);
+  const [turnRate] = useState(createTurnRateEstimator);
+  const [flightTrack] = useState(createFlightTrack);
+  const [fusion] = useState(createFusionFilter);
+  const [diagnostics] = useState(createLinkDiagnostics);
+  const [deviceSources, setDeviceSources] = useState([]); // [{ id, source }] on top of the main source
+  const [devices, setDevices] = useState({});
+  const [focusedDevice, setFocusedDevice] = useState(null);
+  const [alarms] = useState(createAlarmEngine);
+  const [activeAlarms, setActiveAlarms] = useState([]);
+  const [alarmLog, setAlarmLog] = useState([]);
+
+  const eulerOrder = activeFrame.eulerOrder;
+
+  const handleAlarmEvents = useCallback((events) => {
+    if (events.length === 0) return;
+    setActiveAlarms(alarms.getActive());
+    setAlarmLog(prev => [...events.reverse(), ...prev].slice(0, MAX_ALARM_LOG));
+    events.forEach((event) => {
+      if (event.type === 'triggered' && event.rule.sound) {
+        playAlarmTone(event.rule.severity);
       }
-
-      if (selectedPort.readable) {
-        alert('Port is already in use. Please disconnect first or try a different port.');
-        return;
+    });
+  }, [alarms]);
+
+  // Telemetry sample handling (shared by every source). Samples come in batches of { data, t },
+  // at most one per animation frame, and React state is only set once per batch.
+  const handleSamples = useCallback((batch) => {
+    const received = [];
+    const events = [];
+    let orientation = null;
+    let orientationAt = null;
+    let raw = null;
+    let fused = null;
+    let fusedAt = null;
+    let flightValues = null;
+
+    batch.forEach(({ data, t }) => {
+      const deviceId = getDeviceId(data);
+      recorder.add(data, t);
+      received.push({ deviceId, data, t });
+
+      // Only one IMU drives the main view, charts and fusion; until one is picked, the first to report
+      if (focusedDevice !== null && deviceId !== focusedDevice) return;
+
+      let sampleOrientation = null;
+      if (isQuaternionData(data)) {
+        sampleOrientation = normalizeQuaternion(data);
+      } else if (isEulerData(data)) {
+        sampleOrientation = eulerToQuaternion(data, eulerOrder);
       }
-
-      const baudRates = [115200, 9600, 57600, 38400, 19200];
-      let connected = false;
-
-      for (const baudRate of baudRates) {
-        try {
-          console.log(`Trying to connect with baud rate: ${baudRate}`);
-          await selectedPort.open({ baudRate });
-          connected = true;
-          console.log(`Successfully connected with baud rate: ${baudRate}`);
-          break;
-        } catch (error) {
-          console.log(`Failed with baud rate ${baudRate}:`, error.message);
-          if (baudRate === baudRates[baudRates.length - 1]) {
-            throw error;
-          }
-        }
+      if (sampleOrientation) {
+        orientation = sampleOrientation;
+        orientationAt = t;
+        history.push(t, { ...quaternionToEuler(sampleOrientation, eulerOrder), ...sampleOrientation });
       }
 
-      if (!connected) {
-        throw new Error('Failed to connect with any baud rate');
+      if (isRawImuData(data)) {
+        const values = extractRawImu(data);
+        raw = { ...raw, ...values };
+        const estimate = fusion.update(values, t);
+        if (estimate) {
+          fused = estimate;
+          fusedAt = t;
+        }
       }
 
-      const textDecoder = new TextDecoderStream();
-      const readableStreamClosed = selectedPort.readable.pipeTo(textDecoder.writable);
-      const reader = textDecoder.readable.getReader();
-      
-      setReader(reader);
-      setPort(selectedPort);
-      onConnectionChange(true);
-
-      const readLoop = async () => {
-        try {
-          while (true) {
-            const { value, done } = await reader.read();
-            if (done) {
-              console.log('Serial port reader closed');
-              break;
-            }
-            
-            // Accumulate data in buffer and parse complete JSON
-            setDataBuffer(prevBuffer => {
-              const newBuffer = prevBuffer + value;
-              
-              // Prevent buffer from growing too large (safety measure)
-              if (newBuffer.length > 10000) {
-                console.warn('Buffer too large, truncating to last 1000 characters');
-                const truncatedBuffer = newBuffer.substring(newBuffer.length - 1000);
-                console.log('Truncated buffer:', truncatedBuffer);
-                return truncatedBuffer;
-              }
-              
-              // Only log buffer if it's not empty
-              if (newBuffer.length > 0) {
-                console.log('Current buffer:', newBuffer);
-              }
-              
-              // Process all complete JSON objects in the buffer
-              let processedIndex = 0;
-              let braceCount = 0;
-              let jsonStart = -1;
-              let processedCount = 0;
-              
-              for (let i = 0; i < newBuffer.length; i++) {
-                if (newBuffer[i] === '{') {
-                  if (braceCount === 0) {
-                    jsonStart = i;
-                  }
-                  braceCount++;
-                } else if (newBuffer[i] === '}') {
-                  braceCount--;
-                  if (braceCount === 0 && jsonStart !== -1) {
-                    // Extract complete JSON
-                    const jsonString = newBuffer.substring(jsonStart, i + 1);
-                    console.log('Complete JSON found:', jsonString);
-                    
-                    try {
-                      const data = JSON.parse(jsonString);
-                      console.log('Parsed JSON data:', data);
-                      if (data.roll !== undefined && data.pitch !== undefined && data.yaw !== undefined) {
-                        onDataReceived(data);
-                        processedCount++;
-                        console.log('Valid euler data received:', data);
-                      } else if (data.w !== undefined && data.x !== undefined && data.y !== undefined && data.z !== undefined) {
-                        onDataReceived(data);
-                        processedCount++;
-                        console.log('Valid quaternion data received:', data);
-                      } else {
-                        console.log('JSON received but missing euler angles or quaternion components:', data);
-                      }
-                    } catch (e) {
-                      console.log('Failed to parse JSON:', jsonString);
-                      console.log('Parse error:', e.message);
-                    }
-                    
-                    // Update processed index to after this JSON object
-                    processedIndex = i + 1;
-                    jsonStart = -1;
-                  }
-                }
-              }
-              
-              // Return remaining buffer (incomplete JSON)
-              const remainingBuffer = newBuffer.substring(processedIndex);
-              if (processedCount > 0) {
-                console.log(`Processed ${processedCount} JSON objects, remaining buffer:`, remainingBuffer);
-              } else {
-                console.log('Remaining buffer:', remainingBuffer);
-              }
-              return remainingBuffer;
-            });
-          }
-        } catch (error) {
-          console.error('Error reading from serial port:', error);
-          onConnectionChange(false);
+      if (isFlightData(data)) {
+        const values = extractFlightData(data);
+        flightValues = { ...flightValues, ...values };
+        flightHistory.push(t, values);
+        if (values.gps) {
+          flightTrack.push(values.gps);
         }
-      };
-
-      readLoop();
-    } catch (error) {
-      console.error('Error connecting to serial port:', error);
-      
-      let errorMessage = 'Failed to connect to serial port: ' + error.message;
-      
-      if (error.message.includes('Failed to open serial port')) {
-        errorMessage = 'Serial port is in use by another application. Please:\n' +
-                      '1. Close any other applications using this port (Arduino IDE, Serial Monitor, etc.)\n' +
-                      '2. Try disconnecting and reconnecting your device\n' +
-                      '3. Try a different USB port\n' +
-                      '4. Check if your device drivers are properly installed';
-      } else if (error.message.includes('Access denied')) {
-        errorMessage = 'Access denied to serial port. Please:\n' +
-                      '1. Make sure no other application is using this port\n' +
-                      '2. Try running the browser with administrator privileges\n' +
-                      '3. Check your device permissions';
       }
-      
-      alert(errorMessage);
-    }
-  };
 
-  const disconnectFromPort = async () => {
-    try {
-      if (reader) {
-        await reader.cancel();
-        setReader(null);
-      }
-      if (port) {
-        await port.close();
-        setPort(null);
-      }
-      setDataBuffer('');
-      onConnectionChange(false);
-    } catch (error) {
-      console.error('Error disconnecting from serial port:', error);
+      events.push(...alarms.update(t, data, sampleOrientation));
+    });
+
+    setDevices(prev => received.reduce((devices, { deviceId, data, t }) => updateDevices(devices, deviceId, data, t), prev));
+    if (orientation) {
+      liveOrientation.current.sensor = orientation;
+      liveOrientation.current.sensorAt = orientationAt;
+      setSensorOrientation(orientation);
     }
-  };
+    if (raw) {
+      setRawImu(prev => ({ ...prev, ...raw }));
+    }
+    if (fused) {
+      liveOrientation.current.fused = fused;
+      liveOrientation.current.fusedAt = fusedAt;
+      setFusedQuaternion(fused);
+    }
+    if (flightValues) {
+      setFlight(prev => ({ ...prev, ...flightValues }));
+    }
+    handleAlarmEvents(events);
+  }, [recorder, history, flightHistory, flightTrack, fusion, alarms, handleAlarmEvents, focusedDevice, eulerOrder]);
 
-  const refreshPorts = async () => {
-    try {
-      const ports = await navigator.serial.getPorts();
-      setAvailablePorts(ports);
-    } catch (error) {
-      console.error('Error getting available ports:', error);
+  useEffect(() => {
+    fusion.setSettings(fusionSettings);
+    if (!fusionSettings.enabled) {
+      liveOrientation.current.fused = null;
+      setFusedQuaternion(null);
     }
+  }, [fusion, fusionSettings]);
+
+  const resetFusion = () => {
+    fusion.reset();
+    liveOrientation.current.fused = null;
+    setFusedQuaternion(null);
   };
 
-  const requestPort = async () => {
-    try {
-      const newPort = await navigator.serial.requestPort();
-      setAvailablePorts(prev => [...prev, newPort]);
-      setSelectedPort(newPort);
-    } catch (error) {
-      console.error('Error requesting port:', error);
+  // HTTP and the simulator start as soon as they are selected; other sources are created by their managers.
+  // Only the active source's config is a dependency, so editing the other one leaves it running.
+  const autoSourceConfig = dataSource === 'http' ? httpConfig : dataSource === 'simulator' ? simulatorConfig : null;
+  useEffect(() => {
+    if (dataSource === 'http') {
+      const httpSource = createHttpSource(autoSourceConfig);
+      setSource(httpSource);
+      httpSource.connect();
+    } else if (dataSource === 'simulator') {
+      const simulatorSource = createSimulatorSource(autoSourceConfig);
+      setSource(simulatorSource);
+      simulatorSource.connect();
+    } else {
+      setSource(null);
     }
-  };
+  }, [dataSource, autoSourceConfig]);
 
   useEffect(() => {
-    refreshPorts();
-  }, []);
+    if (!source) {
+      setSourceStatus({ state: SOURCE_STATE.DISCONNECTED, message: '' });
+      return;
+    }
 
-  return (
-    <div style={{ 
-      background: 'linear-gradient(135deg, rgba(30, 30, 40, 0.8) 0%, rgba(20, 20, 30, 0.9) 100%)',
-      border: '1px solid rgba(0, 212, 255, 0.2)',
-      padding: '24px', 
-      borderRadius: '16px', 
-      marginBottom: '24px',
-      backdropFilter: 'blur(10px)',
-      boxShadow: '0 8px 32px rgba(0, 0, 0, 0.3)'
-    }}>
-      <h3 style={{ 
-        margin: '0 0 20px 0', 
-        color: '#00d4ff', 
-        fontSize: '20px',
-        fontWeight: '600',
-        textShadow: '0 0 10px rgba(0, 212, 255, 0.5)'
-      }}>
-        Serial Port Connection
-      </h3>
-      
-      <div style={{ marginBottom: '16px' }}>
-        <label style={{ 
-          marginRight: '12px', 
-          color: '#e0e0e0',
-          fontWeight: '500'
-        }}>Select Port:</label>
-        <select 
-          value={selectedPort ? availablePorts.indexOf(selectedPort) : ''} 
-          onChange={(e) => setSelectedPort(availablePorts[e.target.value])}
-          style={{ 
-            marginRight: '12px', 
-            padding: '8px 12px',
-            backgroundColor: 'rgba(20, 20, 30, 0.8)',
-            border: '1px solid rgba(0, 212, 255, 0.3)',
-            borderRadius: '8px',
-            color: '#e0e0e0',
-            fontSize: '14px'
-          }}
-        >
-          <option value="">Choose a port...</option>
-          {availablePorts.map((port, index) => (
-            <option key={index} value={index}>
-              {port.getInfo().usbProductId ? 
-                `USB Port (${port.getInfo().usbProductId})` : 
-                `Port ${index + 1}`
-              }
-            </option>
-          ))}
-        </select>
-        <button onClick={requestPort} style={{ 
-          marginRight: '12px', 
-          padding: '8px 16px',
-          backgroundColor: 'rgba(0, 212, 255, 0.2)',
-          border: '1px solid rgba(0, 212, 255, 0.4)',
-          borderRadius: '8px',
-          color: '#00d4ff',
-          cursor: 'pointer',
-          fontSize: '14px',
-          transition: 'all 0.3s ease'
-        }}>
-          Request New Port
-        </button>
-        <button onClick={refreshPorts} style={{ 
-          padding: '8px 16px',
-          backgroundColor: 'rgba(255, 107, 107, 0.2)',
-          border: '1px solid rgba(255, 107, 107, 0.4)',
-          borderRadius: '8px',
-          color: '#ff6b6b',
-          cursor: 'pointer',
-          fontSize: '14px',
-          transition: 'all 0.3s ease'
-        }}>
-          Refresh
-        </button>
-      </div>
+    const offStatus = source.on('status', setSourceStatus);
+    setSourceStatus(source.getStatus());
 
-      <div>
-        {!isConnected ? (
-          <button 
-            onClick={connectToPort} 
-            disabled={!selectedPort}
-            style={{ 
-              background: selectedPort ? 'linear-gradient(135deg, #00d4ff 0%, #0099cc 100%)' : 'rgba(60, 60, 60, 0.5)',
-              color: 'white', 
-              padding: '12px 24px', 
-              border: 'none', 
-              borderRadius: '8px',
-              cursor: selectedPort ? 'pointer' : 'not-allowed',
-              opacity: selectedPort ? 1 : 0.6,
-              fontSize: '16px',
-              fontWeight: '600',
-              transition: 'all 0.3s ease',
-              boxShadow: selectedPort ? '0 4px 15px rgba(0, 212, 255, 0.4)' : 'none'
-            }}
-          >
-            Connect
-          </button>
-        ) : (
-          <button 
-            onClick={disconnectFromPort}
-            style={{ 
-              background: 'linear-gradient(135deg, #ff6b6b 0%, #ee5a52 100%)',
-              color: 'white', 
-              padding: '12px 24px', 
-              border: 'none', 
-              borderRadius: '8px',
-              cursor: 'pointer',
-              fontSize: '16px',
-              fontWeight: '600',
-              transition: 'all 0.3s ease',
-              boxShadow: '0 4px 15px rgba(255, 107, 107, 0.4)'
-            }}
-          >
-            Disconnect
-          </button>
-        )}
-        
-        <span style={{ 
-          marginLeft: '16px', 
-          color: isConnected ? '#00d4ff' : '#ff6b6b',
-          fontSize: '16px',
-          fontWeight: '500',
-          textShadow: isConnected ? '0 0 10px rgba(0, 212, 255, 0.5)' : '0 0 10px rgba(255, 107, 107, 0.5)'
-        }}>
-          {isConnected ? '● Connected' : '○ Disconnected'}
-        </span>
-      </div>
-    </div>
-  );
-}
+    // A replaced source is shut down so only one is ever streaming
+    return () => {
+      offStatus();
+      source.disconnect();
+    };
+  }, [source]);
 
-function App() {
-  const [euler, setEuler] = useState({ roll: 0, pitch: 0, yaw: 0 });
-  const [quaternion, setQuaternion] = useState({ w: 1, x: 0, y: 0, z: 0 });
-  const [dataSource, setDataSource] = useState('http'); // 'http' or 'serial'
-  const [rotationMode, setRotationMode] = useState('euler'); // 'euler' or 'quaternion'
-  const [isSerialConnected, setIsSerialConnected] = useState(false);
-  const httpIntervalRef = useRef(null);
-
-  // HTTP Data Fetching
-  const startHttpFetching = () => {
-    if (httpIntervalRef.current) {
-      clearInterval(httpIntervalRef.current);
+  // Every source feeds one batch per animation frame; samples are stamped on arrival, not when handled.
+  // Links that deliver samples in bursts (the serial decoder worker) pass each sample's own receive time.
+  useEffect(() => {
+    const batcher = createFrameBatcher(handleSamples);
+    const receive = (data, t = timestamp()) => batcher.push({ data, t });
+    const unsubscribers = deviceSources.map(({ id, source: deviceSource }) =>
+      deviceSource.on('sample', (data, t) => receive(withDeviceId(data, id), t))
+    );
+    if (source) {
+      unsubscribers.push(source.on('sample', receive));
     }
-    
-    httpIntervalRef.current = setInterval(() => {
-      fetch("http://192.168.2.194/euler") // Replace with ESP32 IP
-        .then((res) => res.json())
-        .then((data) => setEuler(data))
-        .catch((err) => console.error(err));
-    }, 50);
-  };
+    return () => {
+      unsubscribers.forEach((off) => off());
+      batcher.flush();
+    };
+  }, [source, deviceSources, handleSamples]);
 
-  const stopHttpFetching = () => {
-    if (httpIntervalRef.current) {
-      clearInterval(httpIntervalRef.current);
-      httpIntervalRef.current = null;
-    }
-  };
+  useEffect(() => {
+    diagnostics.reset();
+    if (!source) return;
+    return diagnostics.attach(source);
+  }, [diagnostics, source]);
 
-  // Serial Data Handling
-  const handleSerialData = (data) => {
-    // Check if data contains quaternion components
-    if (data.w !== undefined && data.x !== undefined && data.y !== undefined && data.z !== undefined) {
-      setQuaternion(data);
-    } else if (data.roll !== undefined && data.pitch !== undefined && data.yaw !== undefined) {
-      setEuler(data);
+  useEffect(() => {
+    if (focusedDevice === null) {
+      const [firstId] = Object.keys(devices);
+      if (firstId !== undefined) setFocusedDevice(firstId);
     }
+  }, [devices, focusedDevice]);
+
+  // The main view switches to another board, so its history and filter state no longer apply
+  const changeFocusedDevice = (id) => {
+    setFocusedDevice(id);
+    history.clear();
+    resetFusion();
+    setFlight({});
+    flightHistory.clear();
+    flightTrack.clear();
+    errorHistory.clear();
+    turnRate.reset();
   };
 
-  const handleSerialConnectionChange = (connected) => {
-    setIsSerialConnected(connected);
+  const forgetDevices = () => {
+    setDevices({});
+    setFocusedDevice(null);
   };
 
   useEffect(() => {
-    if (dataSource === 'http') {
-      stopHttpFetching();
-      startHttpFetching();
-    } else {
-      stopHttpFetching();
+    alarms.setRules(alarmRules);
+    setActiveAlarms(alarms.getActive());
+  }, [alarms, alarmRules]);
+
+  // Time-based rules fire without a sample to trigger them; active values refresh for the banners
+  useEffect(() => {
+    const timer = setInterval(() => {
+      handleAlarmEvents(alarms.tick(Date.now()));
+      setActiveAlarms(prev => (prev.length > 0 ? alarms.getActive() : prev));
+    }, ALARM_TICK_INTERVAL);
+    return () => clearInterval(timer);
+  }, [alarms, handleAlarmEvents]);
+
+  // A deliberately stopped source is not a data loss, so the alarms start over from a clean slate.
+  // Data age runs from the first connect, so a link that never sends anything still raises "no data".
+  useEffect(() => {
+    if (sourceStatus.state === SOURCE_STATE.DISCONNECTED) {
+      alarms.reset();
+      setActiveAlarms([]);
+    } else if (sourceStatus.state === SOURCE_STATE.CONNECTED) {
+      alarms.markConnected(Date.now());
     }
+  }, [alarms, sourceStatus.state]);
 
-    return () => {
-      stopHttpFetching();
-    };
-  }, [dataSource]);
+  // An invalid custom mapping stays editable but the last valid one keeps rendering
+  useEffect(() => {
+    if (isValidFrame(frame)) {
+      setActiveFrame(frame);
+    }
+  }, [frame]);
+
+  // Mounting offset and tare are applied to every orientation before it is shown
+  const correction = useMemo(
+    () => ({ mount: eulerToQuaternion(mountOffset, eulerOrder), tare }),
+    [mountOffset, eulerOrder, tare]
+  );
+
+  // Attitude rules look at the vehicle body, so they follow the mounting offset but ignore the tare
+  useEffect(() => {
+    alarms.setOrientationSettings({ mount: correction.mount, frame: activeFrame });
+  }, [alarms, correction.mount, activeFrame]);
+  const displayQuaternion = useMemo(() => correctQuaternion(sensorOrientation, correction), [sensorOrientation, correction]);
+  const { euler: displayEuler, gimbalLock } = useContinuousEuler(displayQuaternion, eulerOrder, unwrapYaw);
+
+  const sourceType = SOURCE_TYPES.find((type) => type.value === dataSource);
+  const rotationModeLabel = ROTATION_MODES.find((mode) => mode.value === rotationMode)?.label ?? rotationMode;
+  const firmwareQuaternion = history.quaternion.getSize() > 0 ? sensorOrientation : null;
+
+  // When the fused estimate drives the cube, the firmware's own estimate can ride along as a wireframe
+  const drivenByFusion = fusionSettings.enabled && fusionSettings.driveCube && fusedQuaternion !== null;
+  const showComparison = drivenByFusion && fusionSettings.showFirmware;
+
+  // The cube reads these every frame instead of waiting for the next React render
+  const getSceneQuaternion = useCallback(() => {
+    const { sensor, fused } = liveOrientation.current;
+    const orientation = drivenByFusion ? fused : sensor;
+    return orientation && correctQuaternion(orientation, correction);
+  }, [drivenByFusion, correction]);
+  const getComparison = useCallback(
+    () => correctQuaternion(liveOrientation.current.sensor, correction),
+    [correction]
+  );
+
+  // What the cube shows, updated once per batch, for the instruments and the reference comparison
+  const sceneQuaternion = useMemo(
+    () => correctQuaternion(drivenByFusion ? fusedQuaternion : sensorOrientation, correction),
+    [drivenByFusion, fusedQuaternion, sensorOrientation, correction]
+  );
+  const attitude = useMemo(() => vehicleAttitude(sceneQuaternion, activeFrame), [sceneQuaternion, activeFrame]);
+  // Each heading is timed by the sample it came from, not by when React got round to it
+  useEffect(() => {
+    const { sensorAt, fusedAt } = liveOrientation.current;
+    const t = drivenByFusion ? fusedAt : sensorAt;
+    if (t !== null) turnRate.update(attitude.heading, t);
+  }, [turnRate, attitude.heading, drivenByFusion]);
+
+  // A fixed reference is given as displayed; a streamed one is corrected like the live orientation
+  const referenceDevice = reference.mode === 'device' ? devices[reference.device] : null;
+  const referenceQuaternion = useMemo(() => {
+    if (reference.mode === 'manual') return eulerToQuaternion(reference.euler, eulerOrder);
+    if (referenceDevice) return correctQuaternion(deviceQuaternion(referenceDevice, eulerOrder), correction);
+    return null;
+  }, [reference.mode, reference.euler, referenceDevice, eulerOrder, correction]);
+  const hasLiveOrientation = firmwareQuaternion !== null || drivenByFusion;
+  const referenceError = useMemo(
+    () => (referenceQuaternion && hasLiveOrientation ? orientationError(sceneQuaternion, referenceQuaternion) : null),
+    [referenceQuaternion, hasLiveOrientation, sceneQuaternion]
+  );
+
+  // One error sample per change of either orientation; a different reference starts the statistics over
+  useEffect(() => {
+    errorHistory.clear();
+  }, [errorHistory, reference]);
+  useEffect(() => {
+    if (referenceError) errorHistory.push(Date.now(), referenceError);
+  }, [errorHistory, referenceError]);
+
+  // Uncorrected orientation of the board as currently rendered
+  const sensorQuaternion = () => (drivenByFusion ? fusedQuaternion : sensorOrientation);
+
+  const handleTare = () => {
+    setTare(removeMount(sensorQuaternion(), correction.mount));
+  };
+
+  const handleCaptureReference = () => {
+    setReference(prev => ({ ...prev, mode: 'manual', euler: quaternionToEuler(sceneQuaternion, eulerOrder) }));
+  };
+
+  const handleCaptureMount = () => {
+    setMountOffset(quaternionToEuler(sensorQuaternion(), eulerOrder));
+    setTare(IDENTITY_QUATERNION);
+  };
+  const statusDisplay = STATUS_DISPLAY[sourceStatus.state];
 
   return (
     <div style={{ 
@@ -485,6 +467,8 @@ function App() {
           Real-time orientation monitoring and visualization
         </p>
         
+        <AlarmBanner alarms={activeAlarms} />
+
         {/* Data Source and Rotation Mode Selection */}
         <div style={{ 
           marginBottom: '32px',
@@ -517,8 +501,9 @@ function App() {
                 transition: 'all 0.3s ease'
               }}
             >
-              <option value="http">HTTP (ESP32)</option>
-              <option value="serial">Serial Port</option>
+              {SOURCE_TYPES.map((type) => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
             </select>
           </div>
 
@@ -544,33 +529,106 @@ function App() {
                 transition: 'all 0.3s ease'
               }}
             >
-              <option value="euler">Euler Angles</option>
-              <option value="quaternion">Quaternion</option>
+              {ROTATION_MODES.map((mode) => (
+                <option key={mode.value} value={mode.value}>{mode.label}</option>
+              ))}
             </select>
           </div>
 
-
-          
-          {dataSource === 'http' && (
-            <span style={{ 
-              color: '#00d4ff',
-              fontSize: '16px',
-              fontWeight: '500',
-              textShadow: '0 0 10px rgba(0, 212, 255, 0.5)'
-            }}>
-              ● Fetching from HTTP endpoint
-            </span>
-          )}
+          <label style={{ color: '#e0e0e0', fontSize: '16px', cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              checked={unwrapYaw}
+              onChange={(e) => setUnwrapYaw(e.target.checked)}
+              style={{ marginRight: '8px', accentColor: '#ff6b6b' }}
+            />
+            Continuous yaw
+          </label>
         </div>
 
+        <ProfilesPanel
+          profiles={profiles.profiles}
+          activeProfile={profiles.activeProfile}
+          onSwitch={profiles.switchProfile}
+          onAdd={profiles.addProfile}
+          onRename={profiles.renameProfile}
+          onDelete={profiles.deleteProfile}
+          onImport={profiles.importProfiles}
+          hiddenPanels={hiddenPanels}
+          onHiddenPanelsChange={setters.hiddenPanels}
+        />
+
+        {/* Keyed by profile so their unapplied drafts start over when the profile changes */}
+        {dataSource === 'http' && (
+          <HttpManager
+            key={profiles.activeProfile.id}
+            source={source}
+            status={sourceStatus}
+            config={httpConfig}
+            onConfigChange={setHttpConfig}
+          />
+        )}
+
         {/* Serial Port Manager - only show when serial is selected */}
         {dataSource === 'serial' && (
           <SerialPortManager 
-            onDataReceived={handleSerialData}
-            isConnected={isSerialConnected}
-            onConnectionChange={handleSerialConnectionChange}
+            source={source}
+            status={sourceStatus}
+            onSourceChange={setSource}
+            protocol={settings.serialProtocol}
+            onProtocolChange={setters.serialProtocol}
+            options={settings.serialOptions}
+            onOptionsChange={setters.serialOptions}
+            savedPort={settings.serialPort}
+            onSavedPortChange={setters.serialPort}
+          />
+        )}
+
+        {dataSource === 'websocket' && (
+          <WebSocketManager
+            source={source}
+            status={sourceStatus}
+            onSourceChange={setSource}
+            url={settings.webSocketUrl}
+            onUrlChange={setters.webSocketUrl}
           />
         )}
+
+        {dataSource === 'relay' && (
+          <RelayManager
+            source={source}
+            status={sourceStatus}
+            onSourceChange={setSource}
+            url={settings.relayUrl}
+            onUrlChange={setters.relayUrl}
+          />
+        )}
+
+        {dataSource === 'replay' && (
+          <ReplayManager
+            source={source}
+            status={sourceStatus}
+            onSourceChange={setSource}
+          />
+        )}
+
+        {dataSource === 'simulator' && (
+          <SimulatorManager
+            key={profiles.activeProfile.id}
+            source={source}
+            status={sourceStatus}
+            config={simulatorConfig}
+            onConfigChange={setSimulatorConfig}
+          />
+        )}
+
+        {source?.write && (
+          <SerialConsole source={source} />
+        )}
+
+        <DeviceSourcesPanel deviceSources={deviceSources} onDeviceSourcesChange={setDeviceSources} />
+
+        <RecordingPanel recorder={recorder} />
         
         <div style={{ 
           display: 'grid', 
@@ -597,9 +655,39 @@ function App() {
               textShadow: '0 0 10px rgba(0, 212, 255, 0.5)'
             }}>
               3D Orientation
+              {Object.keys(devices).length > 1 && ` — ${focusedDevice}`}
             </h3>
+            {flight.gps && (
+              <div style={{ display: 'flex', justifyContent: 'center', marginBottom: '16px' }}>
+                <button
+                  onClick={() => setSceneView('attitude')}
+                  style={smallButtonStyle(sceneView === 'attitude' ? '#00d4ff' : '#707070')}
+                >
+                  Attitude
+                </button>
+                <button
+                  onClick={() => setSceneView('trajectory')}
+                  style={smallButtonStyle(sceneView === 'trajectory' ? '#00d4ff' : '#707070')}
+                >
+                  Trajectory
+                </button>
+              </div>
+            )}
             <div style={{ display: 'flex', justifyContent: 'center' }}>
-              <Scene euler={euler} quaternion={quaternion} rotationMode={rotationMode} />
+              <Scene
+                quaternion={getSceneQuaternion}
+                frame={activeFrame}
+                showAxes={showAxes}
+                model={vehicleModel.model}
+                modelSettings={vehicleModel.settings}
+                onModelDrop={vehicleModel.loadFile}
+                trajectory={flight.gps && sceneView === 'trajectory' ? flightTrack : null}
+                rawImu={rawImu}
+                visibleArrows={visibleArrows}
+                comparison={showComparison ? getComparison : null}
+                reference={referenceQuaternion}
+                overlay={showHud && <HudOverlay attitude={attitude} turnRate={turnRate} />}
+              />
             </div>
           </div>
           
@@ -620,111 +708,20 @@ function App() {
               textAlign: 'center',
               textShadow: '0 0 10px rgba(0, 212, 255, 0.5)'
             }}>
-              {rotationMode === 'euler' ? 'Euler Angles' : 'Quaternion'}
+              {rotationModeLabel}
             </h3>
             <div style={{ 
               fontSize: '24px', 
               lineHeight: '2',
               marginBottom: '32px'
             }}>
-              {rotationMode === 'euler' ? (
-                <>
-                  <div style={{
-                    display: 'flex',
-                    justifyContent: 'space-between',
-                    alignItems: 'center',
-                    padding: '16px',
-                    marginBottom: '12px',
-                    background: 'rgba(0, 212, 255, 0.1)',
-                    borderRadius: '12px',
-                    border: '1px solid rgba(0, 212, 255, 0.2)'
-                  }}>
-                    <span style={{ color: '#00d4ff', fontWeight: '600' }}>Roll:</span>
-                    <span style={{ color: '#e0e0e0', fontWeight: '700' }}>{euler.roll.toFixed(2)}°</span>
-                  </div>
-                  <div style={{
-                    display: 'flex',
-                    justifyContent: 'space-between',
-                    alignItems: 'center',
-                    padding: '16px',
-                    marginBottom: '12px',
-                    background: 'rgba(255, 107, 107, 0.1)',
-                    borderRadius: '12px',
-                    border: '1px solid rgba(255, 107, 107, 0.2)'
-                  }}>
-                    <span style={{ color: '#ff6b6b', fontWeight: '600' }}>Pitch:</span>
-                    <span style={{ color: '#e0e0e0', fontWeight: '700' }}>{euler.pitch.toFixed(2)}°</span>
-                  </div>
-                  <div style={{
-                    display: 'flex',
-                    justifyContent: 'space-between',
-                    alignItems: 'center',
-                    padding: '16px',
-                    marginBottom: '12px',
-                    background: 'rgba(138, 43, 226, 0.1)',
-                    borderRadius: '12px',
-                    border: '1px solid rgba(138, 43, 226, 0.2)'
-                  }}>
-                    <span style={{ color: '#8a2be2', fontWeight: '600' }}>Yaw:</span>
-                    <span style={{ color: '#e0e0e0', fontWeight: '700' }}>{euler.yaw.toFixed(2)}°</span>
-                  </div>
-                </>
-              ) : (
-                <>
-                  <div style={{
-                    display: 'flex',
-                    justifyContent: 'space-between',
-                    alignItems: 'center',
-                    padding: '16px',
-                    marginBottom: '12px',
-                    background: 'rgba(0, 212, 255, 0.1)',
-                    borderRadius: '12px',
-                    border: '1px solid rgba(0, 212, 255, 0.2)'
-                  }}>
-                    <span style={{ color: '#00d4ff', fontWeight: '600' }}>W:</span>
-                    <span style={{ color: '#e0e0e0', fontWeight: '700' }}>{quaternion.w.toFixed(4)}</span>
-                  </div>
-                  <div style={{
-                    display: 'flex',
-                    justifyContent: 'space-between',
-                    alignItems: 'center',
-                    padding: '16px',
-                    marginBottom: '12px',
-                    background: 'rgba(255, 107, 107, 0.1)',
-                    borderRadius: '12px',
-                    border: '1px solid rgba(255, 107, 107, 0.2)'
-                  }}>
-                    <span style={{ color: '#ff6b6b', fontWeight: '600' }}>X:</span>
-                    <span style={{ color: '#e0e0e0', fontWeight: '700' }}>{quaternion.x.toFixed(4)}</span>
-                  </div>
-                  <div style={{
-                    display: 'flex',
-                    justifyContent: 'space-between',
-                    alignItems: 'center',
-                    padding: '16px',
-                    marginBottom: '12px',
-                    background: 'rgba(138, 43, 226, 0.1)',
-                    borderRadius: '12px',
-                    border: '1px solid rgba(138, 43, 226, 0.2)'
-                  }}>
-                    <span style={{ color: '#8a2be2', fontWeight: '600' }}>Y:</span>
-                    <span style={{ color: '#e0e0e0', fontWeight: '700' }}>{quaternion.y.toFixed(4)}</span>
-                  </div>
-                  <div style={{
-                    display: 'flex',
-                    justifyContent: 'space-between',
-                    alignItems: 'center',
-                    padding: '16px',
-                    marginBottom: '12px',
-                    background: 'rgba(255, 193, 7, 0.1)',
-                    borderRadius: '12px',
-                    border: '1px solid rgba(255, 193, 7, 0.2)'
-                  }}>
-                    <span style={{ color: '#ffc107', fontWeight: '600' }}>Z:</span>
-                    <span style={{ color: '#e0e0e0', fontWeight: '700' }}>{quaternion.z.toFixed(4)}</span>
-                  </div>
-                </>
-              )}
+              <OrientationReadout
+                mode={rotationMode}
+                euler={displayEuler}
+                quaternion={displayQuaternion}
+                gimbalLock={gimbalLock}
+                eulerOrder={eulerOrder}
+              />
             </div>
             
             {/* Connection Status */}
@@ -753,7 +750,7 @@ function App() {
                     color: dataSource === 'http' ? '#00d4ff' : '#ff6b6b',
                     fontWeight: '600'
                   }}>
-                    {dataSource === 'http' ? 'HTTP' : 'Serial Port'}
+                    {sourceType.shortLabel}
                   </span>
                 </div>
                 <div style={{
@@ -766,7 +763,7 @@ function App() {
                     color: rotationMode === 'euler' ? '#00d4ff' : '#ff6b6b',
                     fontWeight: '600'
                   }}>
-                    {rotationMode === 'euler' ? 'Euler Angles' : 'Quaternion'}
+                    {rotationModeLabel}
                   </span>
                 </div>
                 <div style={{
@@ -775,18 +772,131 @@ function App() {
                 }}>
                   <span style={{ color: '#a0a0a0' }}>Status:</span>
                   <span style={{ 
-                    color: dataSource === 'http' ? '#00d4ff' : (isSerialConnected ? '#00d4ff' : '#ff6b6b'),
+                    color: statusDisplay.color,
                     fontWeight: '600',
-                    textShadow: dataSource === 'http' ? '0 0 10px rgba(0, 212, 255, 0.5)' : 
-                                  (isSerialConnected ? '0 0 10px rgba(0, 212, 255, 0.5)' : '0 0 10px rgba(255, 107, 107, 0.5)')
+                    textShadow: `0 0 10px ${statusDisplay.color}80`
                   }}>
-                    {dataSource === 'http' ? '● Active' : (isSerialConnected ? '● Connected' : '○ Disconnected')}
+                    {statusDisplay.label}
                   </span>
                 </div>
+                {sourceStatus.message && (
+                  <div style={{
+                    marginTop: '8px',
+                    color: '#a0a0a0',
+                    fontSize: '14px',
+                    whiteSpace: 'pre-line',
+                    textAlign: 'right'
+                  }}>
+                    {sourceStatus.message}
+                  </div>
+                )}
               </div>
             </div>
           </div>
         </div>
+
+        <div style={{ marginTop: '40px' }}>
+          {isPanelShown('instruments') && (
+            <InstrumentsPanel
+              attitude={attitude}
+              turnRate={turnRate}
+              showHud={showHud}
+              onShowHudChange={setShowHud}
+            />
+          )}
+          {isPanelShown('devices') && (
+            <DeviceGrid
+              devices={devices}
+              focusedDevice={focusedDevice}
+              onFocusedDeviceChange={changeFocusedDevice}
+              onClear={forgetDevices}
+              frame={activeFrame}
+              model={vehicleModel.model}
+              modelSettings={vehicleModel.settings}
+            />
+          )}
+          {isPanelShown('flight') && Object.keys(flight).length > 0 && (
+            <FlightPanel
+              flight={flight}
+              history={flightHistory}
+              track={flightTrack}
+              onResetLaunch={() => flightTrack.clear()}
+            />
+          )}
+          {isPanelShown('alarms') && (
+            <AlarmPanel
+              rules={alarmRules}
+              onRulesChange={setAlarmRules}
+              activeAlarms={activeAlarms}
+              log={alarmLog}
+              onClearLog={() => setAlarmLog([])}
+            />
+          )}
+          {isPanelShown('magCalibration') && (
+            <MagCalibrationWizard source={source} />
+          )}
+          {isPanelShown('rawSensors') && (
+            <RawSensorPanel
+              rawImu={rawImu}
+              visibleArrows={visibleArrows}
+              onVisibleArrowsChange={setVisibleArrows}
+            />
+          )}
+          {isPanelShown('frame') && (
+            <FramePanel
+              frame={frame}
+              onFrameChange={setFrame}
+              showAxes={showAxes}
+              onShowAxesChange={setShowAxes}
+            />
+          )}
+          {isPanelShown('model') && (
+            <ModelPanel
+              model={vehicleModel.model}
+              settings={vehicleModel.settings}
+              onSettingsChange={vehicleModel.setSettings}
+              loading={vehicleModel.loading}
+              onLoadFile={vehicleModel.loadFile}
+              onClear={vehicleModel.clear}
+            />
+          )}
+          {isPanelShown('calibration') && (
+            <CalibrationPanel
+              mountOffset={mountOffset}
+              onMountOffsetChange={setMountOffset}
+              onCaptureMount={handleCaptureMount}
+              tareActive={tare !== IDENTITY_QUATERNION}
+              onTare={handleTare}
+              onClearTare={() => setTare(IDENTITY_QUATERNION)}
+            />
+          )}
+          {isPanelShown('fusion') && (
+            <FusionPanel
+              settings={fusionSettings}
+              onSettingsChange={setFusionSettings}
+              onReset={resetFusion}
+              fusedQuaternion={fusedQuaternion}
+              firmwareQuaternion={firmwareQuaternion}
+            />
+          )}
+          {isPanelShown('reference') && (
+            <ReferencePanel
+              reference={reference}
+              onReferenceChange={setReference}
+              onCapture={handleCaptureReference}
+              devices={devices}
+              focusedDevice={focusedDevice}
+              error={referenceError}
+              errorHistory={errorHistory}
+            />
+          )}
+          {isPanelShown('charts') && (
+            <ChartsPanel history={history} />
+          )}
+          {isPanelShown('diagnostics') && (
+            <DiagnosticsPanel diagnostics={diagnostics} source={source} />
+          )}
+        </div>
       </div>
     </div>
   );
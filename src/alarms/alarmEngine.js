@@ -0,0 +1,115 @@
+import { ALARM_OPERATORS } from './alarmRules';
+import { extractFlightData, extractRawImu, isFlightData, isRawImuData } from '../sources/telemetry';
+import { quaternionToEuler } from '../orientation/euler';
+import { removeMount } from '../orientation/correction';
+import { IDENTITY_QUATERNION, rotateVector } from '../orientation/quaternion';
+import { DEFAULT_FRAME, sensorDirectionOf } from '../orientation/threeFrame';
+
+function angleBetween(a, b) {
+  const dot = a.x * b.x + a.y * b.y + a.z * b.z;
+  return (Math.acos(Math.max(-1, Math.min(1, dot))) * 180) / Math.PI;
+}
+
+// Keeps the latest value of everything a rule can look at and reports rules as they
+// trigger and clear. `update` runs on every sample; `tick` covers the time-based rules.
+export function createAlarmEngine() {
+  let rules = [];
+  let mount = IDENTITY_QUATERNION;
+  let frame = DEFAULT_FRAME;
+  let orientation = null;
+  let raw = {};
+  let flight = {};
+  let lastSampleAt = null;
+  let connectedAt = null; // until the first sample, data age counts from here
+  const active = new Map(); // rule id -> { rule, value, since }
+
+  const metricValue = (metric, t) => {
+    switch (metric) {
+      case 'tilt':
+      case 'noseTilt': {
+        if (!orientation) return undefined;
+        const up = sensorDirectionOf('+y', frame);
+        const axis = metric === 'tilt' ? up : sensorDirectionOf('-z', frame);
+        return angleBetween(rotateVector(removeMount(orientation, mount), axis), up);
+      }
+      case 'roll':
+      case 'pitch':
+      case 'yaw':
+        return orientation ? quaternionToEuler(removeMount(orientation, mount), frame.eulerOrder)[metric] : undefined;
+      case 'rollRate':
+        return raw.gyro?.x;
+      case 'pitchRate':
+        return raw.gyro?.y;
+      case 'yawRate':
+        return raw.gyro?.z;
+      case 'dataAge': {
+        const since = lastSampleAt ?? connectedAt;
+        return since === null ? undefined : t - since;
+      }
+      default:
+        return flight[metric];
+    }
+  };
+
+  const evaluate = (t) => {
+    const events = [];
+    rules.forEach((rule) => {
+      const value = rule.enabled ? metricValue(rule.metric, t) : undefined;
+      const triggered = value !== undefined && ALARM_OPERATORS[rule.operator].test(value, rule.threshold);
+      const current = active.get(rule.id);
+
+      if (triggered && !current) {
+        active.set(rule.id, { rule, value, since: t });
+        events.push({ t, type: 'triggered', rule, value });
+      } else if (triggered) {
+        current.value = value;
+      } else if (current) {
+        active.delete(rule.id);
+        events.push({ t, type: 'cleared', rule, value: value ?? current.value });
+      }
+    });
+    return events;
+  };
+
+  const update = (t, data, sensorOrientation) => {
+    lastSampleAt = t;
+    if (sensorOrientation) orientation = sensorOrientation;
+    if (isRawImuData(data)) raw = { ...raw, ...extractRawImu(data) };
+    if (isFlightData(data)) flight = { ...flight, ...extractFlightData(data) };
+    return evaluate(t);
+  };
+
+  const tick = (t) => evaluate(t);
+
+  // A link that connects but never sends anything still trips the "no data" rules
+  const markConnected = (t) => {
+    if (connectedAt === null) connectedAt = t;
+  };
+
+  // Rules that disappear or change stop being active without a "cleared" event
+  const setRules = (nextRules) => {
+    rules = nextRules;
+    const current = new Map(rules.map((rule) => [rule.id, rule]));
+    [...active.keys()].forEach((id) => {
+      if (current.get(id) !== active.get(id).rule) active.delete(id);
+    });
+  };
+
+  const setOrientationSettings = (settings) => {
+    mount = settings.mount;
+    frame = settings.frame;
+  };
+
+  const reset = () => {
+    orientation = null;
+    raw = {};
+    flight = {};
+    lastSampleAt = null;
+    connectedAt = null;
+    active.clear();
+  };
+
+  const getActive = () => [...active.values()].map((entry) => ({ ...entry }));
+
+  return { update, tick, markConnected, setRules, setOrientationSettings, reset, getActive };
+}
@@ -0,0 +1,94 @@
+// Alarm rules: "<metric> <operator> <threshold>", e.g. tilt > 30. Metric values are
+// worked out by the alarm engine; this module only describes and (de)serialises rules.
+
+export const ALARM_METRICS = {
+  tilt: { label: 'Tilt from vertical (up axis)', unit: '°' },
+  noseTilt: { label: 'Nose off vertical (forward axis)', unit: '°' },
+  roll: { label: 'Roll', unit: '°' },
+  pitch: { label: 'Pitch', unit: '°' },
+  yaw: { label: 'Yaw', unit: '°' },
+  rollRate: { label: 'Roll rate (gyro X)', unit: '°/s' },
+  pitchRate: { label: 'Pitch rate (gyro Y)', unit: '°/s' },
+  yawRate: { label: 'Yaw rate (gyro Z)', unit: '°/s' },
+  accelMagnitude: { label: 'Acceleration magnitude', unit: '' },
+  altitude: { label: 'Baro altitude', unit: 'm' },
+  verticalSpeed: { label: 'Vertical speed', unit: 'm/s' },
+  battery: { label: 'Battery voltage', unit: 'V' },
+  dataAge: { label: 'Time since last sample', unit: 'ms' },
+};
+
+export const ALARM_OPERATORS = {
+  '>': { label: '>', test: (value, threshold) => value > threshold },
+  '<': { label: '<', test: (value, threshold) => value < threshold },
+  'abs>': { label: '|x| >', test: (value, threshold) => Math.abs(value) > threshold },
+};
+
+export const ALARM_SEVERITIES = {
+  warning: { label: 'Warning', color: '#ffc107' },
+  critical: { label: 'Critical', color: '#ff6b6b' },
+};
+
+const RULES_FILE_VERSION = 1;
+
+let nextId = 0;
+function newRuleId() {
+  nextId++;
+  return `rule-${Date.now().toString(36)}-${nextId}`;
+}
+
+export function createAlarmRule(fields = {}) {
+  return {
+    id: newRuleId(),
+    name: 'New rule',
+    metric: 'tilt',
+    operator: '>',
+    threshold: 0,
+    severity: 'warning',
+    sound: false,
+    enabled: true,
+    ...fields,
+  };
+}
+
+export const DEFAULT_ALARM_RULES = [
+  { id: 'default-tilt', name: 'Tilt over 30°', metric: 'tilt', operator: '>', threshold: 30, severity: 'warning', sound: false, enabled: true },
+  { id: 'default-roll-rate', name: 'Roll rate over 360°/s', metric: 'rollRate', operator: 'abs>', threshold: 360, severity: 'critical', sound: true, enabled: true },
+  { id: 'default-no-data', name: 'No data for 500 ms', metric: 'dataAge', operator: '>', threshold: 500, severity: 'critical', sound: true, enabled: true },
+  { id: 'default-battery', name: 'Battery below 3.5 V', metric: 'battery', operator: '<', threshold: 3.5, severity: 'warning', sound: false, enabled: true },
+];
+
+export function describeRule(rule) {
+  const metric = ALARM_METRICS[rule.metric];
+  return `${metric.label} ${ALARM_OPERATORS[rule.operator].label} ${rule.threshold}${metric.unit ? ` ${metric.unit}` : ''}`;
+}
+
+export function serializeRules(rules) {
+  return JSON.stringify({ version: RULES_FILE_VERSION, rules }, null, 2);
+}
+
+// Throws with a message naming the first bad rule, so a broken file never half-replaces the set
+export function parseRules(text) {
+  const parsed = JSON.parse(text);
+  const rules = Array.isArray(parsed) ? parsed : parsed?.rules;
+  if (!Array.isArray(rules)) {
+    throw new Error('Expected a "rules" array');
+  }
+
+  return rules.map((rule, index) => {
+    const where = `Rule ${index + 1}`;
+    if (!Object.hasOwn(ALARM_METRICS, rule?.metric ?? '')) throw new Error(`${where}: unknown metric "${rule?.metric}"`);
+    if (!Object.hasOwn(ALARM_OPERATORS, rule.operator)) throw new Error(`${where}: unknown operator "${rule.operator}"`);
+    if (typeof rule.threshold !== 'number' || !Number.isFinite(rule.threshold)) {
+      throw new Error(`${where}: threshold must be a number`);
+    }
+    return createAlarmRule({
+      name: typeof rule.name === 'string' && rule.name ? rule.name : describeRule(rule),
+      metric: rule.metric,
+      operator: rule.operator,
+      threshold: rule.threshold,
+      severity: Object.hasOwn(ALARM_SEVERITIES, rule.severity) ? rule.severity : 'warning',
+      sound: rule.sound === true,
+      enabled: rule.enabled !== false,
+    });
+  });
+}
@@ -0,0 +1,30 @@
+// Short beeps through Web Audio; no sound files to ship. Browsers only allow audio after the
+// user has interacted with the page, so the first cue may be silent until then.
+const TONES = {
+  warning: { frequency: 880, beeps: 1 },
+  critical: { frequency: 1320, beeps: 3 },
+};
+
+let context = null;
+
+export function playAlarmTone(severity) {
+  const tone = TONES[severity] ?? TONES.warning;
+  try {
+    context = context ?? new AudioContext();
+    if (context.state === 'suspended') context.resume();
+
+    for (let i = 0; i < tone.beeps; i++) {
+      const start = context.currentTime + i * 0.18;
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.frequency.value = tone.frequency;
+      gain.gain.setValueAtTime(0.2, start);
+      gain.gain.exponentialRampToValueAtTime(0.001, start + 0.15);
+      oscillator.connect(gain).connect(context.destination);
+      oscillator.start(start);
+      oscillator.stop(start + 0.15);
+    }
+  } catch (error) {
+    console.error('Error playing alarm tone:', error);
+  }
+}
@@ -0,0 +1,115 @@
+import { multiplyMatrixVector, solveLinearSystem, symmetricEigen3 } from './linearAlgebra';
+
+export const MIN_FIT_SAMPLES = 50;
+
+export const IDENTITY_MAG_CALIBRATION = {
+  offset: [0, 0, 0],
+  matrix: [[1, 0, 0], [0, 1, 0], [0, 0, 1]],
+};
+
+// calibrated = matrix · (raw - offset)
+export function applyMagCalibration(mag, { offset, matrix }) {
+  const [x, y, z] = multiplyMatrixVector(matrix, [mag.x - offset[0], mag.y - offset[1], mag.z - offset[2]]);
+  return { x, y, z };
+}
+
+function magnitudeSpread(points) {
+  const norms = points.map((p) => Math.hypot(p.x, p.y, p.z));
+  const mean = norms.reduce((sum, n) => sum + n, 0) / norms.length;
+  const variance = norms.reduce((sum, n) => sum + (n - mean) ** 2, 0) / norms.length;
+  return { mean, relativeStd: mean > 0 ? Math.sqrt(variance) / mean : Infinity };
+}
+
+// Fraction of 26 evenly spread directions that have a sample within ~35°,
+// i.e. how much of the sphere the user has rotated through
+export function sphereCoverage(points, center = [0, 0, 0]) {
+  const directions = [];
+  for (let x = -1; x <= 1; x++) {
+    for (let y = -1; y <= 1; y++) {
+      for (let z = -1; z <= 1; z++) {
+        if (x || y || z) {
+          const n = Math.hypot(x, y, z);
+          directions.push([x / n, y / n, z / n]);
+        }
+      }
+    }
+  }
+
+  const covered = new Set();
+  points.forEach((p) => {
+    const d = [p.x - center[0], p.y - center[1], p.z - center[2]];
+    const n = Math.hypot(...d);
+    if (n === 0) return;
+    directions.forEach((dir, index) => {
+      if ((d[0] * dir[0] + d[1] * dir[1] + d[2] * dir[2]) / n > 0.82) covered.add(index);
+    });
+  });
+  return covered.size / directions.length;
+}
+
+// Least-squares fit of the general ellipsoid
+//   a x² + b y² + c z² + 2f yz + 2g xz + 2h xy + 2p x + 2q y + 2r z = 1
+// giving the hard-iron offset (centre) and a symmetric soft-iron matrix that maps
+// the ellipsoid onto a sphere with the same mean radius.
+export function fitMagCalibration(points) {
+  if (points.length < MIN_FIT_SAMPLES) {
+    throw new Error(`Need at least ${MIN_FIT_SAMPLES} samples, have ${points.length}`);
+  }
+
+  // Normal equations DᵀD θ = Dᵀ1, centred on the mean for numerical conditioning
+  const mean = ['x', 'y', 'z'].map((k) => points.reduce((sum, p) => sum + p[k], 0) / points.length);
+  const DtD = Array.from({ length: 9 }, () => new Array(9).fill(0));
+  const Dt1 = new Array(9).fill(0);
+  points.forEach((p) => {
+    const x = p.x - mean[0];
+    const y = p.y - mean[1];
+    const z = p.z - mean[2];
+    const row = [x * x, y * y, z * z, 2 * y * z, 2 * x * z, 2 * x * y, 2 * x, 2 * y, 2 * z];
+    for (let i = 0; i < 9; i++) {
+      Dt1[i] += row[i];
+      for (let j = 0; j < 9; j++) DtD[i][j] += row[i] * row[j];
+    }
+  });
+
+  const theta = solveLinearSystem(DtD, Dt1);
+  if (!theta) {
+    throw new Error('Fit failed: samples do not span enough orientations');
+  }
+
+  const [a, b, c, f, g, h, p, q, r] = theta;
+  const A = [[a, h, g], [h, b, f], [g, f, c]];
+  const localCenter = solveLinearSystem(A, [-p, -q, -r]);
+  if (!localCenter) {
+    throw new Error('Fit failed: degenerate ellipsoid');
+  }
+
+  const Ac = multiplyMatrixVector(A, localCenter);
+  const k = 1 + localCenter[0] * Ac[0] + localCenter[1] * Ac[1] + localCenter[2] * Ac[2];
+  const { values, vectors } = symmetricEigen3(A.map((row) => row.map((value) => value / k)));
+  if (values.some((value) => !(value > 0))) {
+    throw new Error('Fit failed: samples do not describe an ellipsoid');
+  }
+
+  // matrix = R · √M where R is the geometric-mean radius, so field strength is preserved
+  const radius = Math.pow(values[0] * values[1] * values[2], -1 / 6);
+  const roots = values.map((value) => Math.sqrt(value) * radius);
+  const matrix = [0, 1, 2].map((i) => [0, 1, 2].map((j) => (
+    vectors[i][0] * roots[0] * vectors[j][0] +
+    vectors[i][1] * roots[1] * vectors[j][1] +
+    vectors[i][2] * roots[2] * vectors[j][2]
+  )));
+  const offset = localCenter.map((value, i) => value + mean[i]);
+
+  const calibration = { offset, matrix };
+  const before = magnitudeSpread(points);
+  const after = magnitudeSpread(points.map((point) => applyMagCalibration(point, calibration)));
+
+  return {
+    ...calibration,
+    fieldStrength: after.mean,
+    residualBefore: before.relativeStd,
+    residualAfter: after.relativeStd,
+    coverage: sphereCoverage(points, offset),
+    sampleCount: points.length,
+  };
+}
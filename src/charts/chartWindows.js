@@ -0,0 +1,9 @@
+// Time spans offered by the chart window selectors
+export const CHART_WINDOWS = [
+  { value: 5000, label: '5 s' },
+  { value: 10000, label: '10 s' },
+  { value: 30000, label: '30 s' },
+  { value: 60000, label: '1 min' },
+  { value: 120000, label: '2 min' },
+  { value: 300000, label: '5 min' },
+];
@@ -0,0 +1,29 @@
+import { createTimeSeriesBuffer } from './timeSeriesBuffer';
+
+export const ERROR_KEYS = ['total', 'roll', 'pitch', 'yaw'];
+
+// Angular error between the live and the reference orientation over time (see orientation/orientationError.js)
+export function createErrorHistory() {
+  const buffer = createTimeSeriesBuffer(ERROR_KEYS);
+
+  // RMS and largest magnitude of each channel over [from, to); null without samples in that span
+  const stats = (from, to) => {
+    const first = buffer.lowerBound(from);
+    const last = buffer.lowerBound(to);
+    const count = last - first;
+    if (count === 0) return null;
+
+    return Object.fromEntries(ERROR_KEYS.map((key, channel) => {
+      let sumSquares = 0;
+      let max = 0;
+      for (let i = first; i < last; i++) {
+        const value = buffer.valueAt(channel, i);
+        sumSquares += value * value;
+        max = Math.max(max, Math.abs(value));
+      }
+      return [key, { rms: Math.sqrt(sumSquares / count), max }];
+    }));
+  };
+
+  return { buffer, push: buffer.push, clear: buffer.clear, stats };
+}
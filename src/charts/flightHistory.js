@@ -0,0 +1,21 @@
+import { createTimeSeriesBuffer } from './timeSeriesBuffer';
+
+// One buffer per reading: flight fields arrive at different rates, and a shared buffer
+// would fill the gaps with NaN and chop every line into dashes
+export const FLIGHT_SERIES = ['altitude', 'verticalSpeed', 'accelMagnitude', 'battery'];
+
+export function createFlightHistory() {
+  const buffers = Object.fromEntries(FLIGHT_SERIES.map((name) => [name, createTimeSeriesBuffer([name])]));
+
+  const push = (t, flight) => {
+    FLIGHT_SERIES.forEach((name) => {
+      if (flight[name] !== undefined) buffers[name].push(t, flight);
+    });
+  };
+
+  const clear = () => {
+    FLIGHT_SERIES.forEach((name) => buffers[name].clear());
+  };
+
+  return { ...buffers, push, clear };
+}
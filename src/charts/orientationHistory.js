@@ -0,0 +1,19 @@
+import { createTimeSeriesBuffer } from './timeSeriesBuffer';
+import { isEulerData, isQuaternionData } from '../sources/telemetry';
+
+export function createOrientationHistory() {
+  const euler = createTimeSeriesBuffer(['roll', 'pitch', 'yaw']);
+  const quaternion = createTimeSeriesBuffer(['w', 'x', 'y', 'z']);
+
+  const push = (t, data) => {
+    if (isEulerData(data)) euler.push(t, data);
+    if (isQuaternionData(data)) quaternion.push(t, data);
+  };
+
+  const clear = () => {
+    euler.clear();
+    quaternion.clear();
+  };
+
+  return { euler, quaternion, push, clear };
+}
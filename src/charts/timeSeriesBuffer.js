@@ -0,0 +1,65 @@
+// Fixed-capacity ring buffer of timestamped multi-channel samples.
+// Storage is preallocated typed arrays so pushing at hundreds of Hz
+// never allocates; charts read it directly without going through React.
+
+const DEFAULT_CAPACITY = 1 << 18; // ~5 min at 870 Hz
+
+export function createTimeSeriesBuffer(keys, capacity = DEFAULT_CAPACITY) {
+  const times = new Float64Array(capacity);
+  const values = keys.map(() => new Float32Array(capacity));
+  let start = 0;
+  let size = 0;
+  let version = 0;
+
+  const push = (t, sample) => {
+    const index = (start + size) % capacity;
+    times[index] = t;
+    keys.forEach((key, channel) => {
+      const value = Number(sample[key]);
+      values[channel][index] = Number.isFinite(value) ? value : NaN;
+    });
+
+    if (size < capacity) {
+      size++;
+    } else {
+      start = (start + 1) % capacity;
+    }
+    version++;
+  };
+
+  const clear = () => {
+    start = 0;
+    size = 0;
+    version++;
+  };
+
+  const timeAt = (i) => times[(start + i) % capacity];
+  const valueAt = (channel, i) => values[channel][(start + i) % capacity];
+
+  // Logical index of the first sample with time >= t
+  const lowerBound = (t) => {
+    let low = 0;
+    let high = size;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (timeAt(mid) < t) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  };
+
+  return {
+    keys,
+    push,
+    clear,
+    timeAt,
+    valueAt,
+    lowerBound,
+    getSize: () => size,
+    getVersion: () => version,
+    latestTime: () => (size > 0 ? timeAt(size - 1) : null),
+  };
+}
@@ -0,0 +1,42 @@
+import React from 'react';
+import { ALARM_METRICS, ALARM_SEVERITIES } from '../alarms/alarmRules';
+
+// Active Alarm Banners Component
+function AlarmBanner({ alarms }) {
+  if (alarms.length === 0) return null;
+
+  return (
+    // Sticky so an alarm stays in view wherever the page is scrolled
+    <div style={{ position: 'sticky', top: '16px', zIndex: 10, marginBottom: '24px' }}>
+      {alarms.map(({ rule, value }) => {
+        const { color } = ALARM_SEVERITIES[rule.severity];
+        return (
+          <div
+            key={rule.id}
+            style={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'center',
+              padding: '12px 20px',
+              marginBottom: '8px',
+              borderRadius: '12px',
+              background: `${color}26`,
+              border: `1px solid ${color}`,
+              color,
+              fontSize: '18px',
+              fontWeight: '600',
+              boxShadow: `0 0 20px ${color}40`
+            }}
+          >
+            <span>⚠ {rule.name}</span>
+            <span style={{ fontFamily: 'monospace' }}>
+              {value.toFixed(1)}{ALARM_METRICS[rule.metric].unit}
+            </span>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default AlarmBanner;
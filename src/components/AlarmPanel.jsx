@@ -0,0 +1,183 @@
+import React, { useRef } from 'react';
+import {
+  ALARM_METRICS,
+  ALARM_OPERATORS,
+  ALARM_SEVERITIES,
+  createAlarmRule,
+  DEFAULT_ALARM_RULES,
+  parseRules,
+  serializeRules
+} from '../alarms/alarmRules';
+import { downloadFile } from '../utils/download';
+import { panelStyle, panelTitleStyle, inputStyle, smallButtonStyle } from '../styles';
+
+const cellInputStyle = { ...inputStyle, marginRight: 0 };
+
+function RuleRow({ rule, active, onChange, onDelete }) {
+  const update = (key, value) => onChange({ ...rule, [key]: value });
+
+  return (
+    <tr style={{ background: active ? `${ALARM_SEVERITIES[rule.severity].color}1a` : 'transparent' }}>
+      <td>
+        <input
+          type="checkbox"
+          checked={rule.enabled}
+          onChange={(e) => update('enabled', e.target.checked)}
+          style={{ accentColor: '#00d4ff' }}
+        />
+      </td>
+      <td>
+        <input
+          type="text"
+          value={rule.name}
+          onChange={(e) => update('name', e.target.value)}
+          style={{ ...cellInputStyle, width: '180px' }}
+        />
+      </td>
+      <td>
+        <select value={rule.metric} onChange={(e) => update('metric', e.target.value)} style={cellInputStyle}>
+          {Object.entries(ALARM_METRICS).map(([value, { label }]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </td>
+      <td>
+        <select value={rule.operator} onChange={(e) => update('operator', e.target.value)} style={cellInputStyle}>
+          {Object.entries(ALARM_OPERATORS).map(([value, { label }]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </td>
+      <td>
+        <input
+          type="number"
+          value={rule.threshold}
+          onChange={(e) => update('threshold', Number(e.target.value))}
+          style={{ ...cellInputStyle, width: '80px' }}
+        />
+        <span style={{ color: '#a0a0a0', marginLeft: '4px' }}>{ALARM_METRICS[rule.metric].unit}</span>
+      </td>
+      <td>
+        <select value={rule.severity} onChange={(e) => update('severity', e.target.value)} style={cellInputStyle}>
+          {Object.entries(ALARM_SEVERITIES).map(([value, { label }]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </td>
+      <td>
+        <input
+          type="checkbox"
+          checked={rule.sound}
+          onChange={(e) => update('sound', e.target.checked)}
+          style={{ accentColor: '#00d4ff' }}
+        />
+      </td>
+      <td>
+        <button onClick={onDelete} style={{ ...smallButtonStyle('#ff6b6b'), marginRight: 0 }}>✕</button>
+      </td>
+    </tr>
+  );
+}
+
+// Alarm Rules and Event Log Component
+function AlarmPanel({ rules, onRulesChange, activeAlarms, log, onClearLog }) {
+  const fileInputRef = useRef(null);
+  const activeIds = new Set(activeAlarms.map((alarm) => alarm.rule.id));
+
+  const updateRule = (updated) => {
+    onRulesChange(rules.map((rule) => (rule.id === updated.id ? updated : rule)));
+  };
+
+  const importRules = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      onRulesChange(parseRules(await file.text()));
+    } catch (error) {
+      console.error('Error importing alarm rules:', error);
+      alert('Failed to import alarm rules: ' + error.message);
+    }
+  };
+
+  return (
+    <div style={panelStyle}>
+      <h3 style={panelTitleStyle}>Alarms</h3>
+
+      <table style={{ borderCollapse: 'separate', borderSpacing: '8px 6px', color: '#e0e0e0', fontSize: '14px', marginBottom: '12px' }}>
+        <thead>
+          <tr style={{ color: '#a0a0a0', textAlign: 'left' }}>
+            <th>On</th>
+            <th>Name</th>
+            <th>Value</th>
+            <th />
+            <th>Threshold</th>
+            <th>Severity</th>
+            <th>Sound</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {rules.map((rule) => (
+            <RuleRow
+              key={rule.id}
+              rule={rule}
+              active={activeIds.has(rule.id)}
+              onChange={updateRule}
+              onDelete={() => onRulesChange(rules.filter((other) => other.id !== rule.id))}
+            />
+          ))}
+        </tbody>
+      </table>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '20px' }}>
+        <button onClick={() => onRulesChange([...rules, createAlarmRule()])} style={smallButtonStyle('#00d4ff')}>
+          + Add Rule
+        </button>
+        <button
+          onClick={() => downloadFile('alarm-rules.json', serializeRules(rules), 'application/json')}
+          style={smallButtonStyle('#00d4ff')}
+        >
+          Export JSON
+        </button>
+        <button onClick={() => fileInputRef.current.click()} style={smallButtonStyle('#00d4ff')}>
+          Import JSON
+        </button>
+        <input ref={fileInputRef} type="file" accept=".json" onChange={importRules} style={{ display: 'none' }} />
+        <button onClick={() => onRulesChange(DEFAULT_ALARM_RULES)} style={smallButtonStyle('#ff6b6b')}>
+          Restore Defaults
+        </button>
+      </div>
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+        <span style={{ color: '#00d4ff', fontWeight: '600' }}>Event log</span>
+        <button onClick={onClearLog} disabled={log.length === 0} style={smallButtonStyle('#ff6b6b')}>
+          Clear
+        </button>
+      </div>
+      <div style={{
+        maxHeight: '200px',
+        overflowY: 'auto',
+        fontFamily: 'monospace',
+        fontSize: '13px',
+        background: 'rgba(10, 10, 15, 0.6)',
+        borderRadius: '8px',
+        padding: '8px 12px'
+      }}>
+        {log.length === 0 && <div style={{ color: '#707070' }}>No alarms yet</div>}
+        {log.map((event, index) => (
+          <div
+            key={index}
+            style={{ color: event.type === 'triggered' ? ALARM_SEVERITIES[event.rule.severity].color : '#a0a0a0' }}
+          >
+            {new Date(event.t).toLocaleTimeString()} {event.type === 'triggered' ? '▲' : '▼'} {event.rule.name}
+            {' '}({event.value.toFixed(1)}{ALARM_METRICS[event.rule.metric].unit})
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default AlarmPanel;
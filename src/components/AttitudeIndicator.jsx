@@ -0,0 +1,109 @@
+import React, { useId } from 'react';
+
+const PX_PER_DEGREE = 2.5;
+const RADIUS = 95;
+const ROLL_ARC_RADIUS = 84;
+const ROLL_TICKS = [-60, -45, -30, -20, -10, 0, 10, 20, 30, 45, 60];
+const PITCH_LADDER = Array.from({ length: 35 }, (_, i) => -85 + i * 5).filter((pitch) => pitch !== 0);
+
+const PALETTES = {
+  instrument: { sky: '#2a6fb0', ground: '#7a4b24', lines: '#ffffff', symbol: '#ffc107', text: '#e0e0e0' },
+  hud: { sky: 'none', ground: 'none', lines: '#00ff88', symbol: '#00ff88', text: '#00ff88' },
+};
+
+function polar(radius, degrees) {
+  const angle = (degrees * Math.PI) / 180;
+  return { x: radius * Math.sin(angle), y: -radius * Math.cos(angle) };
+}
+
+function PitchLadder({ color }) {
+  return PITCH_LADDER.map((pitch) => {
+    const y = -pitch * PX_PER_DEGREE;
+    const major = pitch % 10 === 0;
+    const halfWidth = major ? 28 : 12;
+    return (
+      <g key={pitch}>
+        <line
+          x1={-halfWidth}
+          y1={y}
+          x2={halfWidth}
+          y2={y}
+          stroke={color}
+          strokeWidth={1.5}
+          strokeDasharray={pitch < 0 ? '5 3' : undefined}
+        />
+        {major && [-1, 1].map((side) => (
+          <text
+            key={side}
+            x={side * (halfWidth + 12)}
+            y={y + 4}
+            textAnchor="middle"
+            fill={color}
+            fontSize="10"
+            fontFamily="monospace"
+          >
+            {Math.abs(pitch)}
+          </text>
+        ))}
+      </g>
+    );
+  });
+}
+
+// Artificial horizon: the horizon and pitch ladder turn and shift with the vehicle, the aircraft symbol
+// and roll scale stay put. The "hud" variant draws lines only, for laying over the 3D view.
+function AttitudeIndicator({ roll, pitch, size = 220, variant = 'instrument' }) {
+  const colors = PALETTES[variant];
+  const clipId = useId();
+  const bankPointer = polar(ROLL_ARC_RADIUS, -roll);
+
+  return (
+    <svg width={size} height={size} viewBox="-100 -100 200 200" style={{ display: 'block' }}>
+      <defs>
+        <clipPath id={clipId}>
+          <circle r={RADIUS} />
+        </clipPath>
+      </defs>
+
+      <g clipPath={`url(#${clipId})`}>
+        <g transform={`rotate(${-roll}) translate(0 ${pitch * PX_PER_DEGREE})`}>
+          <rect x={-300} y={-600} width={600} height={600} fill={colors.sky} />
+          <rect x={-300} y={0} width={600} height={600} fill={colors.ground} />
+          <line x1={-300} y1={0} x2={300} y2={0} stroke={colors.lines} strokeWidth={2} />
+          <PitchLadder color={colors.lines} />
+        </g>
+      </g>
+      {variant === 'instrument' && (
+        <circle r={RADIUS} fill="none" stroke="rgba(0, 212, 255, 0.4)" strokeWidth={3} />
+      )}
+
+      {/* Roll scale, fixed to the instrument */}
+      {ROLL_TICKS.map((tick) => {
+        const inner = polar(ROLL_ARC_RADIUS, tick);
+        const outer = polar(ROLL_ARC_RADIUS + (tick % 30 === 0 ? 10 : 6), tick);
+        return (
+          <line key={tick} x1={inner.x} y1={inner.y} x2={outer.x} y2={outer.y} stroke={colors.lines} strokeWidth={2} />
+        );
+      })}
+      {/* Bank pointer, turning with the horizon */}
+      <polygon
+        points="0,0 -6,10 6,10"
+        transform={`translate(${bankPointer.x} ${bankPointer.y}) rotate(${-roll})`}
+        fill={colors.symbol}
+      />
+
+      {/* Aircraft symbol */}
+      <g stroke={colors.symbol} strokeWidth={4} strokeLinecap="round" fill="none">
+        <polyline points="-48,0 -18,0 -10,8" />
+        <polyline points="48,0 18,0 10,8" />
+      </g>
+      <circle r={3} fill={colors.symbol} />
+
+      <text x={0} y={78} textAnchor="middle" fill={colors.text} fontSize="11" fontFamily="monospace">
+        R {roll.toFixed(1)}° · P {pitch.toFixed(1)}°
+      </text>
+    </svg>
+  );
+}
+
+export default AttitudeIndicator;
@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import { panelStyle, panelTitleStyle, labelStyle, inputStyle, smallButtonStyle } from '../styles';
+
+const AXES = ['roll', 'pitch', 'yaw'];
+
+// Zero / Mounting Offset Component
+function CalibrationPanel({ mountOffset, onMountOffsetChange, onCaptureMount, tareActive, onTare, onClearTare }) {
+  const [draft, setDraft] = useState(null);
+  const values = draft ?? mountOffset;
+  const isDirty = draft !== null && AXES.some((axis) => draft[axis] !== mountOffset[axis]);
+
+  const applyDraft = () => {
+    onMountOffsetChange(draft);
+    setDraft(null);
+  };
+
+  return (
+    <div style={panelStyle}>
+      <h3 style={panelTitleStyle}>Zero &amp; Mounting Offset</h3>
+
+      <div style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: '8px', marginBottom: '16px' }}>
+        <button onClick={onTare} style={smallButtonStyle('#00d4ff')}>
+          Set Current as Zero
+        </button>
+        <button onClick={onClearTare} disabled={!tareActive} style={smallButtonStyle('#ff6b6b')}>
+          Clear Zero
+        </button>
+        <span style={{ color: tareActive ? '#ffc107' : '#a0a0a0', fontSize: '14px' }}>
+          {tareActive ? '● Zero offset applied' : 'No zero offset'}
+        </span>
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: '8px' }}>
+        <label style={labelStyle}>Mounting offset (°):</label>
+        {AXES.map((axis) => (
+          <span key={axis}>
+            <span style={{ color: '#a0a0a0', marginRight: '4px' }}>{axis}</span>
+            <input
+              type="number"
+              step="0.5"
+              value={Number(values[axis].toFixed(2))}
+              onChange={(e) => setDraft({ ...values, [axis]: Number(e.target.value) })}
+              style={{ ...inputStyle, width: '80px' }}
+            />
+          </span>
+        ))}
+        <button onClick={applyDraft} disabled={!isDirty} style={smallButtonStyle('#00d4ff')}>
+          Apply
+        </button>
+        <button onClick={onCaptureMount} style={smallButtonStyle('#ffc107')}>
+          Capture from Pose
+        </button>
+        <button
+          onClick={() => {
+            setDraft(null);
+            onMountOffsetChange({ roll: 0, pitch: 0, yaw: 0 });
+          }}
+          style={smallButtonStyle('#ff6b6b')}
+        >
+          Clear
+        </button>
+      </div>
+      <p style={{ color: '#707070', fontSize: '13px', margin: '12px 0 0 0' }}>
+        The mounting offset is saved in this browser. Capture it with the vehicle sitting level and pointing forward.
+      </p>
+    </div>
+  );
+}
+
+export default CalibrationPanel;
@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import TimeSeriesChart from './TimeSeriesChart';
+import { CHART_WINDOWS } from '../charts/chartWindows';
+import { panelStyle, panelTitleStyle, labelStyle, inputStyle, smallButtonStyle } from '../styles';
+
+const EULER_CHANNELS = [
+  { key: 'roll', label: 'Roll', color: '#00d4ff' },
+  { key: 'pitch', label: 'Pitch', color: '#ff6b6b' },
+  { key: 'yaw', label: 'Yaw', color: '#8a2be2' },
+];
+
+const QUATERNION_CHANNELS = [
+  { key: 'w', label: 'W', color: '#00d4ff' },
+  { key: 'x', label: 'X', color: '#ff6b6b' },
+  { key: 'y', label: 'Y', color: '#8a2be2' },
+  { key: 'z', label: 'Z', color: '#ffc107' },
+];
+
+function ChartLegend({ channels }) {
+  return (
+    <div style={{ display: 'flex', gap: '16px', marginBottom: '6px', fontSize: '14px' }}>
+      {channels.map((channel) => (
+        <span key={channel.key} style={{ color: channel.color, fontWeight: '600' }}>
+          ━ {channel.label}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+function RangeInputs({ range, onChange }) {
+  return (
+    <span>
+      <input
+        type="number"
+        value={range[0]}
+        onChange={(e) => onChange([Number(e.target.value), range[1]])}
+        style={{ ...inputStyle, width: '70px', marginRight: '4px' }}
+      />
+      to
+      <input
+        type="number"
+        value={range[1]}
+        onChange={(e) => onChange([range[0], Number(e.target.value)])}
+        style={{ ...inputStyle, width: '70px', marginLeft: '4px' }}
+      />
+    </span>
+  );
+}
+
+// Time-Series Charts Component
+function ChartsPanel({ history }) {
+  const [windowMs, setWindowMs] = useState(10000);
+  const [frozenAt, setFrozenAt] = useState(null);
+  const [autoScale, setAutoScale] = useState(true);
+  const [eulerRange, setEulerRange] = useState([-180, 180]);
+  const [quaternionRange, setQuaternionRange] = useState([-1, 1]);
+  const validRange = (range) => range[1] > range[0];
+
+  return (
+    <div style={panelStyle}>
+      <h3 style={panelTitleStyle}>Orientation History</h3>
+
+      <div style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: '8px', marginBottom: '16px' }}>
+        <label style={labelStyle}>Window:</label>
+        <select value={windowMs} onChange={(e) => setWindowMs(Number(e.target.value))} style={inputStyle}>
+          {CHART_WINDOWS.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => setFrozenAt(frozenAt === null ? Date.now() : null)}
+          style={smallButtonStyle(frozenAt === null ? '#00d4ff' : '#ffc107')}
+        >
+          {frozenAt === null ? '❚❚ Freeze' : '▶ Resume'}
+        </button>
+        <button onClick={() => history.clear()} style={smallButtonStyle('#ff6b6b')}>
+          Clear
+        </button>
+        <label style={labelStyle}>Y scale:</label>
+        <select
+          value={autoScale ? 'auto' : 'fixed'}
+          onChange={(e) => setAutoScale(e.target.value === 'auto')}
+          style={inputStyle}
+        >
+          <option value="auto">Auto</option>
+          <option value="fixed">Fixed</option>
+        </select>
+      </div>
+
+      <div style={{ marginBottom: '20px' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <ChartLegend channels={EULER_CHANNELS} />
+          {!autoScale && <RangeInputs range={eulerRange} onChange={setEulerRange} />}
+        </div>
+        <TimeSeriesChart
+          buffer={history.euler}
+          channels={EULER_CHANNELS}
+          windowMs={windowMs}
+          frozenAt={frozenAt}
+          yRange={!autoScale && validRange(eulerRange) ? eulerRange : null}
+          units="°"
+        />
+      </div>
+
+      <div>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <ChartLegend channels={QUATERNION_CHANNELS} />
+          {!autoScale && <RangeInputs range={quaternionRange} onChange={setQuaternionRange} />}
+        </div>
+        <TimeSeriesChart
+          buffer={history.quaternion}
+          channels={QUATERNION_CHANNELS}
+          windowMs={windowMs}
+          frozenAt={frozenAt}
+          yRange={!autoScale && validRange(quaternionRange) ? quaternionRange : null}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default ChartsPanel;
@@ -0,0 +1,58 @@
+import React from 'react';
+
+const RADIUS = 90;
+const TICKS = Array.from({ length: 72 }, (_, i) => i * 5);
+const CARDINALS = { 0: 'N', 90: 'E', 180: 'S', 270: 'W' };
+
+// Heading indicator: the card turns under a fixed lubber line at the top
+function CompassRose({ heading, size = 200 }) {
+  return (
+    <svg width={size} height={size} viewBox="-100 -100 200 200" style={{ display: 'block' }}>
+      <circle r={RADIUS + 6} fill="rgba(20, 20, 30, 0.8)" stroke="rgba(0, 212, 255, 0.4)" strokeWidth={3} />
+      <g transform={`rotate(${-heading})`}>
+        {TICKS.map((degrees) => {
+          const length = degrees % 30 === 0 ? 12 : degrees % 10 === 0 ? 8 : 4;
+          return (
+            <line
+              key={degrees}
+              x1={0}
+              y1={-RADIUS}
+              x2={0}
+              y2={-RADIUS + length}
+              transform={`rotate(${degrees})`}
+              stroke="#e0e0e0"
+              strokeWidth={degrees % 10 === 0 ? 1.5 : 1}
+            />
+          );
+        })}
+        {TICKS.filter((degrees) => degrees % 30 === 0).map((degrees) => (
+          <text
+            key={degrees}
+            x={0}
+            y={-RADIUS + 26}
+            transform={`rotate(${degrees})`}
+            textAnchor="middle"
+            fill={CARDINALS[degrees] ? '#ffc107' : '#e0e0e0'}
+            fontSize={CARDINALS[degrees] ? '15' : '12'}
+            fontWeight="700"
+            fontFamily="monospace"
+          >
+            {CARDINALS[degrees] ?? degrees / 10}
+          </text>
+        ))}
+      </g>
+
+      <line x1={0} y1={-RADIUS - 4} x2={0} y2={-RADIUS + 16} stroke="#00d4ff" strokeWidth={3} />
+      <g stroke="#ffc107" strokeWidth={3} strokeLinecap="round">
+        <line x1={0} y1={-22} x2={0} y2={20} />
+        <line x1={-20} y1={-4} x2={20} y2={-4} />
+        <line x1={-8} y1={16} x2={8} y2={16} />
+      </g>
+      <text x={0} y={48} textAnchor="middle" fill="#00d4ff" fontSize="16" fontWeight="700" fontFamily="monospace">
+        {String(Math.round(heading) % 360).padStart(3, '0')}°
+      </text>
+    </svg>
+  );
+}
+
+export default CompassRose;
@@ -0,0 +1,126 @@
+import React, { useMemo, useState } from 'react';
+import Scene from './Scene';
+import { deviceQuaternion, relativeQuaternion } from '../devices/deviceState';
+import { quaternionToEuler } from '../orientation/euler';
+import { quaternionAngleBetween, IDENTITY_QUATERNION } from '../orientation/quaternion';
+import { panelStyle, panelTitleStyle, labelStyle, inputStyle, smallButtonStyle } from '../styles';
+
+const AXES = ['roll', 'pitch', 'yaw'];
+
+function formatEuler(euler) {
+  return AXES.map((axis) => `${axis} ${euler[axis].toFixed(1)}°`).join('  ');
+}
+
+function DeviceCell({ device, eulerOrder, frame, model, modelSettings, focused, onFocus }) {
+  // An Object3D can only sit in one scene, so every cell gets its own copy of the vehicle
+  const cellModel = useMemo(() => (model ? { ...model, object: model.object.clone() } : null), [model]);
+  const quaternion = deviceQuaternion(device, eulerOrder);
+  const euler = device.euler ?? quaternionToEuler(quaternion, eulerOrder);
+
+  return (
+    <div style={{
+      padding: '12px',
+      borderRadius: '12px',
+      background: 'rgba(20, 20, 30, 0.8)',
+      border: focused ? '1px solid #00d4ff' : '1px solid rgba(0, 212, 255, 0.2)'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+        <span style={{ color: '#00d4ff', fontWeight: '600' }}>{device.id}</span>
+        <button onClick={onFocus} disabled={focused} style={{ ...smallButtonStyle('#00d4ff'), marginRight: 0 }}>
+          {focused ? 'Main view' : 'Show in main view'}
+        </button>
+      </div>
+      <Scene
+        quaternion={quaternion}
+        frame={frame}
+        model={cellModel}
+        modelSettings={modelSettings}
+        height="220px"
+      />
+      <div style={{ marginTop: '8px', fontFamily: 'monospace', fontSize: '13px', color: '#e0e0e0', lineHeight: '1.6' }}>
+        <div>{formatEuler(euler)}</div>
+        <div style={{ color: '#a0a0a0' }}>
+          q {['w', 'x', 'y', 'z'].map((c) => quaternion[c].toFixed(3)).join(' ')}
+        </div>
+        <div style={{ color: '#707070' }}>{device.sampleCount} samples</div>
+      </div>
+    </div>
+  );
+}
+
+// Multi-IMU Overview Component
+function DeviceGrid({ devices, focusedDevice, onFocusedDeviceChange, onClear, frame, model, modelSettings }) {
+  const [pair, setPair] = useState({ a: '', b: '' });
+  const ids = Object.keys(devices);
+  const eulerOrder = frame.eulerOrder;
+
+  const relative = useMemo(() => {
+    const a = devices[pair.a];
+    const b = devices[pair.b];
+    if (!a || !b) return null;
+    const q = relativeQuaternion(deviceQuaternion(a, eulerOrder), deviceQuaternion(b, eulerOrder));
+    return { quaternion: q, euler: quaternionToEuler(q, eulerOrder), angle: quaternionAngleBetween(IDENTITY_QUATERNION, q) };
+  }, [devices, pair, eulerOrder]);
+
+  if (ids.length < 2) return null;
+
+  const deviceSelect = (key) => (
+    <select
+      value={pair[key]}
+      onChange={(e) => setPair((prev) => ({ ...prev, [key]: e.target.value }))}
+      style={inputStyle}
+    >
+      <option value="">Choose…</option>
+      {ids.map((id) => (
+        <option key={id} value={id}>{id}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div style={panelStyle}>
+      <h3 style={panelTitleStyle}>IMUs ({ids.length})</h3>
+
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fill, minmax(280px, 1fr))',
+        gap: '16px',
+        marginBottom: '20px'
+      }}>
+        {ids.map((id) => (
+          <DeviceCell
+            key={id}
+            device={devices[id]}
+            eulerOrder={eulerOrder}
+            frame={frame}
+            model={model}
+            modelSettings={modelSettings}
+            focused={id === focusedDevice}
+            onFocus={() => onFocusedDeviceChange(id)}
+          />
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: '8px' }}>
+        <label style={labelStyle}>Relative orientation of</label>
+        {deviceSelect('b')}
+        <label style={labelStyle}>seen from</label>
+        {deviceSelect('a')}
+        <button onClick={onClear} style={smallButtonStyle('#ff6b6b')}>
+          Forget Devices
+        </button>
+      </div>
+      {relative && (
+        <div style={{ marginTop: '12px', fontFamily: 'monospace', fontSize: '14px', color: '#e0e0e0', lineHeight: '1.6' }}>
+          <div>{formatEuler(relative.euler)}</div>
+          <div style={{ color: '#ffc107' }}>total angle {relative.angle.toFixed(2)}°</div>
+        </div>
+      )}
+      <p style={{ color: '#707070', fontSize: '13px', margin: '12px 0 0 0' }}>
+        Orientations here are as reported by each IMU; the zero and mounting offset only apply to the main view.
+      </p>
+    </div>
+  );
+}
+
+export default DeviceGrid;
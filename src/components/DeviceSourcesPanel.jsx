@@ -0,0 +1,152 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { createReplaySource, createSerialSource, createWebSocketSource, SOURCE_STATE, STATUS_DISPLAY } from '../sources';
+import { parseSession } from '../recording/sessionFile';
+import {
+  panelStyle,
+  panelTitleStyle,
+  labelStyle,
+  inputStyle,
+  smallButtonStyle,
+  statusTextStyle
+} from '../styles';
+
+const EXTRA_SOURCE_TYPES = [
+  { value: 'serial', label: 'Serial Port' },
+  { value: 'websocket', label: 'WebSocket' },
+  { value: 'replay', label: 'Replay File' },
+];
+
+function DeviceSourceRow({ id, source, onRemove }) {
+  const [status, setStatus] = useState(source.getStatus());
+
+  useEffect(() => {
+    setStatus(source.getStatus());
+    return source.on('status', setStatus);
+  }, [source]);
+
+  const statusDisplay = STATUS_DISPLAY[status.state];
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', marginBottom: '8px' }}>
+      <span style={{ color: '#e0e0e0', fontWeight: '600', minWidth: '140px' }}>{id}</span>
+      <span style={{ color: '#a0a0a0', minWidth: '100px' }}>{source.type}</span>
+      <button onClick={onRemove} style={smallButtonStyle('#ff6b6b')}>
+        Remove
+      </button>
+      <span style={{ ...statusTextStyle(statusDisplay.color), fontSize: '14px' }}>
+        {statusDisplay.label}
+        {status.state !== SOURCE_STATE.CONNECTED && status.message && ` (${status.message})`}
+      </span>
+    </div>
+  );
+}
+
+// Additional Device Sources Component
+// Each extra source is dedicated to one IMU; samples without their own ID are tagged with the name given here.
+function DeviceSourcesPanel({ deviceSources, onDeviceSourcesChange }) {
+  const [deviceId, setDeviceId] = useState('');
+  const [type, setType] = useState('serial');
+  const [url, setUrl] = useState('ws://192.168.2.195:81');
+  const [error, setError] = useState('');
+  const fileInputRef = useRef(null);
+  const trimmedId = deviceId.trim();
+  const idTaken = deviceSources.some((entry) => entry.id === trimmedId);
+  const canAdd = trimmedId !== '' && !idTaken && (type !== 'websocket' || url !== '');
+
+  // `file` is the session chosen for a replay source
+  const addSource = async (file = null) => {
+    setError('');
+    let source;
+    try {
+      if (type === 'serial') {
+        const port = await navigator.serial.requestPort();
+        source = createSerialSource({ port });
+      } else if (type === 'replay') {
+        source = createReplaySource({ records: parseSession(await file.text()), name: file.name });
+      } else {
+        source = createWebSocketSource({ url });
+      }
+    } catch (err) {
+      // Cancelling the port picker is not an error worth reporting
+      if (err.name !== 'NotFoundError') setError(err.message);
+      return;
+    }
+
+    onDeviceSourcesChange([...deviceSources, { id: trimmedId, source }]);
+    setDeviceId('');
+    try {
+      await source.connect();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const chooseReplayFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) addSource(file);
+  };
+
+  const removeSource = (entry) => {
+    entry.source.disconnect();
+    onDeviceSourcesChange(deviceSources.filter((other) => other !== entry));
+  };
+
+  return (
+    <div style={panelStyle}>
+      <h3 style={panelTitleStyle}>Additional IMUs</h3>
+
+      {deviceSources.map((entry) => (
+        <DeviceSourceRow
+          key={entry.id}
+          id={entry.id}
+          source={entry.source}
+          onRemove={() => removeSource(entry)}
+        />
+      ))}
+
+      <div style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: '8px', marginTop: deviceSources.length ? '16px' : 0 }}>
+        <label style={labelStyle}>Device ID:</label>
+        <input
+          type="text"
+          value={deviceId}
+          onChange={(e) => setDeviceId(e.target.value)}
+          placeholder="payload"
+          style={{ ...inputStyle, width: '140px' }}
+        />
+        <select value={type} onChange={(e) => setType(e.target.value)} style={inputStyle}>
+          {EXTRA_SOURCE_TYPES.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        {type === 'websocket' && (
+          <input
+            type="text"
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            placeholder="ws://host:port/path"
+            style={{ ...inputStyle, width: '240px' }}
+          />
+        )}
+        <button
+          onClick={() => (type === 'replay' ? fileInputRef.current.click() : addSource())}
+          disabled={!canAdd}
+          style={smallButtonStyle('#00d4ff')}
+        >
+          {type === 'serial' ? 'Choose Port & Connect' : type === 'replay' ? 'Choose File & Play' : 'Connect'}
+        </button>
+        <input ref={fileInputRef} type="file" accept=".ndjson,.jsonl,.json,.csv" onChange={chooseReplayFile} style={{ display: 'none' }} />
+        {idTaken && <span style={{ color: '#ffc107', fontSize: '14px' }}>ID already in use</span>}
+      </div>
+      {error && (
+        <div style={{ marginTop: '12px', color: '#ff6b6b', fontSize: '14px', whiteSpace: 'pre-line' }}>{error}</div>
+      )}
+      <p style={{ color: '#707070', fontSize: '13px', margin: '12px 0 0 0' }}>
+        Samples carrying a "device", "deviceId" or "id" field keep their own ID, so one link can also carry several IMUs.
+        A replay file plays once from the start, e.g. as a reference to compare the live orientation against.
+      </p>
+    </div>
+  );
+}
+
+export default DeviceSourcesPanel;
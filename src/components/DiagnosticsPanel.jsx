@@ -0,0 +1,151 @@
+import React, { useEffect, useState } from 'react';
+import { isDebugLogging, setDebugLogging } from '../utils/debugLog';
+import { panelStyle, panelTitleStyle, labelStyle, inputStyle, smallButtonStyle } from '../styles';
+
+const DIAGNOSTIC_WINDOWS = [5, 10, 30, 60];
+const REFRESH_INTERVAL = 500;
+const HISTOGRAM_WIDTH = 360;
+const HISTOGRAM_HEIGHT = 90;
+
+// Decoder counters that are healthy at zero
+const ERROR_KEYS = new Set([
+  'parseErrors', 'rejected', 'badMessages', 'overflows', 'crcErrors', 'framingErrors', 'unknownType', 'badLength', 'failures'
+]);
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KiB`;
+  return `${(bytes / 1024 / 1024).toFixed(2)} MiB`;
+}
+
+function Counter({ label, value, warn = false }) {
+  return (
+    <div style={{ minWidth: '130px' }}>
+      <div style={{ color: '#a0a0a0', fontSize: '13px' }}>{label}</div>
+      <div style={{ color: warn ? '#ffc107' : '#e0e0e0', fontSize: '20px', fontWeight: '700', fontFamily: 'monospace' }}>
+        {value}
+      </div>
+    </div>
+  );
+}
+
+function Histogram({ title, summary, color }) {
+  if (!summary) {
+    return (
+      <div style={{ marginBottom: '16px' }}>
+        <div style={{ color, fontWeight: '600', fontSize: '14px' }}>{title}</div>
+        <div style={{ color: '#707070', fontSize: '13px' }}>No data in this window</div>
+      </div>
+    );
+  }
+
+  const { histogram } = summary;
+  const peak = Math.max(...histogram.bins);
+  const barWidth = HISTOGRAM_WIDTH / histogram.bins.length;
+  const maxValue = histogram.min + histogram.binWidth * histogram.bins.length;
+
+  return (
+    <div style={{ marginBottom: '16px' }}>
+      <div style={{ color, fontWeight: '600', fontSize: '14px', marginBottom: '4px' }}>
+        {title}
+        <span style={{ color: '#a0a0a0', fontWeight: '400', fontFamily: 'monospace', marginLeft: '12px' }}>
+          mean {summary.mean.toFixed(2)} ms · σ {summary.stdDev.toFixed(2)} ms · min {summary.min.toFixed(1)} · max {summary.max.toFixed(1)} · n {summary.count}
+        </span>
+      </div>
+      <svg width={HISTOGRAM_WIDTH} height={HISTOGRAM_HEIGHT + 16} style={{ display: 'block' }}>
+        {histogram.bins.map((count, i) => {
+          const barHeight = peak > 0 ? (count / peak) * HISTOGRAM_HEIGHT : 0;
+          return (
+            <rect
+              key={i}
+              x={i * barWidth + 1}
+              y={HISTOGRAM_HEIGHT - barHeight}
+              width={barWidth - 2}
+              height={barHeight}
+              fill={color}
+              opacity={0.8}
+            />
+          );
+        })}
+        <text x={0} y={HISTOGRAM_HEIGHT + 13} fill="#a0a0a0" fontSize="11" fontFamily="monospace">
+          {histogram.min.toFixed(1)} ms
+        </text>
+        <text x={HISTOGRAM_WIDTH} y={HISTOGRAM_HEIGHT + 13} fill="#a0a0a0" fontSize="11" fontFamily="monospace" textAnchor="end">
+          {maxValue.toFixed(1)} ms
+        </text>
+      </svg>
+    </div>
+  );
+}
+
+// Link Diagnostics Component
+function DiagnosticsPanel({ diagnostics, source }) {
+  const [windowSeconds, setWindowSeconds] = useState(10);
+  const [snapshot, setSnapshot] = useState(() => diagnostics.snapshot(windowSeconds * 1000));
+  const [linkStats, setLinkStats] = useState(null);
+  const [debugLogging, setDebugLoggingState] = useState(isDebugLogging);
+
+  useEffect(() => {
+    const refresh = () => {
+      setSnapshot(diagnostics.snapshot(windowSeconds * 1000));
+      setLinkStats(source?.getStats ? source.getStats() : null);
+    };
+    refresh();
+    const timer = setInterval(refresh, REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [diagnostics, source, windowSeconds]);
+
+  const toggleDebugLogging = (enabled) => {
+    setDebugLogging(enabled);
+    setDebugLoggingState(enabled);
+  };
+
+  return (
+    <div style={panelStyle}>
+      <h3 style={panelTitleStyle}>Link Diagnostics</h3>
+
+      <div style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: '8px', marginBottom: '16px' }}>
+        <label style={labelStyle}>Window:</label>
+        <select value={windowSeconds} onChange={(e) => setWindowSeconds(Number(e.target.value))} style={inputStyle}>
+          {DIAGNOSTIC_WINDOWS.map((seconds) => (
+            <option key={seconds} value={seconds}>{seconds} s</option>
+          ))}
+        </select>
+        <button onClick={() => diagnostics.reset()} style={smallButtonStyle('#ff6b6b')}>
+          Reset Counters
+        </button>
+        <label style={{ ...labelStyle, cursor: 'pointer' }}>
+          <input
+            type="checkbox"
+            checked={debugLogging}
+            onChange={(e) => toggleDebugLogging(e.target.checked)}
+            style={{ marginRight: '6px', accentColor: '#00d4ff' }}
+          />
+          Debug logging to console
+        </label>
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '16px', marginBottom: '20px' }}>
+        <Counter label="Received" value={formatBytes(snapshot.bytes)} />
+        <Counter label="Samples" value={snapshot.samples} />
+        <Counter label="Samples/s" value={snapshot.sampleRate.toFixed(1)} />
+        <Counter label="Dropped (seq)" value={snapshot.seqDropped} warn={snapshot.seqDropped > 0} />
+        <Counter label="Out of order (seq)" value={snapshot.seqOutOfOrder} warn={snapshot.seqOutOfOrder > 0} />
+        {linkStats && Object.entries(linkStats).map(([key, count]) => (
+          <Counter key={key} label={key} value={count} warn={ERROR_KEYS.has(key) && count > 0} />
+        ))}
+      </div>
+
+      <Histogram title="Inter-sample interval" summary={snapshot.interval} color="#00d4ff" />
+      {source?.type === 'http' && (
+        <Histogram title="HTTP round-trip latency" summary={snapshot.latency} color="#ffc107" />
+      )}
+      <p style={{ color: '#707070', fontSize: '13px', margin: 0 }}>
+        Dropped samples are counted from gaps in a "seq" field, when the device sends one. Decoder counters
+        cover the link since it was connected.
+      </p>
+    </div>
+  );
+}
+
+export default DiagnosticsPanel;
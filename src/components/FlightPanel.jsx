@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import Gauge from './Gauge';
+import TimeSeriesChart from './TimeSeriesChart';
+import { CHART_WINDOWS } from '../charts/chartWindows';
+import { panelStyle, panelTitleStyle, labelStyle, inputStyle, smallButtonStyle } from '../styles';
+
+const LOW_BATTERY = 3.5; // V, one LiPo cell
+
+const SERIES = [
+  { key: 'altitude', label: 'Baro altitude', units: ' m', color: '#00d4ff' },
+  { key: 'verticalSpeed', label: 'Vertical speed', units: ' m/s', color: '#ff6b6b' },
+  { key: 'accelMagnitude', label: 'Acceleration', units: '', color: '#8a2be2' },
+  { key: 'battery', label: 'Battery', units: ' V', color: '#ffc107' },
+];
+
+const readoutStyle = {
+  fontFamily: 'monospace',
+  fontSize: '14px',
+  color: '#e0e0e0',
+  lineHeight: '1.8'
+};
+
+// Flight Telemetry Component (altitude, vertical speed, acceleration, battery, GPS)
+function FlightPanel({ flight, history, track, onResetLaunch }) {
+  const [windowMs, setWindowMs] = useState(60000);
+  const origin = track.getOrigin();
+  const position = track.getLatest();
+  const chartedSeries = SERIES.filter((series) => history[series.key].getSize() > 0);
+
+  return (
+    <div style={panelStyle}>
+      <h3 style={panelTitleStyle}>Flight Telemetry</h3>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '16px', justifyContent: 'space-around', marginBottom: '20px' }}>
+        <Gauge label="Baro altitude" value={flight.altitude} min={0} max={3000} unit="m" decimals={0} color="#00d4ff" />
+        <Gauge label="Vertical speed" value={flight.verticalSpeed} min={-100} max={300} unit="m/s" color="#ff6b6b" />
+        <Gauge label="Acceleration" value={flight.accelMagnitude} min={0} max={16} unit="|a|" decimals={2} color="#8a2be2" />
+        <Gauge
+          label="Battery"
+          value={flight.battery}
+          min={3.0}
+          max={4.2}
+          unit="V"
+          decimals={2}
+          color="#ffc107"
+          warnBelow={LOW_BATTERY}
+        />
+      </div>
+
+      <div style={{ ...readoutStyle, marginBottom: '20px' }}>
+        {flight.gps ? (
+          <>
+            <div>
+              GPS {flight.gps.lat.toFixed(6)}, {flight.gps.lon.toFixed(6)} · {flight.gps.alt.toFixed(1)} m
+            </div>
+            {position && (
+              <div style={{ color: '#a0a0a0' }}>
+                from launch: E {position.e.toFixed(1)} m · N {position.n.toFixed(1)} m · U {position.u.toFixed(1)} m ·
+                range {Math.hypot(position.e, position.n).toFixed(1)} m
+              </div>
+            )}
+            {origin && (
+              <div style={{ color: '#707070' }}>
+                launch point {origin.lat.toFixed(6)}, {origin.lon.toFixed(6)} · {origin.alt.toFixed(1)} m
+              </div>
+            )}
+          </>
+        ) : (
+          <div style={{ color: '#707070' }}>No GPS fix received</div>
+        )}
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: '8px', marginBottom: '16px' }}>
+        <label style={labelStyle}>Window:</label>
+        <select value={windowMs} onChange={(e) => setWindowMs(Number(e.target.value))} style={inputStyle}>
+          {CHART_WINDOWS.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <button onClick={onResetLaunch} style={smallButtonStyle('#ffc107')}>
+          Reset Launch Point
+        </button>
+        <button onClick={() => history.clear()} style={smallButtonStyle('#ff6b6b')}>
+          Clear Charts
+        </button>
+      </div>
+
+      {chartedSeries.map((series) => (
+        <div key={series.key} style={{ marginBottom: '16px' }}>
+          <div style={{ color: series.color, fontWeight: '600', fontSize: '14px', marginBottom: '6px' }}>
+            ━ {series.label}
+          </div>
+          <TimeSeriesChart
+            buffer={history[series.key]}
+            channels={[series]}
+            windowMs={windowMs}
+            units={series.units}
+            height={140}
+          />
+        </div>
+      ))}
+      <p style={{ color: '#707070', fontSize: '13px', margin: 0 }}>
+        The launch point is the first GPS fix after a reset; the trajectory view in the 3D panel is drawn from it.
+      </p>
+    </div>
+  );
+}
+
+export default FlightPanel;
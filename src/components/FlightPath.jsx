@@ -0,0 +1,70 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+
+// The whole flight is scaled to fit inside this radius, however far it went
+const VIEW_RADIUS = 4;
+const MIN_EXTENT = 10; // m, so the first few metres don't fill the view
+
+// Draws a flight track (ENU metres) and carries its children along at the latest position.
+// ENU maps to three.js as east → +x, up → +y, north → -z (into the screen).
+function FlightPath({ track, children }) {
+  const pathRef = useRef();
+  const vehicleRef = useRef();
+  const drawn = useRef({ version: -1, size: 0 });
+
+  const line = useMemo(() => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(track.positions.length), 3));
+    geometry.setDrawRange(0, 0);
+    return new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: '#ffc107' }));
+  }, [track]);
+
+  useEffect(() => () => {
+    line.geometry.dispose();
+    line.material.dispose();
+  }, [line]);
+
+  // Reads the track directly each frame rather than re-rendering React at the GPS rate
+  useFrame(() => {
+    const version = track.getVersion();
+    if (version === drawn.current.version) return;
+
+    const size = track.getSize();
+    const attribute = line.geometry.getAttribute('position');
+    const from = size < drawn.current.size ? 0 : drawn.current.size;
+    for (let i = from; i < size; i++) {
+      attribute.setXYZ(i, track.positions[i * 3], track.positions[i * 3 + 2], -track.positions[i * 3 + 1]);
+    }
+    attribute.needsUpdate = true;
+    line.geometry.setDrawRange(0, size);
+    line.geometry.computeBoundingSphere();
+
+    const scale = VIEW_RADIUS / Math.max(track.getExtent(), MIN_EXTENT);
+    pathRef.current.scale.setScalar(scale);
+    const latest = track.getLatest();
+    if (latest) {
+      vehicleRef.current.position.set(latest.e * scale, latest.u * scale, -latest.n * scale);
+    } else {
+      vehicleRef.current.position.set(0, 0, 0);
+    }
+
+    drawn.current = { version, size };
+  });
+
+  return (
+    <>
+      <gridHelper args={[2 * VIEW_RADIUS, 8, '#335566', '#223344']} />
+      <mesh position={[0, 0, 0]}>
+        <sphereGeometry args={[0.08, 16, 16]} />
+        <meshBasicMaterial color="#ff6b6b" />
+      </mesh>
+      <group ref={pathRef}>
+        <primitive object={line} />
+      </group>
+      <group ref={vehicleRef}>{children}</group>
+    </>
+  );
+}
+
+export default FlightPath;
@@ -0,0 +1,84 @@
+import React from 'react';
+import { EULER_ORDERS, FRAME_PRESETS, isValidFrame, THREE_AXES } from '../orientation/threeFrame';
+import { panelStyle, panelTitleStyle, labelStyle, inputStyle } from '../styles';
+
+const rowStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  flexWrap: 'wrap',
+  gap: '8px',
+  marginBottom: '12px'
+};
+
+// Coordinate Frame Settings Component
+function FramePanel({ frame, onFrameChange, showAxes, onShowAxesChange }) {
+  const valid = isValidFrame(frame);
+
+  const selectPreset = (preset) => {
+    if (preset === 'custom') {
+      onFrameChange({ ...frame, preset });
+    } else {
+      onFrameChange({ ...frame, preset, axes: FRAME_PRESETS[preset].axes });
+    }
+  };
+
+  const setAxis = (axis, target) => {
+    onFrameChange({ ...frame, preset: 'custom', axes: { ...frame.axes, [axis]: target } });
+  };
+
+  return (
+    <div style={panelStyle}>
+      <h3 style={panelTitleStyle}>Coordinate Frame</h3>
+
+      <div style={rowStyle}>
+        <label style={labelStyle}>Convention:</label>
+        <select value={frame.preset} onChange={(e) => selectPreset(e.target.value)} style={inputStyle}>
+          {Object.entries(FRAME_PRESETS).map(([value, { label }]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+          <option value="custom">Custom axis mapping</option>
+        </select>
+        <label style={labelStyle}>Euler order:</label>
+        <select
+          value={frame.eulerOrder}
+          onChange={(e) => onFrameChange({ ...frame, eulerOrder: e.target.value })}
+          style={inputStyle}
+        >
+          {EULER_ORDERS.map((order) => (
+            <option key={order} value={order}>{order.split('').join('-')}</option>
+          ))}
+        </select>
+        <label style={{ ...labelStyle, cursor: 'pointer' }}>
+          <input
+            type="checkbox"
+            checked={showAxes}
+            onChange={(e) => onShowAxesChange(e.target.checked)}
+            style={{ marginRight: '6px', accentColor: '#00d4ff' }}
+          />
+          Show board axes on cube
+        </label>
+      </div>
+
+      <div style={rowStyle}>
+        {['x', 'y', 'z'].map((axis) => (
+          <span key={axis}>
+            <label style={labelStyle}>Board {axis.toUpperCase()} points</label>
+            <select value={frame.axes[axis]} onChange={(e) => setAxis(axis, e.target.value)} style={inputStyle}>
+              {Object.entries(THREE_AXES).map(([value, { label }]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </span>
+        ))}
+      </div>
+
+      <p style={{ color: valid ? '#707070' : '#ff6b6b', fontSize: '13px', margin: 0 }}>
+        {valid
+          ? 'Directions are as seen from the default camera. Euler angles are roll about X, pitch about Y and yaw about Z, applied in the chosen order.'
+          : 'Each board axis must point along a different scene axis. The previous valid mapping is still in use.'}
+      </p>
+    </div>
+  );
+}
+
+export default FramePanel;
@@ -0,0 +1,123 @@
+import React from 'react';
+import { FUSION_ALGORITHMS } from '../orientation/fusion';
+import { quaternionAngleBetween } from '../orientation/quaternion';
+import { panelStyle, panelTitleStyle, labelStyle, inputStyle, smallButtonStyle } from '../styles';
+
+const rowStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  flexWrap: 'wrap',
+  gap: '8px',
+  marginBottom: '12px'
+};
+
+function ParamSlider({ label, value, min, max, step, onChange }) {
+  return (
+    <div style={rowStyle}>
+      <label style={{ ...labelStyle, width: '110px' }}>{label}:</label>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        style={{ width: '220px', accentColor: '#00d4ff' }}
+      />
+      <span style={{ color: '#e0e0e0', fontFamily: 'monospace', width: '60px' }}>{value.toFixed(3)}</span>
+    </div>
+  );
+}
+
+// Sensor Fusion Component
+function FusionPanel({ settings, onSettingsChange, onReset, fusedQuaternion, firmwareQuaternion }) {
+  const update = (key, value) => onSettingsChange({ ...settings, [key]: value });
+  const difference = settings.enabled && fusedQuaternion && firmwareQuaternion
+    ? quaternionAngleBetween(fusedQuaternion, firmwareQuaternion)
+    : null;
+
+  return (
+    <div style={panelStyle}>
+      <h3 style={panelTitleStyle}>Sensor Fusion</h3>
+
+      <div style={rowStyle}>
+        <label style={{ ...labelStyle, cursor: 'pointer' }}>
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => update('enabled', e.target.checked)}
+            style={{ marginRight: '8px', accentColor: '#00d4ff' }}
+          />
+          Fuse raw IMU samples
+        </label>
+        <select
+          value={settings.algorithm}
+          onChange={(e) => update('algorithm', e.target.value)}
+          style={inputStyle}
+        >
+          {Object.entries(FUSION_ALGORITHMS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <select
+          value={settings.useMag ? '9dof' : '6dof'}
+          onChange={(e) => update('useMag', e.target.value === '9dof')}
+          style={inputStyle}
+        >
+          <option value="6dof">6-DoF (accel + gyro)</option>
+          <option value="9dof">9-DoF (+ magnetometer)</option>
+        </select>
+        <button onClick={onReset} style={smallButtonStyle('#ff6b6b')}>
+          Reset Filter
+        </button>
+      </div>
+
+      {settings.algorithm === 'madgwick' ? (
+        <ParamSlider label="Beta" value={settings.beta} min={0} max={1} step={0.005} onChange={(v) => update('beta', v)} />
+      ) : (
+        <>
+          <ParamSlider label="Kp" value={settings.kp} min={0} max={5} step={0.05} onChange={(v) => update('kp', v)} />
+          <ParamSlider label="Ki" value={settings.ki} min={0} max={1} step={0.005} onChange={(v) => update('ki', v)} />
+        </>
+      )}
+
+      <div style={rowStyle}>
+        <label style={{ ...labelStyle, cursor: 'pointer' }}>
+          <input
+            type="checkbox"
+            checked={settings.driveCube}
+            onChange={(e) => update('driveCube', e.target.checked)}
+            style={{ marginRight: '8px', accentColor: '#00d4ff' }}
+          />
+          Drive cube from fused estimate
+        </label>
+        <label style={{ ...labelStyle, cursor: 'pointer' }}>
+          <input
+            type="checkbox"
+            checked={settings.showFirmware}
+            onChange={(e) => update('showFirmware', e.target.checked)}
+            style={{ marginRight: '8px', accentColor: '#00d4ff' }}
+          />
+          Show firmware estimate as wireframe
+        </label>
+      </div>
+
+      {settings.enabled && (
+        <div style={{ fontFamily: 'monospace', fontSize: '15px', color: '#e0e0e0', lineHeight: '1.7' }}>
+          <div>
+            <span style={{ color: '#a0a0a0' }}>Fused q: </span>
+            {fusedQuaternion
+              ? ['w', 'x', 'y', 'z'].map((key) => `${key}=${fusedQuaternion[key].toFixed(4)}`).join('  ')
+              : 'waiting for accel + gyro samples…'}
+          </div>
+          <div>
+            <span style={{ color: '#a0a0a0' }}>Δ vs firmware: </span>
+            {difference !== null ? `${difference.toFixed(2)}°` : '—'}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FusionPanel;
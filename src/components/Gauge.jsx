@@ -0,0 +1,42 @@
+import React from 'react';
+
+const RADIUS = 60;
+const STROKE = 10;
+
+function polar(fraction) {
+  // 0 is the left end of the arc, 1 the right end
+  const angle = Math.PI * (1 - fraction);
+  return { x: 70 + RADIUS * Math.cos(angle), y: 70 - RADIUS * Math.sin(angle) };
+}
+
+function arcPath(from, to) {
+  const start = polar(from);
+  const end = polar(to);
+  return `M ${start.x} ${start.y} A ${RADIUS} ${RADIUS} 0 0 1 ${end.x} ${end.y}`;
+}
+
+// Half-circle dial. Without a value (field not received yet) the dial stays empty.
+function Gauge({ label, value, min, max, unit, decimals = 1, color = '#00d4ff', warnBelow = null }) {
+  const hasValue = typeof value === 'number' && Number.isFinite(value);
+  const fraction = hasValue ? Math.min(1, Math.max(0, (value - min) / (max - min))) : 0;
+  const warning = hasValue && warnBelow !== null && value < warnBelow;
+  const arcColor = warning ? '#ff6b6b' : color;
+
+  return (
+    <div style={{ textAlign: 'center', width: '140px' }}>
+      <svg width="140" height="82" viewBox="0 0 140 82">
+        <path d={arcPath(0, 1)} stroke="rgba(255, 255, 255, 0.1)" strokeWidth={STROKE} fill="none" strokeLinecap="round" />
+        {fraction > 0 && (
+          <path d={arcPath(0, fraction)} stroke={arcColor} strokeWidth={STROKE} fill="none" strokeLinecap="round" />
+        )}
+        <text x="70" y="64" textAnchor="middle" fill="#e0e0e0" fontSize="18" fontWeight="700" fontFamily="monospace">
+          {hasValue ? value.toFixed(decimals) : '—'}
+        </text>
+        <text x="70" y="80" textAnchor="middle" fill="#a0a0a0" fontSize="11">{unit}</text>
+      </svg>
+      <div style={{ color: arcColor, fontWeight: '600', fontSize: '14px' }}>{label}</div>
+    </div>
+  );
+}
+
+export default Gauge;
@@ -0,0 +1,54 @@
+import React from 'react';
+
+const PX_PER_DEGREE = 4;
+const CARDINALS = { 0: 'N', 90: 'E', 180: 'S', 270: 'W' };
+
+function headingLabel(degrees) {
+  const heading = ((degrees % 360) + 360) % 360;
+  return CARDINALS[heading] ?? String(heading / 10);
+}
+
+// Horizontal strip of headings scrolling under a fixed centre mark, as on a HUD or glass cockpit
+function HeadingTape({ heading, width = 320, height = 52, color = '#e0e0e0', background = 'rgba(20, 20, 30, 0.8)' }) {
+  const halfSpan = width / 2 / PX_PER_DEGREE;
+  const first = Math.ceil((heading - halfSpan) / 5) * 5;
+  const ticks = [];
+  for (let degrees = first; degrees <= heading + halfSpan; degrees += 5) {
+    ticks.push(degrees);
+  }
+
+  return (
+    <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} style={{ display: 'block' }}>
+      <rect width={width} height={height} rx={6} fill={background} />
+      {ticks.map((degrees) => {
+        const x = width / 2 + (degrees - heading) * PX_PER_DEGREE;
+        const major = degrees % 10 === 0;
+        return (
+          <g key={degrees}>
+            <line x1={x} y1={height} x2={x} y2={height - (major ? 14 : 8)} stroke={color} strokeWidth={1.5} />
+            {major && (
+              <text
+                x={x}
+                y={height - 18}
+                textAnchor="middle"
+                fill={degrees % 90 === 0 ? '#ffc107' : color}
+                fontSize="11"
+                fontFamily="monospace"
+                fontWeight={degrees % 90 === 0 ? '700' : '400'}
+              >
+                {headingLabel(degrees)}
+              </text>
+            )}
+          </g>
+        );
+      })}
+      <line x1={width / 2} y1={20} x2={width / 2} y2={height} stroke="#00d4ff" strokeWidth={2} />
+      <rect x={width / 2 - 22} y={2} width={44} height={18} rx={3} fill="#0a0a0f" stroke="#00d4ff" />
+      <text x={width / 2} y={15} textAnchor="middle" fill="#00d4ff" fontSize="13" fontWeight="700" fontFamily="monospace">
+        {String(Math.round(heading) % 360).padStart(3, '0')}
+      </text>
+    </svg>
+  );
+}
+
+export default HeadingTape;
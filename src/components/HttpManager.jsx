@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import { isValidBaseUrl, SOURCE_STATE, STATUS_DISPLAY } from '../sources';
+import {
+  panelStyle,
+  panelTitleStyle,
+  labelStyle,
+  inputStyle,
+  primaryButtonStyle,
+  dangerButtonStyle,
+  smallButtonStyle,
+  statusTextStyle
+} from '../styles';
+
+const fieldStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  marginBottom: '12px'
+};
+
+// HTTP Polling Manager Component
+function HttpManager({ source, status, config, onConfigChange }) {
+  const [draft, setDraft] = useState(config);
+  const httpStatus = source?.type === 'http' ? status : { state: SOURCE_STATE.DISCONNECTED, message: '' };
+  const isOpen = httpStatus.state !== SOURCE_STATE.DISCONNECTED;
+  const statusDisplay = STATUS_DISPLAY[httpStatus.state];
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(config);
+  const urlValid = isValidBaseUrl(draft.baseUrl.trim());
+  const canApply = urlValid
+    && (!!draft.eulerPath || !!draft.quaternionPath || !!draft.telemetryPath)
+    && draft.interval > 0
+    && draft.staleTimeout > 0;
+
+  const updateDraft = (key, value) => {
+    setDraft(prev => ({ ...prev, [key]: value }));
+  };
+
+  const applyConfig = () => {
+    onConfigChange({
+      ...draft,
+      baseUrl: draft.baseUrl.trim(),
+      eulerPath: draft.eulerPath.trim(),
+      quaternionPath: draft.quaternionPath.trim(),
+      telemetryPath: draft.telemetryPath.trim()
+    });
+  };
+
+  return (
+    <div style={panelStyle}>
+      <h3 style={panelTitleStyle}>HTTP Endpoint</h3>
+
+      <div style={fieldStyle}>
+        <label style={{ ...labelStyle, width: '140px' }}>Base URL:</label>
+        <input
+          type="text"
+          value={draft.baseUrl}
+          onChange={(e) => updateDraft('baseUrl', e.target.value)}
+          placeholder="http://192.168.2.194"
+          style={{ ...inputStyle, width: '260px' }}
+        />
+        {!urlValid && (
+          <span style={{ color: '#ffc107', fontSize: '14px' }}>Needs a full URL such as http://192.168.2.194</span>
+        )}
+      </div>
+      <div style={fieldStyle}>
+        <label style={{ ...labelStyle, width: '140px' }}>Euler path:</label>
+        <input
+          type="text"
+          value={draft.eulerPath}
+          onChange={(e) => updateDraft('eulerPath', e.target.value)}
+          placeholder="/euler (leave empty to skip)"
+          style={{ ...inputStyle, width: '260px' }}
+        />
+      </div>
+      <div style={fieldStyle}>
+        <label style={{ ...labelStyle, width: '140px' }}>Quaternion path:</label>
+        <input
+          type="text"
+          value={draft.quaternionPath}
+          onChange={(e) => updateDraft('quaternionPath', e.target.value)}
+          placeholder="/quaternion (leave empty to skip)"
+          style={{ ...inputStyle, width: '260px' }}
+        />
+      </div>
+      <div style={fieldStyle}>
+        <label style={{ ...labelStyle, width: '140px' }}>Flight data path:</label>
+        <input
+          type="text"
+          value={draft.telemetryPath}
+          onChange={(e) => updateDraft('telemetryPath', e.target.value)}
+          placeholder="/telemetry (leave empty to skip)"
+          style={{ ...inputStyle, width: '260px' }}
+        />
+      </div>
+      <div style={fieldStyle}>
+        <label style={{ ...labelStyle, width: '140px' }}>Poll interval (ms):</label>
+        <input
+          type="number"
+          min="10"
+          step="10"
+          value={draft.interval}
+          onChange={(e) => updateDraft('interval', Number(e.target.value))}
+          style={{ ...inputStyle, width: '100px' }}
+        />
+        <label style={labelStyle}>Stale after (ms):</label>
+        <input
+          type="number"
+          min="100"
+          step="100"
+          value={draft.staleTimeout}
+          onChange={(e) => updateDraft('staleTimeout', Number(e.target.value))}
+          style={{ ...inputStyle, width: '100px' }}
+        />
+      </div>
+
+      <div>
+        <button
+          onClick={applyConfig}
+          disabled={!isDirty || !canApply}
+          style={{ ...primaryButtonStyle(isDirty && canApply), marginRight: '12px' }}
+        >
+          Apply
+        </button>
+        {isOpen ? (
+          <button onClick={() => source.disconnect()} style={dangerButtonStyle}>
+            Stop
+          </button>
+        ) : (
+          <button onClick={() => source?.connect()} disabled={!source} style={smallButtonStyle('#00d4ff')}>
+            Start
+          </button>
+        )}
+
+        <span style={statusTextStyle(statusDisplay.color)}>
+          {statusDisplay.label}
+          {httpStatus.message && ` (${httpStatus.message})`}
+        </span>
+      </div>
+    </div>
+  );
+}
+
+export default HttpManager;
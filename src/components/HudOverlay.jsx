@@ -0,0 +1,33 @@
+import React from 'react';
+import AttitudeIndicator from './AttitudeIndicator';
+import HeadingTape from './HeadingTape';
+import { useTurnRate } from '../orientation/useTurnRate';
+
+const HUD_COLOR = '#00ff88';
+
+// Head-up display laid over the 3D view; it lets pointer events through to the orbit controls.
+// `turnRate` is the dashboard's turn-rate estimator (orientation/turnRate.js).
+function HudOverlay({ attitude, turnRate }) {
+  const rate = useTurnRate(turnRate);
+
+  return (
+    <div style={{
+      position: 'absolute',
+      inset: 0,
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      padding: '12px',
+      pointerEvents: 'none'
+    }}>
+      <HeadingTape heading={attitude.heading} width={300} color={HUD_COLOR} background="rgba(0, 0, 0, 0.35)" />
+      <AttitudeIndicator roll={attitude.roll} pitch={attitude.pitch} size={300} variant="hud" />
+      <div style={{ color: HUD_COLOR, fontFamily: 'monospace', fontSize: '14px', textShadow: '0 0 4px #000' }}>
+        TURN {rate >= 0 ? '+' : ''}{rate.toFixed(1)} °/s
+      </div>
+    </div>
+  );
+}
+
+export default HudOverlay;
@@ -0,0 +1,45 @@
+import React from 'react';
+import AttitudeIndicator from './AttitudeIndicator';
+import CompassRose from './CompassRose';
+import HeadingTape from './HeadingTape';
+import TurnIndicator from './TurnIndicator';
+import { useTurnRate } from '../orientation/useTurnRate';
+import { panelStyle, panelTitleStyle } from '../styles';
+
+// Flight Instruments Component
+// `turnRate` is the dashboard's turn-rate estimator (orientation/turnRate.js)
+function InstrumentsPanel({ attitude, turnRate, showHud, onShowHudChange }) {
+  const rate = useTurnRate(turnRate);
+
+  return (
+    <div style={panelStyle}>
+      <h3 style={panelTitleStyle}>Flight Instruments</h3>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', justifyContent: 'center', alignItems: 'center', gap: '24px', marginBottom: '16px' }}>
+        <AttitudeIndicator roll={attitude.roll} pitch={attitude.pitch} />
+        <CompassRose heading={attitude.heading} />
+        <TurnIndicator rate={rate} />
+      </div>
+      <div style={{ display: 'flex', justifyContent: 'center', marginBottom: '16px' }}>
+        <HeadingTape heading={attitude.heading} width={480} />
+      </div>
+
+      <label style={{ color: '#e0e0e0', fontSize: '14px', cursor: 'pointer' }}>
+        <input
+          type="checkbox"
+          checked={showHud}
+          onChange={(e) => onShowHudChange(e.target.checked)}
+          style={{ marginRight: '6px', accentColor: '#00d4ff' }}
+        />
+        Show as a HUD over the 3D view
+      </label>
+      <p style={{ color: '#707070', fontSize: '13px', margin: '12px 0 0 0' }}>
+        Driven by the same orientation as the 3D view, after mounting offset and tare. The coordinate frame
+        decides which way is nose, right wing and up; heading 0 is wherever the nose points at zero yaw, which is
+        north for NED firmware with a magnetometer. Turn rate comes from the change in heading and settles back to zero when the heading stops changing.
+      </p>
+    </div>
+  );
+}
+
+export default InstrumentsPanel;
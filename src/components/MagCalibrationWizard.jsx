@@ -0,0 +1,240 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Canvas } from '@react-three/fiber';
+import { OrbitControls } from '@react-three/drei';
+import * as THREE from 'three';
+import { extractRawImu } from '../sources/telemetry';
+import { applyMagCalibration, fitMagCalibration, MIN_FIT_SAMPLES, sphereCoverage } from '../calibration/magCalibration';
+import { downloadFile, timestampForFilename } from '../utils/download';
+import { panelStyle, panelTitleStyle, smallButtonStyle, primaryButtonStyle, dangerButtonStyle } from '../styles';
+
+const MAX_POINTS = 3000;
+// Skip samples closer than this fraction of the field strength to the last kept one
+const MIN_SPACING = 0.03;
+
+function PointCloud({ points, color, scale }) {
+  const geometry = useMemo(() => {
+    const positions = new Float32Array(points.length * 3);
+    points.forEach((p, i) => {
+      positions[i * 3] = p.x * scale;
+      positions[i * 3 + 1] = p.y * scale;
+      positions[i * 3 + 2] = p.z * scale;
+    });
+    const buffer = new THREE.BufferGeometry();
+    buffer.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    return buffer;
+  }, [points, scale]);
+
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  return (
+    <points geometry={geometry}>
+      <pointsMaterial color={color} size={0.05} sizeAttenuation />
+    </points>
+  );
+}
+
+function MagScatter({ points, result }) {
+  const corrected = useMemo(
+    () => (result ? points.map((point) => applyMagCalibration(point, result)) : []),
+    [points, result]
+  );
+  const scale = useMemo(() => {
+    const extent = points.reduce((max, p) => Math.max(max, Math.abs(p.x), Math.abs(p.y), Math.abs(p.z)), 1);
+    return 2 / extent;
+  }, [points]);
+
+  return (
+    <div style={{
+      width: '100%',
+      height: '360px',
+      borderRadius: '12px',
+      overflow: 'hidden',
+      border: '1px solid rgba(0, 212, 255, 0.2)',
+      marginBottom: '16px'
+    }}>
+      <Canvas camera={{ position: [4, 3, 4] }}>
+        <axesHelper args={[2.5]} />
+        <PointCloud points={points} color="#ffc107" scale={scale} />
+        {result && <PointCloud points={corrected} color="#7CFC00" scale={scale} />}
+        {result && (
+          <mesh>
+            <sphereGeometry args={[result.fieldStrength * scale, 24, 16]} />
+            <meshBasicMaterial color="#7CFC00" wireframe transparent opacity={0.15} />
+          </mesh>
+        )}
+        <OrbitControls />
+      </Canvas>
+    </div>
+  );
+}
+
+function formatVector(values, digits = 3) {
+  return `[${values.map((value) => value.toFixed(digits)).join(', ')}]`;
+}
+
+// Magnetometer Calibration Wizard Component
+function MagCalibrationWizard({ source }) {
+  const [step, setStep] = useState('idle'); // 'idle', 'collecting' or 'result'
+  const [points, setPoints] = useState([]);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const pointsRef = useRef([]);
+
+  useEffect(() => {
+    if (step !== 'collecting' || !source) return;
+
+    const offSample = source.on('sample', (data) => {
+      const { mag } = extractRawImu(data);
+      if (!mag || pointsRef.current.length >= MAX_POINTS) return;
+
+      const last = pointsRef.current[pointsRef.current.length - 1];
+      if (last) {
+        const spacing = Math.hypot(mag.x - last.x, mag.y - last.y, mag.z - last.z);
+        if (spacing < MIN_SPACING * Math.hypot(mag.x, mag.y, mag.z)) return;
+      }
+      pointsRef.current.push(mag);
+    });
+    const timer = setInterval(() => setPoints([...pointsRef.current]), 250);
+
+    return () => {
+      offSample();
+      clearInterval(timer);
+    };
+  }, [step, source]);
+
+  const start = () => {
+    pointsRef.current = [];
+    setPoints([]);
+    setResult(null);
+    setError('');
+    setStep('collecting');
+  };
+
+  const finish = () => {
+    const collected = [...pointsRef.current];
+    setPoints(collected);
+    try {
+      setResult(fitMagCalibration(collected));
+      setError('');
+      setStep('result');
+    } catch (e) {
+      setError(e.message);
+    }
+  };
+
+  const calibrationJson = () => JSON.stringify({
+    type: 'magnetometer',
+    offset: result.offset,
+    matrix: result.matrix,
+    fieldStrength: result.fieldStrength,
+    residual: result.residualAfter,
+    coverage: result.coverage,
+    samples: result.sampleCount,
+    createdAt: new Date().toISOString(),
+  }, null, 2);
+
+  const exportJson = () => {
+    downloadFile(`mag-calibration-${timestampForFilename()}.json`, calibrationJson(), 'application/json');
+  };
+
+  const sendToDevice = async () => {
+    try {
+      const command = JSON.stringify({ cmd: 'magcal', offset: result.offset, matrix: result.matrix });
+      await source.write(command + '\n');
+      alert('Calibration sent to device.');
+    } catch (e) {
+      console.error('Error sending calibration:', e);
+      alert('Failed to send calibration: ' + e.message);
+    }
+  };
+
+  // Before the fit the point cloud centroid is the best guess for the hard-iron offset
+  const centroid = points.length > 0
+    ? ['x', 'y', 'z'].map((axis) => points.reduce((sum, p) => sum + p[axis], 0) / points.length)
+    : [0, 0, 0];
+  const coverage = step === 'collecting' ? sphereCoverage(points, centroid) : result?.coverage ?? 0;
+  const quality = result && (result.residualAfter < 0.02 ? 'Good' : result.residualAfter < 0.05 ? 'Fair' : 'Poor');
+
+  return (
+    <div style={panelStyle}>
+      <h3 style={panelTitleStyle}>Magnetometer Calibration</h3>
+
+      {step === 'idle' && (
+        <div>
+          <p style={{ color: '#a0a0a0', margin: '0 0 16px 0' }}>
+            Start collecting, then slowly rotate the device through every orientation (a figure-eight
+            in all directions) away from metal and motors. The fit removes hard-iron offsets and
+            soft-iron distortion.
+          </p>
+          <button onClick={start} disabled={!source} style={primaryButtonStyle(!!source)}>
+            Start Collecting
+          </button>
+        </div>
+      )}
+
+      {step !== 'idle' && (
+        <>
+          <MagScatter points={points} result={result} />
+          <div style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: '16px', marginBottom: '16px' }}>
+            <span style={{ color: '#e0e0e0' }}>
+              Samples: <b>{points.length}</b>{points.length >= MAX_POINTS && ' (max)'}
+            </span>
+            <span style={{ color: coverage > 0.8 ? '#7CFC00' : '#ffc107' }}>
+              Coverage: <b>{(coverage * 100).toFixed(0)}%</b>
+            </span>
+            {step === 'collecting' ? (
+              <>
+                <button
+                  onClick={finish}
+                  disabled={points.length < MIN_FIT_SAMPLES}
+                  style={primaryButtonStyle(points.length >= MIN_FIT_SAMPLES)}
+                >
+                  Fit Calibration
+                </button>
+                <button onClick={() => setStep('idle')} style={dangerButtonStyle}>
+                  Cancel
+                </button>
+              </>
+            ) : (
+              <button onClick={start} style={smallButtonStyle('#ff6b6b')}>
+                Start Over
+              </button>
+            )}
+          </div>
+        </>
+      )}
+
+      {error && <div style={{ color: '#ff6b6b', marginBottom: '16px' }}>{error}</div>}
+
+      {step === 'result' && result && (
+        <div>
+          <div style={{ fontFamily: 'monospace', fontSize: '14px', color: '#e0e0e0', lineHeight: '1.8', marginBottom: '16px' }}>
+            <div><span style={{ color: '#a0a0a0' }}>Hard-iron offset: </span>{formatVector(result.offset)}</div>
+            <div><span style={{ color: '#a0a0a0' }}>Soft-iron matrix: </span></div>
+            {result.matrix.map((row, index) => (
+              <div key={index} style={{ paddingLeft: '24px' }}>{formatVector(row, 4)}</div>
+            ))}
+            <div><span style={{ color: '#a0a0a0' }}>Field strength: </span>{result.fieldStrength.toFixed(2)}</div>
+            <div>
+              <span style={{ color: '#a0a0a0' }}>Radius spread: </span>
+              {(result.residualBefore * 100).toFixed(1)}% → {(result.residualAfter * 100).toFixed(2)}%
+              <span style={{ marginLeft: '12px', color: quality === 'Good' ? '#7CFC00' : quality === 'Fair' ? '#ffc107' : '#ff6b6b' }}>
+                {quality}
+              </span>
+            </div>
+          </div>
+          <button onClick={exportJson} style={smallButtonStyle('#00d4ff')}>
+            Export JSON
+          </button>
+          {source?.write && (
+            <button onClick={sendToDevice} style={smallButtonStyle('#ffc107')}>
+              Send to Device
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MagCalibrationWizard;
@@ -0,0 +1,87 @@
+import React from 'react';
+import { MODEL_EXTENSIONS } from '../models/parseModel';
+import { DEFAULT_MODEL_SETTINGS } from '../models/useVehicleModel';
+import { panelStyle, panelTitleStyle, labelStyle, inputStyle, smallButtonStyle } from '../styles';
+
+const rowStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  flexWrap: 'wrap',
+  gap: '8px',
+  marginBottom: '12px'
+};
+
+// Vehicle Model Component
+function ModelPanel({ model, settings, onSettingsChange, loading, onLoadFile, onClear }) {
+  const setRotation = (axis, value) => {
+    onSettingsChange({ ...settings, rotation: { ...settings.rotation, [axis]: value } });
+  };
+
+  return (
+    <div style={panelStyle}>
+      <h3 style={panelTitleStyle}>Vehicle Model</h3>
+
+      <div style={rowStyle}>
+        <label style={labelStyle}>Model file:</label>
+        <input
+          type="file"
+          accept={MODEL_EXTENSIONS.join(',')}
+          onChange={(e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) onLoadFile(file);
+          }}
+          style={{ ...inputStyle, width: '260px' }}
+        />
+        <span style={{ color: model ? '#00d4ff' : '#a0a0a0' }}>
+          {loading ? 'Loading…' : model ? model.name : 'Using default cube'}
+        </span>
+        {model && (
+          <button onClick={onClear} style={smallButtonStyle('#ff6b6b')}>
+            Use Cube
+          </button>
+        )}
+      </div>
+
+      <div style={rowStyle}>
+        <label style={{ ...labelStyle, width: '110px' }}>Scale:</label>
+        <input
+          type="range"
+          min="0.1"
+          max="3"
+          step="0.05"
+          value={settings.scale}
+          onChange={(e) => onSettingsChange({ ...settings, scale: Number(e.target.value) })}
+          style={{ width: '220px', accentColor: '#00d4ff' }}
+        />
+        <span style={{ color: '#e0e0e0', fontFamily: 'monospace' }}>{settings.scale.toFixed(2)}×</span>
+      </div>
+
+      <div style={rowStyle}>
+        <label style={{ ...labelStyle, width: '110px' }}>Base rotation (°):</label>
+        {['x', 'y', 'z'].map((axis) => (
+          <span key={axis}>
+            <span style={{ color: '#a0a0a0', marginRight: '4px' }}>{axis.toUpperCase()}</span>
+            <input
+              type="number"
+              step="90"
+              value={settings.rotation[axis]}
+              onChange={(e) => setRotation(axis, Number(e.target.value))}
+              style={{ ...inputStyle, width: '80px' }}
+            />
+          </span>
+        ))}
+        <button onClick={() => onSettingsChange(DEFAULT_MODEL_SETTINGS)} style={smallButtonStyle('#a0a0a0')}>
+          Reset
+        </button>
+      </div>
+
+      <p style={{ color: '#707070', fontSize: '13px', margin: 0 }}>
+        Supports {MODEL_EXTENSIONS.join(', ')} (self-contained glTF only). You can also drop a file onto the 3D view.
+        Turn on the board axes in Coordinate Frame to line the model up with the IMU.
+      </p>
+    </div>
+  );
+}
+
+export default ModelPanel;
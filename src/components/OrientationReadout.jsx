@@ -0,0 +1,94 @@
+import React from 'react';
+import { quaternionToAxisAngle, quaternionToMatrix } from '../orientation/quaternion';
+
+const ROW_COLORS = ['0, 212, 255', '255, 107, 107', '138, 43, 226', '255, 193, 7'];
+const HEX_COLORS = ['#00d4ff', '#ff6b6b', '#8a2be2', '#ffc107'];
+
+function ValueRow({ index, label, value }) {
+  return (
+    <div style={{
+      display: 'flex',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      padding: '16px',
+      marginBottom: '12px',
+      background: `rgba(${ROW_COLORS[index]}, 0.1)`,
+      borderRadius: '12px',
+      border: `1px solid rgba(${ROW_COLORS[index]}, 0.2)`
+    }}>
+      <span style={{ color: HEX_COLORS[index], fontWeight: '600' }}>{label}:</span>
+      <span style={{ color: '#e0e0e0', fontWeight: '700' }}>{value}</span>
+    </div>
+  );
+}
+
+function MatrixView({ quaternion }) {
+  const matrix = quaternionToMatrix(quaternion);
+  return (
+    <div style={{
+      display: 'grid',
+      gridTemplateColumns: 'repeat(3, 1fr)',
+      gap: '8px',
+      fontFamily: 'monospace',
+      fontSize: '20px',
+      marginBottom: '12px'
+    }}>
+      {matrix.flat().map((value, i) => (
+        <div key={i} style={{
+          padding: '12px',
+          textAlign: 'right',
+          background: `rgba(${ROW_COLORS[Math.floor(i / 3)]}, 0.1)`,
+          borderRadius: '8px',
+          border: `1px solid rgba(${ROW_COLORS[Math.floor(i / 3)]}, 0.2)`,
+          color: '#e0e0e0'
+        }}>
+          {value.toFixed(4)}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Numerical view of the current orientation in the chosen representation
+function OrientationReadout({ mode, euler, quaternion, gimbalLock, eulerOrder }) {
+  if (mode === 'quaternion') {
+    return ['w', 'x', 'y', 'z'].map((c, i) => (
+      <ValueRow key={c} index={i} label={c.toUpperCase()} value={quaternion[c].toFixed(4)} />
+    ));
+  }
+
+  if (mode === 'matrix') {
+    return <MatrixView quaternion={quaternion} />;
+  }
+
+  if (mode === 'axisAngle') {
+    const { axis, angle } = quaternionToAxisAngle(quaternion);
+    return (
+      <>
+        <ValueRow index={0} label="Angle" value={`${angle.toFixed(2)}°`} />
+        {['x', 'y', 'z'].map((c, i) => (
+          <ValueRow key={c} index={i + 1} label={`Axis ${c.toUpperCase()}`} value={axis[c].toFixed(4)} />
+        ))}
+      </>
+    );
+  }
+
+  return (
+    <>
+      {['roll', 'pitch', 'yaw'].map((angle, i) => (
+        <ValueRow
+          key={angle}
+          index={i}
+          label={angle[0].toUpperCase() + angle.slice(1)}
+          value={`${euler[angle].toFixed(2)}°`}
+        />
+      ))}
+      <div style={{ fontSize: '14px', lineHeight: '1.4', color: gimbalLock ? '#ffc107' : '#707070' }}>
+        {eulerOrder.split('').join('-')} sequence
+        {gimbalLock && ' · near gimbal lock, the outer angles are ill-defined'}
+      </div>
+    </>
+  );
+}
+
+export default OrientationReadout;
@@ -0,0 +1,96 @@
+import React, { useRef } from 'react';
+import { DASHBOARD_PANELS, parseProfiles, serializeProfiles } from '../settings/profiles';
+import { downloadFile } from '../utils/download';
+import { panelStyle, panelTitleStyle, labelStyle, inputStyle, smallButtonStyle } from '../styles';
+
+// Settings Profiles Component
+function ProfilesPanel({ profiles, activeProfile, onSwitch, onAdd, onRename, onDelete, onImport, hiddenPanels, onHiddenPanelsChange }) {
+  const fileInputRef = useRef(null);
+
+  const importProfiles = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      onImport(parseProfiles(await file.text()));
+    } catch (error) {
+      console.error('Error importing profiles:', error);
+      alert('Failed to import profiles: ' + error.message);
+    }
+  };
+
+  const togglePanel = (panel, visible) => {
+    onHiddenPanelsChange(visible ? hiddenPanels.filter((other) => other !== panel) : [...hiddenPanels, panel]);
+  };
+
+  return (
+    <div style={panelStyle}>
+      <h3 style={panelTitleStyle}>Profiles</h3>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '16px' }}>
+        {profiles.map((profile) => (
+          <button
+            key={profile.id}
+            onClick={() => onSwitch(profile.id)}
+            style={smallButtonStyle(profile.id === activeProfile.id ? '#00d4ff' : '#707070')}
+          >
+            {profile.name || 'Unnamed'}
+          </button>
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: '8px', marginBottom: '16px' }}>
+        <label style={labelStyle}>Name:</label>
+        <input
+          type="text"
+          value={activeProfile.name}
+          onChange={(e) => onRename(activeProfile.id, e.target.value)}
+          style={{ ...inputStyle, width: '220px' }}
+        />
+        <button onClick={() => onAdd(`${activeProfile.name} copy`)} style={smallButtonStyle('#00d4ff')}>
+          + Duplicate
+        </button>
+        <button
+          onClick={() => onDelete(activeProfile.id)}
+          disabled={profiles.length < 2}
+          style={smallButtonStyle('#ff6b6b')}
+        >
+          Delete
+        </button>
+        <button
+          onClick={() => downloadFile('dashboard-profiles.json', serializeProfiles(profiles), 'application/json')}
+          style={smallButtonStyle('#00d4ff')}
+        >
+          Export JSON
+        </button>
+        <button onClick={() => fileInputRef.current.click()} style={smallButtonStyle('#00d4ff')}>
+          Import JSON
+        </button>
+        <input ref={fileInputRef} type="file" accept=".json" onChange={importProfiles} style={{ display: 'none' }} />
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: '12px', marginBottom: '12px' }}>
+        <span style={labelStyle}>Panels:</span>
+        {DASHBOARD_PANELS.map((panel) => (
+          <label key={panel.value} style={{ color: '#e0e0e0', fontSize: '14px', cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              checked={!hiddenPanels.includes(panel.value)}
+              onChange={(e) => togglePanel(panel.value, e.target.checked)}
+              style={{ marginRight: '6px', accentColor: '#00d4ff' }}
+            />
+            {panel.label}
+          </label>
+        ))}
+      </div>
+      <p style={{ color: '#707070', fontSize: '13px', margin: 0 }}>
+        The source and its connection settings, rotation mode, frame, mounting offset, fusion, alarm rules and
+        panel layout are saved to the active profile as you change them. Importing replaces profiles with the
+        same name.
+      </p>
+    </div>
+  );
+}
+
+export default ProfilesPanel;
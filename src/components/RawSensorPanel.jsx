@@ -0,0 +1,82 @@
+import React from 'react';
+import { RAW_SENSOR_DISPLAY } from '../sensorDisplay';
+import { panelStyle, panelTitleStyle } from '../styles';
+
+function VectorReadout({ name, vector, showArrow, onToggleArrow }) {
+  const { label, unit, color } = RAW_SENSOR_DISPLAY[name];
+  const magnitude = vector ? Math.hypot(vector.x, vector.y, vector.z) : null;
+
+  return (
+    <div style={{
+      padding: '16px',
+      background: `${color}1a`,
+      borderRadius: '12px',
+      border: `1px solid ${color}33`
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+        <span style={{ color, fontWeight: '600', fontSize: '16px' }}>{label}</span>
+        <label style={{ color: '#a0a0a0', fontSize: '13px', cursor: 'pointer' }}>
+          <input
+            type="checkbox"
+            checked={showArrow}
+            onChange={onToggleArrow}
+            style={{ marginRight: '6px', accentColor: color }}
+          />
+          Arrow
+        </label>
+      </div>
+      {vector ? (
+        <div style={{ fontFamily: 'monospace', fontSize: '15px', lineHeight: '1.7', color: '#e0e0e0' }}>
+          {['x', 'y', 'z'].map((axis) => (
+            <div key={axis} style={{ display: 'flex', justifyContent: 'space-between' }}>
+              <span style={{ color: '#a0a0a0' }}>{axis.toUpperCase()}</span>
+              <span>{vector[axis].toFixed(3)} {unit}</span>
+            </div>
+          ))}
+          <div style={{ display: 'flex', justifyContent: 'space-between', borderTop: '1px solid rgba(255, 255, 255, 0.1)' }}>
+            <span style={{ color: '#a0a0a0' }}>|v|</span>
+            <span>{magnitude.toFixed(3)} {unit}</span>
+          </div>
+        </div>
+      ) : (
+        <div style={{ color: '#707070', fontSize: '14px' }}>No data</div>
+      )}
+    </div>
+  );
+}
+
+// Raw Sensor Readouts Component
+function RawSensorPanel({ rawImu, visibleArrows, onVisibleArrowsChange }) {
+  const toggleArrow = (name) => {
+    onVisibleArrowsChange(visibleArrows.includes(name)
+      ? visibleArrows.filter((item) => item !== name)
+      : [...visibleArrows, name]);
+  };
+
+  return (
+    <div style={panelStyle}>
+      <h3 style={panelTitleStyle}>Raw Sensors</h3>
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+        gap: '16px'
+      }}>
+        {Object.keys(RAW_SENSOR_DISPLAY).map((name) => (
+          <VectorReadout
+            key={name}
+            name={name}
+            vector={rawImu[name]}
+            showArrow={visibleArrows.includes(name)}
+            onToggleArrow={() => toggleArrow(name)}
+          />
+        ))}
+      </div>
+      <div style={{ marginTop: '16px', color: '#e0e0e0', fontSize: '16px' }}>
+        <span style={{ color: '#a0a0a0' }}>Temperature: </span>
+        {rawImu.temperature !== undefined ? `${rawImu.temperature.toFixed(1)} °C` : '—'}
+      </div>
+    </div>
+  );
+}
+
+export default RawSensorPanel;
@@ -0,0 +1,71 @@
+import React, { useEffect, useState } from 'react';
+import { serializeSession, SESSION_FORMATS } from '../recording/sessionFile';
+import { downloadFile, timestampForFilename } from '../utils/download';
+import { panelStyle, panelTitleStyle, labelStyle, inputStyle, primaryButtonStyle, dangerButtonStyle } from '../styles';
+
+// Session Recording Component
+function RecordingPanel({ recorder }) {
+  const [format, setFormat] = useState('ndjson');
+  const [stats, setStats] = useState(recorder.getStats());
+
+  useEffect(() => {
+    if (!stats.recording) return;
+    const timer = setInterval(() => setStats(recorder.getStats()), 250);
+    return () => clearInterval(timer);
+  }, [recorder, stats.recording]);
+
+  const startRecording = () => {
+    recorder.start();
+    setStats(recorder.getStats());
+  };
+
+  const stopRecording = () => {
+    const records = recorder.stop();
+    setStats(recorder.getStats());
+    if (records.length === 0) {
+      alert('No samples were received while recording.');
+      return;
+    }
+
+    const { extension, mimeType } = SESSION_FORMATS[format];
+    downloadFile(
+      `imu-session-${timestampForFilename()}.${extension}`,
+      serializeSession(records, format),
+      mimeType
+    );
+  };
+
+  return (
+    <div style={panelStyle}>
+      <h3 style={panelTitleStyle}>Session Recording</h3>
+      <div style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: '12px' }}>
+        {stats.recording ? (
+          <button onClick={stopRecording} style={dangerButtonStyle}>
+            ■ Stop &amp; Download
+          </button>
+        ) : (
+          <button onClick={startRecording} style={primaryButtonStyle(true)}>
+            ● Record
+          </button>
+        )}
+        <label style={labelStyle}>Format:</label>
+        <select
+          value={format}
+          onChange={(e) => setFormat(e.target.value)}
+          disabled={stats.recording}
+          style={inputStyle}
+        >
+          {Object.entries(SESSION_FORMATS).map(([value, { label }]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <span style={{ color: stats.recording ? '#ff6b6b' : '#a0a0a0', fontSize: '16px' }}>
+          {stats.recording ? '● REC ' : ''}
+          {stats.count} samples · {(stats.duration / 1000).toFixed(1)}s
+        </span>
+      </div>
+    </div>
+  );
+}
+
+export default RecordingPanel;
@@ -0,0 +1,144 @@
+import React, { useEffect, useState } from 'react';
+import TimeSeriesChart from './TimeSeriesChart';
+import { CHART_WINDOWS } from '../charts/chartWindows';
+import { REFERENCE_MODES } from '../settings/profiles';
+import { panelStyle, panelTitleStyle, labelStyle, inputStyle, smallButtonStyle } from '../styles';
+
+const REFRESH_INTERVAL = 500;
+const AXES = ['roll', 'pitch', 'yaw'];
+
+const ERROR_CHANNELS = [
+  { key: 'total', label: 'Total', color: '#e0e0e0' },
+  { key: 'roll', label: 'Roll', color: '#00d4ff' },
+  { key: 'pitch', label: 'Pitch', color: '#ff6b6b' },
+  { key: 'yaw', label: 'Yaw', color: '#8a2be2' },
+];
+
+const rowStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  flexWrap: 'wrap',
+  gap: '8px',
+  marginBottom: '12px'
+};
+
+function formatDegrees(value) {
+  return value === undefined ? '—' : `${value.toFixed(2)}°`;
+}
+
+// Reference Orientation Component
+function ReferencePanel({ reference, onReferenceChange, onCapture, devices, focusedDevice, error, errorHistory }) {
+  const [windowMs, setWindowMs] = useState(30000);
+  const [stats, setStats] = useState(null);
+  const otherDevices = Object.keys(devices).filter((id) => id !== focusedDevice);
+  const deviceMissing = reference.mode === 'device' && !devices[reference.device];
+
+  useEffect(() => {
+    const refresh = () => {
+      const now = Date.now();
+      setStats(errorHistory.stats(now - windowMs, now + 1));
+    };
+    refresh();
+    const timer = setInterval(refresh, REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [errorHistory, windowMs]);
+
+  const update = (key, value) => onReferenceChange({ ...reference, [key]: value });
+
+  return (
+    <div style={panelStyle}>
+      <h3 style={panelTitleStyle}>Reference Orientation</h3>
+
+      <div style={rowStyle}>
+        <label style={labelStyle}>Reference:</label>
+        <select value={reference.mode} onChange={(e) => update('mode', e.target.value)} style={inputStyle}>
+          {REFERENCE_MODES.map((mode) => (
+            <option key={mode.value} value={mode.value}>{mode.label}</option>
+          ))}
+        </select>
+        {reference.mode === 'device' && (
+          <select value={reference.device} onChange={(e) => update('device', e.target.value)} style={inputStyle}>
+            {deviceMissing && <option value={reference.device}>{reference.device || 'Choose a device'}</option>}
+            {otherDevices.map((id) => (
+              <option key={id} value={id}>{id}</option>
+            ))}
+          </select>
+        )}
+        {deviceMissing && (reference.device !== '' || otherDevices.length === 0) && (
+          <span style={{ color: '#ffc107', fontSize: '14px' }}>
+            Waiting for samples — add the device or replay file under Additional IMUs
+          </span>
+        )}
+      </div>
+
+      {reference.mode === 'manual' && (
+        <div style={rowStyle}>
+          <label style={labelStyle}>Orientation (°):</label>
+          {AXES.map((axis) => (
+            <span key={axis}>
+              <span style={{ color: '#a0a0a0', marginRight: '4px' }}>{axis}</span>
+              <input
+                type="number"
+                step="0.5"
+                value={Number(reference.euler[axis].toFixed(2))}
+                onChange={(e) => update('euler', { ...reference.euler, [axis]: Number(e.target.value) })}
+                style={{ ...inputStyle, width: '80px' }}
+              />
+            </span>
+          ))}
+          <button onClick={onCapture} style={smallButtonStyle('#ffc107')}>
+            Capture from Pose
+          </button>
+        </div>
+      )}
+
+      {reference.mode !== 'none' && (
+        <>
+          <div style={rowStyle}>
+            <label style={labelStyle}>Window:</label>
+            <select value={windowMs} onChange={(e) => setWindowMs(Number(e.target.value))} style={inputStyle}>
+              {CHART_WINDOWS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <button onClick={() => errorHistory.clear()} style={smallButtonStyle('#ff6b6b')}>
+              Clear
+            </button>
+          </div>
+
+          <table style={{ fontFamily: 'monospace', fontSize: '15px', color: '#e0e0e0', borderSpacing: '20px 4px', margin: '0 -20px 12px' }}>
+            <thead>
+              <tr style={{ color: '#a0a0a0', textAlign: 'right' }}>
+                <th style={{ textAlign: 'left' }}>Error</th>
+                <th>Now</th>
+                <th>RMS</th>
+                <th>Max</th>
+              </tr>
+            </thead>
+            <tbody>
+              {ERROR_CHANNELS.map((channel) => (
+                <tr key={channel.key} style={{ textAlign: 'right' }}>
+                  <td style={{ color: channel.color, fontWeight: '600', textAlign: 'left' }}>{channel.label}</td>
+                  <td>{formatDegrees(error?.[channel.key])}</td>
+                  <td>{formatDegrees(stats?.[channel.key].rms)}</td>
+                  <td>{formatDegrees(stats?.[channel.key].max)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <TimeSeriesChart buffer={errorHistory.buffer} channels={ERROR_CHANNELS} windowMs={windowMs} units="°" />
+        </>
+      )}
+
+      <p style={{ color: '#707070', fontSize: '13px', margin: '12px 0 0 0' }}>
+        The reference is drawn as a yellow ghost in the 3D view. A fixed orientation is given in the current Euler
+        order after mounting offset and zero; a streamed reference goes through the same mounting offset and zero
+        as the live orientation. Per-axis errors are about the reference's own roll, pitch and yaw axes, and RMS and
+        max cover the chosen window.
+      </p>
+    </div>
+  );
+}
+
+export default ReferencePanel;
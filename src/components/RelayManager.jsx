@@ -0,0 +1,78 @@
+import React from 'react';
+import { createRelaySource, SOURCE_STATE, STATUS_DISPLAY } from '../sources';
+import {
+  panelStyle,
+  panelTitleStyle,
+  labelStyle,
+  inputStyle,
+  primaryButtonStyle,
+  dangerButtonStyle,
+  statusTextStyle
+} from '../styles';
+
+// Serial Relay Manager Component
+function RelayManager({ source, status, onSourceChange, url, onUrlChange }) {
+  const relayStatus = source?.type === 'relay' ? status : { state: SOURCE_STATE.DISCONNECTED, message: '' };
+  const isOpen = relayStatus.state !== SOURCE_STATE.DISCONNECTED && relayStatus.state !== SOURCE_STATE.ERROR;
+  const statusDisplay = STATUS_DISPLAY[relayStatus.state];
+
+  const connect = async () => {
+    const relaySource = createRelaySource({ url });
+    onSourceChange(relaySource);
+    try {
+      await relaySource.connect();
+    } catch (error) {
+      console.error('Error connecting to relay:', error);
+    }
+  };
+
+  const disconnect = async () => {
+    if (source) {
+      await source.disconnect();
+    }
+  };
+
+  return (
+    <div style={panelStyle}>
+      <h3 style={panelTitleStyle}>Serial Relay</h3>
+
+      <div style={{ marginBottom: '16px' }}>
+        <label style={labelStyle}>Relay URL:</label>
+        <input
+          type="text"
+          value={url}
+          onChange={(e) => onUrlChange(e.target.value)}
+          disabled={isOpen}
+          placeholder="ws://host:8765"
+          style={{ ...inputStyle, width: '280px' }}
+        />
+      </div>
+
+      <div>
+        {!isOpen ? (
+          <button onClick={connect} disabled={!url} style={primaryButtonStyle(!!url)}>
+            Connect
+          </button>
+        ) : (
+          <button onClick={disconnect} style={dangerButtonStyle}>
+            Disconnect
+          </button>
+        )}
+
+        <span style={statusTextStyle(statusDisplay.color)}>
+          {statusDisplay.label}
+          {relayStatus.message && ` (${relayStatus.message})`}
+        </span>
+      </div>
+      <p style={{ color: '#707070', fontSize: '13px', margin: '12px 0 0 0' }}>
+        For browsers without Web Serial. Start the relay on the machine the device is plugged into with{' '}
+        <code style={{ color: '#a0a0a0' }}>npm run relay -- --device /dev/ttyUSB0 --baud 115200</code>{' '}
+        and add <code style={{ color: '#a0a0a0' }}>--protocol cobs</code> or{' '}
+        <code style={{ color: '#a0a0a0' }}>slip</code> for binary frames. The relay reopens the device when it is
+        replugged; the console sends commands through it.
+      </p>
+    </div>
+  );
+}
+
+export default RelayManager;
@@ -0,0 +1,127 @@
+import React, { useEffect, useState } from 'react';
+import { createReplaySource, SOURCE_STATE, STATUS_DISPLAY } from '../sources';
+import { parseSession } from '../recording/sessionFile';
+import {
+  panelStyle,
+  panelTitleStyle,
+  labelStyle,
+  inputStyle,
+  smallButtonStyle,
+  primaryButtonStyle,
+  statusTextStyle
+} from '../styles';
+
+const SPEEDS = [0.1, 0.25, 0.5, 1, 2, 4, 8];
+
+function formatTime(ms) {
+  const totalSeconds = ms / 1000;
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = (totalSeconds % 60).toFixed(1).padStart(4, '0');
+  return `${minutes}:${seconds}`;
+}
+
+// File Replay Manager Component
+function ReplayManager({ source, status, onSourceChange }) {
+  const [playback, setPlayback] = useState(null);
+  const replaySource = source?.type === 'replay' ? source : null;
+  const replayStatus = replaySource ? status : { state: SOURCE_STATE.DISCONNECTED, message: '' };
+  const statusDisplay = STATUS_DISPLAY[replayStatus.state];
+  const isLoaded = replayStatus.state === SOURCE_STATE.CONNECTED;
+
+  useEffect(() => {
+    if (!replaySource) {
+      setPlayback(null);
+      return;
+    }
+    setPlayback(replaySource.getPlayback());
+    return replaySource.on('playback', setPlayback);
+  }, [replaySource]);
+
+  const loadFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const records = parseSession(await file.text());
+      const newSource = createReplaySource({ records, name: file.name });
+      onSourceChange(newSource);
+      await newSource.connect();
+    } catch (error) {
+      console.error('Error loading session file:', error);
+      alert('Failed to load session file: ' + error.message);
+    }
+  };
+
+  return (
+    <div style={panelStyle}>
+      <h3 style={panelTitleStyle}>File Replay</h3>
+
+      <div style={{ marginBottom: '16px' }}>
+        <label style={labelStyle}>Session file:</label>
+        <input
+          type="file"
+          accept=".ndjson,.jsonl,.json,.csv"
+          onChange={loadFile}
+          style={{ ...inputStyle, width: '280px' }}
+        />
+        <span style={statusTextStyle(statusDisplay.color)}>
+          {statusDisplay.label}
+          {replayStatus.message && ` (${replayStatus.message})`}
+        </span>
+      </div>
+
+      {playback && (
+        <div>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '12px' }}>
+            <span style={{ color: '#e0e0e0', fontFamily: 'monospace', minWidth: '64px' }}>
+              {formatTime(playback.position)}
+            </span>
+            <input
+              type="range"
+              min="0"
+              max={playback.duration}
+              step="1"
+              value={playback.position}
+              disabled={!isLoaded}
+              onChange={(e) => replaySource.seek(Number(e.target.value))}
+              style={{ flex: 1, accentColor: '#00d4ff' }}
+            />
+            <span style={{ color: '#a0a0a0', fontFamily: 'monospace', minWidth: '64px' }}>
+              {formatTime(playback.duration)}
+            </span>
+          </div>
+
+          <div>
+            <button
+              onClick={() => (playback.playing ? replaySource.pause() : replaySource.play())}
+              disabled={!isLoaded}
+              style={{ ...primaryButtonStyle(isLoaded), marginRight: '12px' }}
+            >
+              {playback.playing ? 'Pause' : 'Play'}
+            </button>
+            <button
+              onClick={() => replaySource.seek(0)}
+              disabled={!isLoaded}
+              style={smallButtonStyle('#ff6b6b')}
+            >
+              Restart
+            </button>
+            <label style={labelStyle}>Speed:</label>
+            <select
+              value={playback.speed}
+              onChange={(e) => replaySource.setSpeed(Number(e.target.value))}
+              style={inputStyle}
+            >
+              {SPEEDS.map((speed) => (
+                <option key={speed} value={speed}>{speed}×</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ReplayManager;
@@ -0,0 +1,257 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Canvas, useFrame } from '@react-three/fiber';
+import { Html, OrbitControls } from '@react-three/drei';
+import * as THREE from 'three';
+import { DEFAULT_FRAME, sensorQuaternionToThree, sensorVectorToThree } from '../orientation/threeFrame';
+import { RAW_SENSOR_DISPLAY } from '../sensorDisplay';
+import FlightPath from './FlightPath';
+
+const ARROW_BASE_LENGTH = 2.5;
+const TRAJECTORY_VEHICLE_SCALE = 0.3;
+const ARROW_MAX_LENGTH = 4;
+const GHOST_COLOR = '#ffc107';
+const GHOST_OPACITY = 0.3;
+const BOARD_AXES = [
+  { axis: 'x', color: '#ff4d4d', vector: { x: 1, y: 0, z: 0 } },
+  { axis: 'y', color: '#4dff88', vector: { x: 0, y: 1, z: 0 } },
+  { axis: 'z', color: '#4d9dff', vector: { x: 0, y: 0, z: 1 } },
+];
+
+function SensorArrow({ vector, color, reference, frame }) {
+  const arrow = useMemo(() => new THREE.ArrowHelper(), []);
+
+  useEffect(() => () => arrow.dispose(), [arrow]);
+
+  useEffect(() => {
+    arrow.setColor(color);
+  }, [arrow, color]);
+
+  useEffect(() => {
+    const direction = sensorVectorToThree(vector, frame);
+    const magnitude = direction.length();
+    arrow.visible = magnitude > 1e-6;
+    if (!arrow.visible) return;
+
+    const length = Math.min(ARROW_MAX_LENGTH, Math.max(0.3, (magnitude / reference) * ARROW_BASE_LENGTH));
+    arrow.setDirection(direction.normalize());
+    arrow.setLength(length, Math.min(0.3, length * 0.3), Math.min(0.15, length * 0.15));
+  }, [arrow, vector, reference, frame]);
+
+  return <primitive object={arrow} />;
+}
+
+// Board axes drawn on the cube so the frame mapping can be checked by eye
+function BoardAxes({ frame }) {
+  return BOARD_AXES.map(({ axis, color, vector }) => {
+    const tip = sensorVectorToThree(vector, frame).multiplyScalar(1.9);
+    return (
+      <group key={axis}>
+        <SensorArrow vector={vector} color={color} reference={1} frame={frame} />
+        <Html position={tip.toArray()} center style={{ pointerEvents: 'none' }}>
+          <span style={{ color, fontWeight: '700', fontFamily: 'monospace', fontSize: '14px' }}>
+            {axis.toUpperCase()}
+          </span>
+        </Html>
+      </group>
+    );
+  });
+}
+
+function CubeMesh({ wireframe, translucent, ghost }) {
+  return (
+    <mesh>
+      <boxGeometry args={wireframe ? [2.1, 2.1, 2.1] : [2, 2, 2]} />
+      {ghost ? (
+        <meshBasicMaterial color={GHOST_COLOR} transparent opacity={GHOST_OPACITY} depthWrite={false} />
+      ) : wireframe ? (
+        <meshBasicMaterial color="#ffffff" wireframe transparent opacity={0.5} />
+      ) : (
+        <meshStandardMaterial 
+          color="#00d4ff" 
+          metalness={0.3} 
+          roughness={0.1}
+          emissive="#001122"
+          emissiveIntensity={0.2}
+          transparent={translucent}
+          opacity={translucent ? 0.6 : 1}
+        />
+      )}
+    </mesh>
+  );
+}
+
+// A copy of the vehicle model sharing its geometry, drawn in one flat see-through colour
+function useGhostModel(model) {
+  const ghost = useMemo(() => {
+    if (!model) return null;
+    const material = new THREE.MeshBasicMaterial({
+      color: GHOST_COLOR,
+      transparent: true,
+      opacity: GHOST_OPACITY,
+      depthWrite: false
+    });
+    const object = model.object.clone();
+    object.traverse((child) => {
+      if (child.isMesh) child.material = material;
+    });
+    return { ...model, object, material };
+  }, [model]);
+
+  useEffect(() => {
+    if (!ghost) return;
+    return () => ghost.material.dispose();
+  }, [ghost]);
+
+  return ghost;
+}
+
+function RotatingCube({
+  quaternion,
+  frame = DEFAULT_FRAME,
+  rawImu = null,
+  visibleArrows = [],
+  showAxes = false,
+  wireframe = false,
+  ghost = false,
+  model = null,
+  modelSettings = null
+}) {
+  const groupRef = useRef();
+
+  // A getter is polled every frame, so a fast stream moves the cube without re-rendering React
+  useFrame(() => {
+    const current = typeof quaternion === 'function' ? quaternion() : quaternion;
+    if (current) {
+      groupRef.current.quaternion.copy(sensorQuaternionToThree(current, frame));
+    }
+  });
+
+  // Sensor vectors are in the body frame, so they ride along with the cube
+  return (
+    <group ref={groupRef}>
+      {model && !wireframe ? (
+        <group
+          rotation={['x', 'y', 'z'].map((axis) => (modelSettings.rotation[axis] * Math.PI) / 180)}
+          scale={modelSettings.scale}
+        >
+          <primitive object={model.object} />
+        </group>
+      ) : (
+        <CubeMesh wireframe={wireframe} ghost={ghost} translucent={visibleArrows.length > 0 || showAxes} />
+      )}
+      {visibleArrows.map((name) => rawImu?.[name] && (
+        <SensorArrow
+          key={name}
+          vector={rawImu[name]}
+          color={RAW_SENSOR_DISPLAY[name].color}
+          reference={RAW_SENSOR_DISPLAY[name].reference}
+          frame={frame}
+        />
+      ))}
+      {showAxes && <BoardAxes frame={frame} />}
+    </group>
+  );
+}
+
+// 3D Scene Component
+// `quaternion` is an orientation or a function returning the latest one.
+// `comparison` optionally renders a second orientation (same forms) as a wireframe.
+// `reference` optionally renders a target orientation (same forms) as a see-through ghost of the vehicle.
+// With a `trajectory` (flight track) the vehicle is drawn flying along its path instead of at the centre.
+// `overlay` is drawn on top of the canvas, e.g. the HUD.
+function Scene({
+  quaternion,
+  frame = DEFAULT_FRAME,
+  showAxes = false,
+  rawImu = null,
+  visibleArrows = [],
+  comparison = null,
+  reference = null,
+  model = null,
+  modelSettings = null,
+  onModelDrop = null,
+  height = '500px',
+  trajectory = null,
+  overlay = null
+}) {
+  const [dragging, setDragging] = useState(false);
+  const ghostModel = useGhostModel(model);
+
+  const handleDragOver = (e) => {
+    if (!onModelDrop) return;
+    e.preventDefault();
+    setDragging(true);
+  };
+
+  const handleDrop = (e) => {
+    if (!onModelDrop) return;
+    e.preventDefault();
+    setDragging(false);
+    const file = e.dataTransfer.files[0];
+    if (file) onModelDrop(file);
+  };
+
+  const vehicle = (
+    <>
+      <RotatingCube
+        quaternion={quaternion}
+        frame={frame}
+        rawImu={rawImu}
+        visibleArrows={visibleArrows}
+        showAxes={showAxes}
+        model={model}
+        modelSettings={modelSettings}
+      />
+      {comparison && (
+        <RotatingCube
+          quaternion={comparison}
+          frame={frame}
+          wireframe
+        />
+      )}
+      {reference && (
+        <RotatingCube
+          quaternion={reference}
+          frame={frame}
+          ghost
+          model={ghostModel}
+          modelSettings={modelSettings}
+        />
+      )}
+    </>
+  );
+
+  return (
+    <div
+      onDragOver={handleDragOver}
+      onDragLeave={() => setDragging(false)}
+      onDrop={handleDrop}
+      style={{ 
+        position: 'relative',
+        width: '100%', 
+        height, 
+        borderRadius: '16px',
+        overflow: 'hidden',
+        boxShadow: '0 8px 32px rgba(0, 212, 255, 0.3)',
+        border: dragging ? '2px dashed #00d4ff' : '1px solid rgba(0, 212, 255, 0.2)'
+      }}
+    >
+      <Canvas key={trajectory ? 'trajectory' : 'attitude'} camera={{ position: trajectory ? [6, 5, 8] : [0, 0, 5] }}>
+        <ambientLight intensity={1.2} />
+        <directionalLight position={[5, 5, 5]} intensity={2} color="#ffffff" />
+        <directionalLight position={[-5, -5, -5]} intensity={1} color="#ff6b6b" />
+        <pointLight position={[0, 10, 0]} intensity={1.5} color="#00d4ff" />
+        <pointLight position={[0, -10, 0]} intensity={0.8} color="#ffffff" />
+        {trajectory ? (
+          <FlightPath track={trajectory}>
+            <group scale={TRAJECTORY_VEHICLE_SCALE}>{vehicle}</group>
+          </FlightPath>
+        ) : vehicle}
+        <OrbitControls enableZoom={true} enablePan={true} enableRotate={true} />
+      </Canvas>
+      {overlay}
+    </div>
+  );
+}
+
+export default Scene;
@@ -0,0 +1,183 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { panelStyle, panelTitleStyle, labelStyle, inputStyle, smallButtonStyle, primaryButtonStyle } from '../styles';
+
+const LINE_ENDINGS = {
+  none: { label: 'No line ending', value: '' },
+  lf: { label: 'LF (\\n)', value: '\n' },
+  cr: { label: 'CR (\\r)', value: '\r' },
+  crlf: { label: 'CR+LF', value: '\r\n' },
+};
+
+const QUICK_COMMANDS = ['reset', 'calibrate', 'set rate 200'];
+const MAX_LINES = 1000;
+const MAX_HISTORY = 50;
+const FLUSH_INTERVAL = 100;
+
+function toHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join(' ');
+}
+
+// Device Console Component
+function SerialConsole({ source }) {
+  const [lines, setLines] = useState([]);
+  const [input, setInput] = useState('');
+  const [lineEnding, setLineEnding] = useState('lf');
+  const [hexView, setHexView] = useState(false);
+  const [paused, setPaused] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [historyIndex, setHistoryIndex] = useState(-1);
+  const logRef = useRef(null);
+  const pausedRef = useRef(false);
+
+  useEffect(() => {
+    pausedRef.current = paused;
+  }, [paused]);
+
+  // Received data is collected outside React and flushed a few times per second
+  useEffect(() => {
+    const textDecoder = new TextDecoder();
+    let partial = '';
+    let pending = [];
+
+    const offRaw = source.on('raw', (chunk) => {
+      if (pausedRef.current) return;
+      if (hexView) {
+        const bytes = typeof chunk === 'string' ? new TextEncoder().encode(chunk) : chunk;
+        pending.push({ kind: 'rx', text: toHex(bytes) });
+        return;
+      }
+
+      const text = partial + (typeof chunk === 'string' ? chunk + '\n' : textDecoder.decode(chunk, { stream: true }));
+      const parts = text.split(/\r?\n/);
+      partial = parts.pop();
+      parts.forEach((line) => pending.push({ kind: 'rx', text: line }));
+    });
+
+    const timer = setInterval(() => {
+      if (pending.length === 0) return;
+      const batch = pending;
+      pending = [];
+      setLines(prev => prev.concat(batch).slice(-MAX_LINES));
+    }, FLUSH_INTERVAL);
+
+    return () => {
+      offRaw();
+      clearInterval(timer);
+    };
+  }, [source, hexView]);
+
+  useEffect(() => {
+    if (logRef.current) {
+      logRef.current.scrollTop = logRef.current.scrollHeight;
+    }
+  }, [lines]);
+
+  const send = async (command) => {
+    try {
+      await source.write(command + LINE_ENDINGS[lineEnding].value);
+      setLines(prev => prev.concat({ kind: 'tx', text: command }).slice(-MAX_LINES));
+      setHistory(prev => [command, ...prev.filter((item) => item !== command)].slice(0, MAX_HISTORY));
+      setHistoryIndex(-1);
+    } catch (error) {
+      console.error('Error writing to device:', error);
+      setLines(prev => prev.concat({ kind: 'error', text: `Send failed: ${error.message}` }).slice(-MAX_LINES));
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!input) return;
+    send(input);
+    setInput('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowUp' && history.length > 0) {
+      e.preventDefault();
+      const index = Math.min(historyIndex + 1, history.length - 1);
+      setHistoryIndex(index);
+      setInput(history[index]);
+    } else if (e.key === 'ArrowDown' && historyIndex >= 0) {
+      e.preventDefault();
+      const index = historyIndex - 1;
+      setHistoryIndex(index);
+      setInput(index >= 0 ? history[index] : '');
+    }
+  };
+
+  const lineColor = { rx: '#e0e0e0', tx: '#00d4ff', error: '#ff6b6b' };
+
+  return (
+    <div style={panelStyle}>
+      <h3 style={panelTitleStyle}>Device Console</h3>
+
+      <div style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: '8px', marginBottom: '12px' }}>
+        {QUICK_COMMANDS.map((command) => (
+          <button key={command} onClick={() => send(command)} style={smallButtonStyle('#00d4ff')}>
+            {command}
+          </button>
+        ))}
+        <span style={{ flex: 1 }} />
+        <label style={{ ...labelStyle, cursor: 'pointer' }}>
+          <input
+            type="checkbox"
+            checked={hexView}
+            onChange={(e) => setHexView(e.target.checked)}
+            style={{ marginRight: '6px', accentColor: '#00d4ff' }}
+          />
+          Hex
+        </label>
+        <button onClick={() => setPaused(!paused)} style={smallButtonStyle(paused ? '#ffc107' : '#a0a0a0')}>
+          {paused ? 'Resume' : 'Pause'}
+        </button>
+        <button onClick={() => setLines([])} style={smallButtonStyle('#ff6b6b')}>
+          Clear
+        </button>
+      </div>
+
+      <div
+        ref={logRef}
+        style={{
+          height: '240px',
+          overflowY: 'auto',
+          padding: '12px',
+          marginBottom: '12px',
+          background: 'rgba(0, 0, 0, 0.4)',
+          borderRadius: '8px',
+          border: '1px solid rgba(255, 255, 255, 0.1)',
+          fontFamily: 'monospace',
+          fontSize: '13px',
+          whiteSpace: 'pre-wrap',
+          wordBreak: 'break-all'
+        }}
+      >
+        {lines.map((line, index) => (
+          <div key={index} style={{ color: lineColor[line.kind] }}>
+            {line.kind === 'tx' ? '> ' : ''}{line.text}
+          </div>
+        ))}
+      </div>
+
+      <form onSubmit={handleSubmit} style={{ display: 'flex', alignItems: 'center' }}>
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder="Command (↑/↓ for history)"
+          style={{ ...inputStyle, flex: 1, fontFamily: 'monospace' }}
+        />
+        <select value={lineEnding} onChange={(e) => setLineEnding(e.target.value)} style={inputStyle}>
+          {Object.entries(LINE_ENDINGS).map(([value, { label }]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <button type="submit" disabled={!input} style={primaryButtonStyle(!!input)}>
+          Send
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default SerialConsole;
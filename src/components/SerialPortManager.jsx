@@ -0,0 +1,261 @@
+import React, { useEffect, useState } from 'react';
+import {
+  createSerialSource,
+  SERIAL_BAUD_RATES,
+  SOURCE_STATE,
+  STATUS_DISPLAY
+} from '../sources';
+import { SERIAL_PROTOCOLS } from '../protocol';
+import {
+  panelStyle,
+  panelTitleStyle,
+  labelStyle,
+  inputStyle,
+  smallButtonStyle,
+  primaryButtonStyle,
+  dangerButtonStyle,
+  statusTextStyle
+} from '../styles';
+
+const DATA_BITS = [7, 8];
+const PARITIES = ['none', 'even', 'odd'];
+const STOP_BITS = [1, 2];
+const FLOW_CONTROLS = [
+  { value: 'none', label: 'None' },
+  { value: 'hardware', label: 'RTS/CTS' },
+];
+
+// USB identity of a port, which is all that survives a reload
+function portIdentity(port) {
+  const { usbVendorId, usbProductId } = port.getInfo();
+  return usbVendorId === undefined ? null : { usbVendorId, usbProductId };
+}
+
+function matchesIdentity(port, identity) {
+  const info = port.getInfo();
+  return identity !== null && info.usbVendorId === identity.usbVendorId && info.usbProductId === identity.usbProductId;
+}
+
+// Serial Port Manager Component. Protocol, line options and the last port used belong to the settings profile.
+function SerialPortManager({
+  source,
+  status,
+  onSourceChange,
+  protocol,
+  onProtocolChange,
+  options,
+  onOptionsChange,
+  savedPort,
+  onSavedPortChange
+}) {
+  const [availablePorts, setAvailablePorts] = useState([]);
+  const [chosenPort, setChosenPort] = useState(null);
+  // The browser remembers granted ports, so the one used last time is picked again
+  const selectedPort = chosenPort ?? availablePorts.find((port) => matchesIdentity(port, savedPort)) ?? null;
+  const [decoderStats, setDecoderStats] = useState(null);
+  const serialStatus = source?.type === 'serial' ? status : { state: SOURCE_STATE.DISCONNECTED, message: '' };
+  const isOpen = serialStatus.state === SOURCE_STATE.CONNECTED || serialStatus.state === SOURCE_STATE.CONNECTING;
+  const statusDisplay = STATUS_DISPLAY[serialStatus.state];
+
+  const connectToPort = async () => {
+    if (!selectedPort) {
+      alert('Please select a port first');
+      return;
+    }
+
+    onSavedPortChange(portIdentity(selectedPort));
+    const serialSource = createSerialSource({ port: selectedPort, protocol, options });
+    onSourceChange(serialSource);
+    try {
+      await serialSource.connect();
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const disconnectFromPort = async () => {
+    if (source) {
+      await source.disconnect();
+    }
+  };
+
+  const refreshPorts = async () => {
+    try {
+      const ports = await navigator.serial.getPorts();
+      setAvailablePorts(ports);
+    } catch (error) {
+      console.error('Error getting available ports:', error);
+    }
+  };
+
+  const requestPort = async () => {
+    try {
+      const newPort = await navigator.serial.requestPort();
+      setAvailablePorts(prev => [...prev, newPort]);
+      setChosenPort(newPort);
+    } catch (error) {
+      console.error('Error requesting port:', error);
+    }
+  };
+
+  const updateOption = (key, value) => {
+    onOptionsChange(prev => ({ ...prev, [key]: value }));
+  };
+
+  useEffect(() => {
+    refreshPorts();
+  }, []);
+
+  useEffect(() => {
+    if (source?.type !== 'serial') {
+      setDecoderStats(null);
+      return;
+    }
+    setDecoderStats(source.getStats());
+    const timer = setInterval(() => setDecoderStats(source.getStats()), 500);
+    return () => clearInterval(timer);
+  }, [source]);
+
+  return (
+    <div style={panelStyle}>
+      <h3 style={panelTitleStyle}>Serial Port Connection</h3>
+
+      <div style={{ marginBottom: '16px' }}>
+        <label style={labelStyle}>Select Port:</label>
+        <select 
+          value={selectedPort ? availablePorts.indexOf(selectedPort) : ''} 
+          onChange={(e) => setChosenPort(availablePorts[e.target.value])}
+          disabled={isOpen}
+          style={inputStyle}
+        >
+          <option value="">Choose a port...</option>
+          {availablePorts.map((port, index) => (
+            <option key={index} value={index}>
+              {port.getInfo().usbProductId ? 
+                `USB Port (${port.getInfo().usbProductId})` : 
+                `Port ${index + 1}`
+              }
+            </option>
+          ))}
+        </select>
+        <button onClick={requestPort} style={smallButtonStyle('#00d4ff')}>
+          Request New Port
+        </button>
+        <button onClick={refreshPorts} style={smallButtonStyle('#ff6b6b')}>
+          Refresh
+        </button>
+      </div>
+
+      <div style={{ marginBottom: '16px' }}>
+        <label style={labelStyle}>Protocol:</label>
+        <select
+          value={protocol}
+          onChange={(e) => onProtocolChange(e.target.value)}
+          disabled={isOpen}
+          style={inputStyle}
+        >
+          {SERIAL_PROTOCOLS.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <label style={labelStyle}>Baud rate:</label>
+        <select
+          value={options.baudRate}
+          onChange={(e) => updateOption('baudRate', e.target.value === 'auto' ? 'auto' : Number(e.target.value))}
+          disabled={isOpen}
+          style={inputStyle}
+        >
+          <option value="auto">Auto-detect</option>
+          {SERIAL_BAUD_RATES.map((rate) => (
+            <option key={rate} value={rate}>{rate}</option>
+          ))}
+        </select>
+      </div>
+
+      <div style={{ marginBottom: '16px' }}>
+        <label style={labelStyle}>Data bits:</label>
+        <select
+          value={options.dataBits}
+          onChange={(e) => updateOption('dataBits', Number(e.target.value))}
+          disabled={isOpen}
+          style={inputStyle}
+        >
+          {DATA_BITS.map((bits) => <option key={bits} value={bits}>{bits}</option>)}
+        </select>
+        <label style={labelStyle}>Parity:</label>
+        <select
+          value={options.parity}
+          onChange={(e) => updateOption('parity', e.target.value)}
+          disabled={isOpen}
+          style={inputStyle}
+        >
+          {PARITIES.map((parity) => <option key={parity} value={parity}>{parity}</option>)}
+        </select>
+        <label style={labelStyle}>Stop bits:</label>
+        <select
+          value={options.stopBits}
+          onChange={(e) => updateOption('stopBits', Number(e.target.value))}
+          disabled={isOpen}
+          style={inputStyle}
+        >
+          {STOP_BITS.map((bits) => <option key={bits} value={bits}>{bits}</option>)}
+        </select>
+        <label style={labelStyle}>Flow control:</label>
+        <select
+          value={options.flowControl}
+          onChange={(e) => updateOption('flowControl', e.target.value)}
+          disabled={isOpen}
+          style={inputStyle}
+        >
+          {FLOW_CONTROLS.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <label style={{ ...labelStyle, cursor: 'pointer' }}>
+          <input
+            type="checkbox"
+            checked={options.autoReconnect}
+            onChange={(e) => updateOption('autoReconnect', e.target.checked)}
+            disabled={isOpen}
+            style={{ marginRight: '6px', accentColor: '#00d4ff' }}
+          />
+          Reconnect automatically
+        </label>
+      </div>
+
+      <div>
+        {!isOpen ? (
+          <button 
+            onClick={connectToPort} 
+            disabled={!selectedPort}
+            style={primaryButtonStyle(!!selectedPort)}
+          >
+            Connect
+          </button>
+        ) : (
+          <button onClick={disconnectFromPort} style={dangerButtonStyle}>
+            Disconnect
+          </button>
+        )}
+        
+        <span style={statusTextStyle(statusDisplay.color)}>
+          {statusDisplay.label}
+          {(serialStatus.state === SOURCE_STATE.CONNECTED || serialStatus.state === SOURCE_STATE.CONNECTING) &&
+            serialStatus.message && ` (${serialStatus.message})`}
+        </span>
+      </div>
+
+      {decoderStats && (
+        <div style={{ marginTop: '16px', color: '#a0a0a0', fontSize: '14px', fontFamily: 'monospace' }}>
+          {Object.entries(decoderStats).map(([key, count]) => (
+            <span key={key} style={{ marginRight: '16px', color: count > 0 && key !== 'frames' ? '#ffc107' : '#a0a0a0' }}>
+              {key}: {count}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SerialPortManager;
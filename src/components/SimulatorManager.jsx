@@ -0,0 +1,196 @@
+import React, { useState } from 'react';
+import { isValidSimulatorConfig, SOURCE_STATE, STATUS_DISPLAY } from '../sources';
+import { MOTION_PROFILES } from '../simulator/motionProfiles';
+import {
+  panelStyle,
+  panelTitleStyle,
+  labelStyle,
+  inputStyle,
+  primaryButtonStyle,
+  dangerButtonStyle,
+  smallButtonStyle,
+  statusTextStyle
+} from '../styles';
+
+const fieldStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  flexWrap: 'wrap',
+  marginBottom: '12px'
+};
+
+const AXES = ['x', 'y', 'z'];
+
+function VectorInput({ label, value, step, onChange }) {
+  return (
+    <div style={fieldStyle}>
+      <label style={{ ...labelStyle, width: '160px' }}>{label}</label>
+      {AXES.map((axis) => (
+        <React.Fragment key={axis}>
+          <span style={{ color: '#a0a0a0', marginRight: '6px' }}>{axis}</span>
+          <input
+            type="number"
+            step={step}
+            value={value[axis]}
+            onChange={(e) => onChange({ ...value, [axis]: Number(e.target.value) })}
+            style={{ ...inputStyle, width: '80px' }}
+          />
+        </React.Fragment>
+      ))}
+    </div>
+  );
+}
+
+// Motion Simulator Component
+function SimulatorManager({ source, status, config, onConfigChange }) {
+  const [draft, setDraft] = useState(config);
+  const simulatorStatus = source?.type === 'simulator' ? status : { state: SOURCE_STATE.DISCONNECTED, message: '' };
+  const isRunning = simulatorStatus.state !== SOURCE_STATE.DISCONNECTED;
+  const statusDisplay = STATUS_DISPLAY[simulatorStatus.state];
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(config);
+  const canApply = isValidSimulatorConfig(draft);
+
+  const updateDraft = (key, value) => {
+    setDraft(prev => ({ ...prev, [key]: value }));
+  };
+
+  return (
+    <div style={panelStyle}>
+      <h3 style={panelTitleStyle}>Motion Simulator</h3>
+
+      <div style={fieldStyle}>
+        <label style={{ ...labelStyle, width: '160px' }}>Profile:</label>
+        <select value={draft.profile} onChange={(e) => updateDraft('profile', e.target.value)} style={inputStyle}>
+          {Object.entries(MOTION_PROFILES).map(([value, { label }]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <label style={labelStyle}>Sample rate (Hz):</label>
+        <input
+          type="number"
+          min="1"
+          max="1000"
+          value={draft.rate}
+          onChange={(e) => updateDraft('rate', Number(e.target.value))}
+          style={{ ...inputStyle, width: '80px' }}
+        />
+      </div>
+
+      {draft.profile === 'spin' && (
+        <VectorInput
+          label="Spin rate (°/s):"
+          value={draft.spinRate}
+          step="5"
+          onChange={(value) => updateDraft('spinRate', value)}
+        />
+      )}
+      {draft.profile === 'wobble' && (
+        <div style={fieldStyle}>
+          <label style={{ ...labelStyle, width: '160px' }}>Amplitude (°):</label>
+          <input
+            type="number"
+            min="0"
+            max="90"
+            value={draft.wobbleAmplitude}
+            onChange={(e) => updateDraft('wobbleAmplitude', Number(e.target.value))}
+            style={{ ...inputStyle, width: '80px' }}
+          />
+          <label style={labelStyle}>Frequency (Hz):</label>
+          <input
+            type="number"
+            min="0"
+            step="0.1"
+            value={draft.wobbleFrequency}
+            onChange={(e) => updateDraft('wobbleFrequency', Number(e.target.value))}
+            style={{ ...inputStyle, width: '80px' }}
+          />
+        </div>
+      )}
+
+      <div style={fieldStyle}>
+        <label style={{ ...labelStyle, width: '160px' }}>Noise (× typical):</label>
+        <input
+          type="number"
+          min="0"
+          step="0.5"
+          value={draft.noise}
+          onChange={(e) => updateDraft('noise', Number(e.target.value))}
+          style={{ ...inputStyle, width: '80px' }}
+        />
+        <label style={labelStyle}>Dropouts (%):</label>
+        <input
+          type="number"
+          min="0"
+          max="99"
+          value={Math.round(draft.dropout * 100)}
+          onChange={(e) => updateDraft('dropout', Number(e.target.value) / 100)}
+          style={{ ...inputStyle, width: '80px' }}
+        />
+        <label style={labelStyle}>Yaw drift (°/s):</label>
+        <input
+          type="number"
+          step="0.1"
+          value={draft.yawDrift}
+          onChange={(e) => updateDraft('yawDrift', Number(e.target.value))}
+          style={{ ...inputStyle, width: '80px' }}
+        />
+      </div>
+
+      <VectorInput
+        label="Gyro bias (°/s):"
+        value={draft.gyroBias}
+        step="0.1"
+        onChange={(value) => updateDraft('gyroBias', value)}
+      />
+
+      <div style={fieldStyle}>
+        <label style={{ ...labelStyle, width: '160px' }}>Seed:</label>
+        <input
+          type="number"
+          value={draft.seed}
+          onChange={(e) => updateDraft('seed', Number(e.target.value))}
+          style={{ ...inputStyle, width: '100px' }}
+        />
+        <label style={{ ...labelStyle, cursor: 'pointer' }}>
+          <input
+            type="checkbox"
+            checked={draft.raw}
+            onChange={(e) => updateDraft('raw', e.target.checked)}
+            style={{ marginRight: '6px', accentColor: '#00d4ff' }}
+          />
+          Raw accelerometer, gyroscope and magnetometer
+        </label>
+      </div>
+
+      <div>
+        <button
+          onClick={() => onConfigChange(draft)}
+          disabled={!isDirty || !canApply}
+          style={{ ...primaryButtonStyle(isDirty && canApply), marginRight: '12px' }}
+        >
+          Apply
+        </button>
+        {isRunning ? (
+          <button onClick={() => source.disconnect()} style={dangerButtonStyle}>
+            Stop
+          </button>
+        ) : (
+          <button onClick={() => source?.connect()} disabled={!source} style={smallButtonStyle('#00d4ff')}>
+            Start
+          </button>
+        )}
+
+        <span style={statusTextStyle(statusDisplay.color)}>
+          {statusDisplay.label}
+          {simulatorStatus.message && ` (${simulatorStatus.message})`}
+        </span>
+      </div>
+      <p style={{ color: '#707070', fontSize: '13px', margin: '12px 0 0 0' }}>
+        Restarting replays the same stream for a given seed. The rocket profile also sends altitude, battery and GPS
+        readings for the flight panel.
+      </p>
+    </div>
+  );
+}
+
+export default SimulatorManager;
@@ -0,0 +1,221 @@
+import React, { useEffect, useRef } from 'react';
+
+const PADDING = { left: 56, right: 12, top: 10, bottom: 24 };
+const GRID_COLOR = 'rgba(255, 255, 255, 0.08)';
+const AXIS_TEXT_COLOR = '#a0a0a0';
+
+function niceStep(range, targetTicks) {
+  const rough = range / targetTicks;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+  const normalized = rough / magnitude;
+  const step = normalized < 1.5 ? 1 : normalized < 3 ? 2 : normalized < 7 ? 5 : 10;
+  return step * magnitude;
+}
+
+function visibleRange(buffer, channels, from, to) {
+  let min = Infinity;
+  let max = -Infinity;
+  const first = buffer.lowerBound(from);
+  const last = buffer.lowerBound(to);
+  for (let i = first; i < last; i++) {
+    channels.forEach((channel) => {
+      const value = buffer.valueAt(channel.index, i);
+      if (value < min) min = value;
+      if (value > max) max = value;
+    });
+  }
+  if (!Number.isFinite(min)) return [-1, 1];
+  if (min === max) return [min - 1, max + 1];
+  const margin = (max - min) * 0.05;
+  return [min - margin, max + margin];
+}
+
+function drawChart(ctx, width, height, options, cursorX) {
+  const { buffer, channels, windowMs, endTime, yRange, units } = options;
+  const plotWidth = width - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+  const startTime = endTime - windowMs;
+  const [yMin, yMax] = yRange ?? visibleRange(buffer, channels, startTime, endTime);
+
+  const toX = (t) => PADDING.left + ((t - startTime) / windowMs) * plotWidth;
+  const toY = (v) => PADDING.top + (1 - (v - yMin) / (yMax - yMin)) * plotHeight;
+
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = '11px monospace';
+  ctx.lineWidth = 1;
+
+  // Y grid and labels
+  const yStep = niceStep(yMax - yMin, 5);
+  ctx.fillStyle = AXIS_TEXT_COLOR;
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  for (let v = Math.ceil(yMin / yStep) * yStep; v <= yMax; v += yStep) {
+    const y = Math.round(toY(v)) + 0.5;
+    ctx.strokeStyle = GRID_COLOR;
+    ctx.beginPath();
+    ctx.moveTo(PADDING.left, y);
+    ctx.lineTo(width - PADDING.right, y);
+    ctx.stroke();
+    ctx.fillText(`${Number(v.toPrecision(4))}${units}`, PADDING.left - 6, y);
+  }
+
+  // X grid and labels, relative to the right edge
+  const xStep = niceStep(windowMs / 1000, 6) * 1000;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  for (let offset = 0; offset <= windowMs; offset += xStep) {
+    const x = Math.round(toX(endTime - offset)) + 0.5;
+    ctx.strokeStyle = GRID_COLOR;
+    ctx.beginPath();
+    ctx.moveTo(x, PADDING.top);
+    ctx.lineTo(x, PADDING.top + plotHeight);
+    ctx.stroke();
+    ctx.fillText(offset === 0 ? 'now' : `-${Number((offset / 1000).toPrecision(3))}s`, x, PADDING.top + plotHeight + 6);
+  }
+
+  // Series: one min/max pair per pixel column keeps dense data cheap to draw
+  const first = Math.max(0, buffer.lowerBound(startTime) - 1);
+  const last = buffer.lowerBound(endTime);
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(PADDING.left, PADDING.top, plotWidth, plotHeight);
+  ctx.clip();
+  ctx.lineWidth = 1.5;
+  channels.forEach((channel) => {
+    ctx.strokeStyle = channel.color;
+    ctx.beginPath();
+    let column = null;
+    let columnMin = 0;
+    let columnMax = 0;
+    let penDown = false;
+
+    const flush = () => {
+      if (column === null) return;
+      const yA = toY(columnMin);
+      const yB = toY(columnMax);
+      if (penDown) {
+        ctx.lineTo(column, yA);
+      } else {
+        ctx.moveTo(column, yA);
+        penDown = true;
+      }
+      if (yB !== yA) ctx.lineTo(column, yB);
+    };
+
+    for (let i = first; i < last; i++) {
+      const value = buffer.valueAt(channel.index, i);
+      if (Number.isNaN(value)) {
+        flush();
+        column = null;
+        penDown = false;
+        continue;
+      }
+      const x = Math.round(toX(buffer.timeAt(i)));
+      if (x !== column) {
+        flush();
+        column = x;
+        columnMin = value;
+        columnMax = value;
+      } else {
+        if (value < columnMin) columnMin = value;
+        if (value > columnMax) columnMax = value;
+      }
+    }
+    flush();
+    ctx.stroke();
+  });
+  ctx.restore();
+
+  // Cursor readout
+  if (cursorX !== null && cursorX >= PADDING.left && cursorX <= width - PADDING.right && last > 0) {
+    const cursorTime = startTime + ((cursorX - PADDING.left) / plotWidth) * windowMs;
+    let index = Math.min(buffer.lowerBound(cursorTime), last - 1);
+    if (index > 0 && cursorTime - buffer.timeAt(index - 1) < buffer.timeAt(index) - cursorTime) {
+      index--;
+    }
+    const sampleTime = buffer.timeAt(index);
+    if (sampleTime >= startTime) {
+      const x = Math.round(toX(sampleTime)) + 0.5;
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+      ctx.beginPath();
+      ctx.moveTo(x, PADDING.top);
+      ctx.lineTo(x, PADDING.top + plotHeight);
+      ctx.stroke();
+
+      const lines = [`${((sampleTime - endTime) / 1000).toFixed(3)}s`].concat(
+        channels.map((channel) => `${channel.label}: ${buffer.valueAt(channel.index, index).toFixed(3)}${units}`)
+      );
+      const boxWidth = Math.max(...lines.map((line) => ctx.measureText(line).width)) + 12;
+      const boxHeight = lines.length * 14 + 8;
+      const boxX = x + boxWidth + 8 > width - PADDING.right ? x - boxWidth - 8 : x + 8;
+      ctx.fillStyle = 'rgba(10, 10, 15, 0.85)';
+      ctx.fillRect(boxX, PADDING.top + 4, boxWidth, boxHeight);
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'top';
+      lines.forEach((line, i) => {
+        ctx.fillStyle = i === 0 ? AXIS_TEXT_COLOR : channels[i - 1].color;
+        ctx.fillText(line, boxX + 6, PADDING.top + 8 + i * 14);
+      });
+    }
+  }
+}
+
+// Canvas line chart that redraws from a time-series buffer on every animation frame
+function TimeSeriesChart({ buffer, channels, windowMs, frozenAt, yRange, units = '', height = 180 }) {
+  const canvasRef = useRef(null);
+  const optionsRef = useRef(null);
+  const cursorRef = useRef(null);
+
+  useEffect(() => {
+    optionsRef.current = {
+      buffer,
+      windowMs,
+      frozenAt,
+      yRange,
+      units,
+      channels: channels.map((channel) => ({ ...channel, index: buffer.keys.indexOf(channel.key) })),
+    };
+  }, [buffer, channels, windowMs, frozenAt, yRange, units]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext('2d');
+    let frame = null;
+
+    const render = () => {
+      frame = requestAnimationFrame(render);
+      const options = optionsRef.current;
+      if (!options) return;
+
+      const ratio = window.devicePixelRatio || 1;
+      const width = canvas.clientWidth;
+      const cssHeight = canvas.clientHeight;
+      if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(cssHeight * ratio)) {
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(cssHeight * ratio);
+      }
+      ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+      const endTime = options.frozenAt ?? Date.now();
+      drawChart(ctx, width, cssHeight, { ...options, endTime }, cursorRef.current);
+    };
+    render();
+
+    return () => cancelAnimationFrame(frame);
+  }, []);
+
+  const handleMouseMove = (e) => {
+    cursorRef.current = e.clientX - e.currentTarget.getBoundingClientRect().left;
+  };
+
+  return (
+    <canvas
+      ref={canvasRef}
+      onMouseMove={handleMouseMove}
+      onMouseLeave={() => { cursorRef.current = null; }}
+      style={{ width: '100%', height: `${height}px`, display: 'block', cursor: 'crosshair' }}
+    />
+  );
+}
+
+export default TimeSeriesChart;
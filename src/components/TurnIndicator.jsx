@@ -0,0 +1,54 @@
+import React from 'react';
+
+const STANDARD_RATE = 3; // °/s, a full turn in two minutes
+const STANDARD_RATE_BANK = 20; // ° the symbol tilts at standard rate, where the L and R marks sit
+const MAX_TILT = 40;
+const MARKS = [
+  { side: -1, angle: 0 },
+  { side: 1, angle: 0 },
+  { side: -1, angle: -STANDARD_RATE_BANK },
+  { side: 1, angle: STANDARD_RATE_BANK },
+];
+
+// Turn coordinator: the aircraft symbol banks with the rate of turn and lines up with the
+// L/R marks at a standard-rate turn. Only the rate is shown; there is no slip ball.
+function TurnIndicator({ rate, size = 200 }) {
+  const tilt = Math.max(-MAX_TILT, Math.min(MAX_TILT, (rate / STANDARD_RATE) * STANDARD_RATE_BANK));
+  const beyondStandard = Math.abs(rate) > STANDARD_RATE * 1.5;
+
+  return (
+    <svg width={size} height={size} viewBox="-100 -100 200 200" style={{ display: 'block' }}>
+      <circle r={96} fill="rgba(20, 20, 30, 0.8)" stroke="rgba(0, 212, 255, 0.4)" strokeWidth={3} />
+
+      {/* Level marks and standard-rate marks */}
+      {MARKS.map(({ side, angle }) => (
+        <line
+          key={`${side}:${angle}`}
+          x1={side * 70}
+          y1={0}
+          x2={side * 88}
+          y2={0}
+          transform={`rotate(${angle})`}
+          stroke="#e0e0e0"
+          strokeWidth={4}
+        />
+      ))}
+      <text x={-82} y={44} textAnchor="middle" fill="#a0a0a0" fontSize="13" fontWeight="700">L</text>
+      <text x={82} y={44} textAnchor="middle" fill="#a0a0a0" fontSize="13" fontWeight="700">R</text>
+
+      <g transform={`rotate(${tilt})`} stroke={beyondStandard ? '#ff6b6b' : '#ffc107'} strokeWidth={5} strokeLinecap="round">
+        <line x1={-64} y1={0} x2={64} y2={0} />
+        <line x1={0} y1={-14} x2={0} y2={0} />
+        <line x1={-16} y1={12} x2={16} y2={12} />
+        <circle r={6} fill="#1a1a2e" />
+      </g>
+
+      <text x={0} y={-44} textAnchor="middle" fill="#a0a0a0" fontSize="11">2 MIN</text>
+      <text x={0} y={60} textAnchor="middle" fill="#00d4ff" fontSize="15" fontWeight="700" fontFamily="monospace">
+        {rate >= 0 ? '+' : ''}{rate.toFixed(1)} °/s
+      </text>
+    </svg>
+  );
+}
+
+export default TurnIndicator;
@@ -0,0 +1,71 @@
+import React from 'react';
+import { createWebSocketSource, SOURCE_STATE, STATUS_DISPLAY } from '../sources';
+import {
+  panelStyle,
+  panelTitleStyle,
+  labelStyle,
+  inputStyle,
+  primaryButtonStyle,
+  dangerButtonStyle,
+  statusTextStyle
+} from '../styles';
+
+// WebSocket Manager Component
+function WebSocketManager({ source, status, onSourceChange, url, onUrlChange }) {
+  const wsStatus = source?.type === 'websocket' ? status : { state: SOURCE_STATE.DISCONNECTED, message: '' };
+  const isOpen = wsStatus.state === SOURCE_STATE.CONNECTED || wsStatus.state === SOURCE_STATE.CONNECTING;
+  const statusDisplay = STATUS_DISPLAY[wsStatus.state];
+
+  const connect = async () => {
+    const wsSource = createWebSocketSource({ url });
+    onSourceChange(wsSource);
+    try {
+      await wsSource.connect();
+    } catch (error) {
+      console.error('Error connecting to WebSocket:', error);
+    }
+  };
+
+  const disconnect = async () => {
+    if (source) {
+      await source.disconnect();
+    }
+  };
+
+  return (
+    <div style={panelStyle}>
+      <h3 style={panelTitleStyle}>WebSocket Connection</h3>
+
+      <div style={{ marginBottom: '16px' }}>
+        <label style={labelStyle}>URL:</label>
+        <input
+          type="text"
+          value={url}
+          onChange={(e) => onUrlChange(e.target.value)}
+          disabled={isOpen}
+          placeholder="ws://host:port/path"
+          style={{ ...inputStyle, width: '280px' }}
+        />
+      </div>
+
+      <div>
+        {!isOpen ? (
+          <button onClick={connect} disabled={!url} style={primaryButtonStyle(!!url)}>
+            Connect
+          </button>
+        ) : (
+          <button onClick={disconnect} style={dangerButtonStyle}>
+            Disconnect
+          </button>
+        )}
+
+        <span style={statusTextStyle(statusDisplay.color)}>
+          {statusDisplay.label}
+          {wsStatus.message && ` (${wsStatus.message})`}
+        </span>
+      </div>
+    </div>
+  );
+}
+
+export default WebSocketManager;
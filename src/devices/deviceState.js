@@ -0,0 +1,54 @@
+import { isEulerData, isQuaternionData } from '../sources/telemetry';
+import { eulerToQuaternion } from '../orientation/euler';
+import { conjugateQuaternion, multiplyQuaternions, normalizeQuaternion } from '../orientation/quaternion';
+
+// Samples from a single source without an ID field all belong to this device
+export const PRIMARY_DEVICE_ID = 'main';
+
+// Fields checked, in order, for the ID of the IMU that produced a sample
+export const DEVICE_ID_FIELDS = ['device', 'deviceId', 'id'];
+
+export function getDeviceId(data, fallback = PRIMARY_DEVICE_ID) {
+  for (const field of DEVICE_ID_FIELDS) {
+    const value = data[field];
+    if (typeof value === 'string' && value !== '') return value;
+    if (typeof value === 'number') return String(value);
+  }
+  return fallback;
+}
+
+// Tags samples from a source that is dedicated to one device, unless the firmware already does
+export function withDeviceId(data, id) {
+  return getDeviceId(data, null) === null ? { ...data, device: id } : data;
+}
+
+// Folds one sample into the per-device map, returning a new map when the device's orientation changed
+export function updateDevices(devices, id, data, t) {
+  const hasQuaternion = isQuaternionData(data);
+  if (!hasQuaternion && !isEulerData(data)) return devices;
+
+  const previous = devices[id] ?? { sampleCount: 0 };
+  const device = {
+    ...previous,
+    id,
+    lastSeen: t,
+    sampleCount: previous.sampleCount + 1
+  };
+  if (hasQuaternion) {
+    device.quaternion = { w: data.w, x: data.x, y: data.y, z: data.z };
+  } else {
+    device.euler = { roll: data.roll, pitch: data.pitch, yaw: data.yaw };
+  }
+  return { ...devices, [id]: device };
+}
+
+// A device's latest orientation, preferring the quaternion when the firmware sends one
+export function deviceQuaternion(device, eulerOrder) {
+  if (device.quaternion) return normalizeQuaternion(device.quaternion);
+  return eulerToQuaternion(device.euler, eulerOrder);
+}
+
+// Orientation of b expressed in a's body frame: q_rel = q_a⁻¹ · q_b
+export function relativeQuaternion(a, b) {
+  return normalizeQuaternion(multiplyQuaternions(conjugateQuaternion(a), b));
+}
@@ -0,0 +1,115 @@
+import { createTimeSeriesBuffer } from '../charts/timeSeriesBuffer';
+import { timestamp } from '../utils/clock';
+
+const HISTORY_CAPACITY = 1 << 16;
+const HISTOGRAM_BINS = 24;
+
+const textEncoder = new TextEncoder();
+
+function byteLength(raw) {
+  return typeof raw === 'string' ? textEncoder.encode(raw).length : raw.byteLength;
+}
+
+// Summary of one buffer channel over [from, to]: mean, standard deviation, range and a histogram
+function summarize(buffer, from, to) {
+  const first = buffer.lowerBound(from);
+  const last = buffer.lowerBound(to + 1);
+  const count = last - first;
+  if (count === 0) return null;
+
+  let sum = 0;
+  let sumSquares = 0;
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = first; i < last; i++) {
+    const value = buffer.valueAt(0, i);
+    sum += value;
+    sumSquares += value * value;
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  const mean = sum / count;
+
+  const binWidth = max > min ? (max - min) / HISTOGRAM_BINS : 1;
+  const bins = new Array(HISTOGRAM_BINS).fill(0);
+  for (let i = first; i < last; i++) {
+    const bin = Math.min(HISTOGRAM_BINS - 1, Math.floor((buffer.valueAt(0, i) - min) / binWidth));
+    bins[bin]++;
+  }
+
+  return {
+    count,
+    mean,
+    stdDev: Math.sqrt(Math.max(0, sumSquares / count - mean * mean)),
+    min,
+    max,
+    histogram: { min, binWidth, bins },
+  };
+}
+
+// Watches one source's raw bytes, samples and request latency. Counters run from the last
+// reset; rates, jitter and latency are worked out over a sliding window on demand.
+export function createLinkDiagnostics() {
+  const intervals = createTimeSeriesBuffer(['interval'], HISTORY_CAPACITY);
+  const latencies = createTimeSeriesBuffer(['latency'], HISTORY_CAPACITY);
+  let counters = null;
+  let lastSampleAt = null;
+  let lastSeq = null;
+  let resetAt = 0;
+
+  const reset = () => {
+    resetAt = timestamp();
+    counters = { bytes: 0, samples: 0, seqDropped: 0, seqOutOfOrder: 0 };
+    lastSampleAt = null;
+    lastSeq = null;
+    intervals.clear();
+    latencies.clear();
+  };
+  reset();
+
+  // Links that deliver samples in bursts pass each sample's receive time; the rest are timed here
+  const handleSample = (data, t = timestamp()) => {
+    counters.samples++;
+    if (lastSampleAt !== null) {
+      intervals.push(t, { interval: t - lastSampleAt });
+    }
+    lastSampleAt = t;
+
+    // Gaps in a device-side sequence counter are samples lost somewhere on the way
+    if (typeof data.seq === 'number') {
+      if (lastSeq !== null) {
+        if (data.seq > lastSeq + 1) {
+          counters.seqDropped += data.seq - lastSeq - 1;
+        } else if (data.seq <= lastSeq) {
+          counters.seqOutOfOrder++;
+        }
+      }
+      lastSeq = data.seq;
+    }
+  };
+
+  const attach = (source) => {
+    const unsubscribers = [
+      source.on('raw', (raw) => { counters.bytes += byteLength(raw); }),
+      source.on('sample', handleSample),
+      source.on('latency', (ms) => latencies.push(timestamp(), { latency: ms })),
+    ];
+    return () => unsubscribers.forEach((off) => off());
+  };
+
+  const snapshot = (windowMs) => {
+    const now = timestamp();
+    const from = now - windowMs;
+    const samplesInWindow = intervals.getSize() - intervals.lowerBound(from);
+    // Right after a reset the window isn't full yet
+    const elapsed = Math.min(windowMs, now - resetAt);
+    return {
+      ...counters,
+      sampleRate: elapsed > 0 ? (samplesInWindow * 1000) / elapsed : 0,
+      interval: summarize(intervals, from, now),
+      latency: summarize(latencies, from, now),
+    };
+  };
+
+  return { attach, reset, snapshot };
+}
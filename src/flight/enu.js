@@ -0,0 +1,41 @@
+// WGS-84 geodetic coordinates to a local East-North-Up frame anchored at an origin fix
+
+const A = 6378137; // semi-major axis (m)
+const F = 1 / 298.257223563;
+const E2 = F * (2 - F);
+const DEG_TO_RAD = Math.PI / 180;
+
+export function geodeticToEcef({ lat, lon, alt }) {
+  const phi = lat * DEG_TO_RAD;
+  const lambda = lon * DEG_TO_RAD;
+  const sinPhi = Math.sin(phi);
+  const n = A / Math.sqrt(1 - E2 * sinPhi * sinPhi);
+  return {
+    x: (n + alt) * Math.cos(phi) * Math.cos(lambda),
+    y: (n + alt) * Math.cos(phi) * Math.sin(lambda),
+    z: (n * (1 - E2) + alt) * sinPhi,
+  };
+}
+
+// Returns a converter from { lat, lon, alt } to { e, n, u } metres relative to `origin`
+export function createEnuFrame(origin) {
+  const reference = geodeticToEcef(origin);
+  const phi = origin.lat * DEG_TO_RAD;
+  const lambda = origin.lon * DEG_TO_RAD;
+  const sinPhi = Math.sin(phi);
+  const cosPhi = Math.cos(phi);
+  const sinLambda = Math.sin(lambda);
+  const cosLambda = Math.cos(lambda);
+
+  return (fix) => {
+    const p = geodeticToEcef(fix);
+    const dx = p.x - reference.x;
+    const dy = p.y - reference.y;
+    const dz = p.z - reference.z;
+    return {
+      e: -sinLambda * dx + cosLambda * dy,
+      n: -sinPhi * cosLambda * dx - sinPhi * sinLambda * dy + cosPhi * dz,
+      u: cosPhi * cosLambda * dx + cosPhi * sinLambda * dy + sinPhi * dz,
+    };
+  };
+}
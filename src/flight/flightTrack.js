@@ -0,0 +1,59 @@
+import { createEnuFrame } from './enu';
+
+const DEFAULT_CAPACITY = 1 << 16;
+
+// Closer fixes than this add nothing visible to the path, so the track only grows while moving
+const MIN_SPACING = 0.5; // m
+
+// Flight path in local ENU metres from the launch point (the first GPS fix after a reset).
+// Positions live in a preallocated typed array that the 3D view reads directly each frame.
+export function createFlightTrack(capacity = DEFAULT_CAPACITY) {
+  const positions = new Float32Array(capacity * 3);
+  let size = 0;
+  let origin = null;
+  let toEnu = null;
+  let latest = null;
+  let extent = 0;
+  let version = 0;
+
+  const push = (fix) => {
+    if (!origin) {
+      origin = { ...fix };
+      toEnu = createEnuFrame(origin);
+    }
+    latest = toEnu(fix);
+    version++;
+
+    if (size > 0) {
+      const i = (size - 1) * 3;
+      const spacing = Math.hypot(latest.e - positions[i], latest.n - positions[i + 1], latest.u - positions[i + 2]);
+      if (spacing < MIN_SPACING) return;
+    }
+    // A full track keeps its first part and only the live position moves on
+    if (size === capacity) return;
+
+    positions.set([latest.e, latest.n, latest.u], size * 3);
+    size++;
+    extent = Math.max(extent, Math.abs(latest.e), Math.abs(latest.n), Math.abs(latest.u));
+  };
+
+  const clear = () => {
+    size = 0;
+    origin = null;
+    toEnu = null;
+    latest = null;
+    extent = 0;
+    version++;
+  };
+
+  return {
+    positions,
+    push,
+    clear,
+    getSize: () => size,
+    getOrigin: () => origin,
+    getLatest: () => latest,
+    getExtent: () => extent,
+    getVersion: () => version,
+  };
+}
@@ -0,0 +1,44 @@
+// Keeps the last custom model file in IndexedDB; model files are usually too
+// big for localStorage.
+
+const DB_NAME = 'imu-dashboard';
+const STORE_NAME = 'models';
+const CURRENT_KEY = 'current';
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withStore(mode, action) {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = action(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+export function saveModelFile(name, data) {
+  return withStore('readwrite', (store) => store.put({ name, data }, CURRENT_KEY));
+}
+
+// Resolves to { name, data } or undefined when no model was saved
+export function loadModelFile() {
+  return withStore('readonly', (store) => store.get(CURRENT_KEY));
+}
+
+export function clearModelFile() {
+  return withStore('readwrite', (store) => store.delete(CURRENT_KEY));
+}
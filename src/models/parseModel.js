@@ -0,0 +1,85 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { STLLoader } from 'three/addons/loaders/STLLoader.js';
+
+export const MODEL_EXTENSIONS = ['.glb', '.gltf', '.obj', '.stl'];
+
+// Models are centred and scaled so their largest dimension matches the 2-unit cube
+const TARGET_SIZE = 2.5;
+
+const defaultMaterial = () => new THREE.MeshStandardMaterial({
+  color: '#00d4ff',
+  metalness: 0.3,
+  roughness: 0.4,
+});
+
+function parseGltf(data) {
+  return new Promise((resolve, reject) => {
+    new GLTFLoader().parse(data, '', (gltf) => resolve(gltf.scene), reject);
+  });
+}
+
+function parseObj(data) {
+  const object = new OBJLoader().parse(new TextDecoder().decode(data));
+  object.traverse((child) => {
+    if (child.isMesh && (!child.material || child.material.type === 'MeshPhongMaterial')) {
+      child.material = defaultMaterial();
+    }
+  });
+  return object;
+}
+
+function parseStl(data) {
+  const geometry = new STLLoader().parse(data);
+  geometry.computeVertexNormals();
+  const material = geometry.hasColors
+    ? new THREE.MeshStandardMaterial({ vertexColors: true, metalness: 0.3, roughness: 0.4 })
+    : defaultMaterial();
+  return new THREE.Mesh(geometry, material);
+}
+
+function normalizeObject(object) {
+  const box = new THREE.Box3().setFromObject(object);
+  const size = box.getSize(new THREE.Vector3());
+  const center = box.getCenter(new THREE.Vector3());
+  const largest = Math.max(size.x, size.y, size.z);
+  if (!Number.isFinite(largest) || largest === 0) {
+    throw new Error('Model has no visible geometry');
+  }
+
+  const wrapper = new THREE.Group();
+  object.position.sub(center);
+  wrapper.add(object);
+  wrapper.scale.setScalar(TARGET_SIZE / largest);
+  return wrapper;
+}
+
+export async function parseModel(name, data) {
+  const extension = name.slice(name.lastIndexOf('.')).toLowerCase();
+  let object;
+  if (extension === '.glb' || extension === '.gltf') {
+    object = await parseGltf(data);
+  } else if (extension === '.obj') {
+    object = parseObj(data);
+  } else if (extension === '.stl') {
+    object = parseStl(data);
+  } else {
+    throw new Error(`Unsupported model format '${extension}'. Use ${MODEL_EXTENSIONS.join(', ')}`);
+  }
+  return normalizeObject(object);
+}
+
+export function disposeModel(object) {
+  object.traverse((child) => {
+    if (child.geometry) child.geometry.dispose();
+    if (child.material) {
+      (Array.isArray(child.material) ? child.material : [child.material]).forEach((material) => {
+        Object.values(material).forEach((value) => {
+          if (value && value.isTexture) value.dispose();
+        });
+        material.dispose();
+      });
+    }
+  });
+}
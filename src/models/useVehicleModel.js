@@ -0,0 +1,66 @@
+import { useCallback, useEffect, useState } from 'react';
+import { clearModelFile, loadModelFile, saveModelFile } from './modelStore';
+import { disposeModel, parseModel } from './parseModel';
+import { loadJson, saveJson } from '../utils/storage';
+
+// Base rotation is in degrees about the scene axes and lines the model up with the IMU body frame
+export const DEFAULT_MODEL_SETTINGS = {
+  scale: 1,
+  rotation: { x: 0, y: 0, z: 0 },
+};
+
+// Custom vehicle model shown instead of the cube; the file is remembered between sessions
+export function useVehicleModel() {
+  const [model, setModel] = useState(null); // { name, object }
+  const [settings, setSettings] = useState(() => loadJson('modelSettings', DEFAULT_MODEL_SETTINGS));
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    saveJson('modelSettings', settings);
+  }, [settings]);
+
+  useEffect(() => {
+    if (!model) return;
+    return () => disposeModel(model.object);
+  }, [model]);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadModelFile()
+      .then(async (stored) => {
+        if (!stored || cancelled) return;
+        const object = await parseModel(stored.name, stored.data);
+        if (!cancelled) {
+          setModel({ name: stored.name, object });
+        }
+      })
+      .catch((error) => console.error('Error restoring saved model:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const loadFile = useCallback(async (file) => {
+    setLoading(true);
+    try {
+      const data = await file.arrayBuffer();
+      const object = await parseModel(file.name, data);
+      setModel({ name: file.name, object });
+      await saveModelFile(file.name, data).catch((error) => {
+        console.error('Error saving model for next session:', error);
+      });
+    } catch (error) {
+      console.error('Error loading model:', error);
+      alert('Failed to load model: ' + error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const clear = useCallback(() => {
+    setModel(null);
+    clearModelFile().catch((error) => console.error('Error clearing saved model:', error));
+  }, []);
+
+  return { model, settings, setSettings, loading, loadFile, clear };
+}
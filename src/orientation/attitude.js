@@ -0,0 +1,33 @@
+import { rotateVector } from './quaternion';
+import { unwrapAngle } from './euler';
+import { DEFAULT_FRAME, sensorDirectionOf } from './threeFrame';
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+function dot(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+// Aviation angles of the vehicle as the cube shows it, whatever the Euler order. The frame says which
+// board directions are nose, right wing and up (the scene's forward, right and up), and the same
+// directions of the reference frame are taken as level flight at heading 0.
+// roll: right wing down is positive, ±180 · pitch: nose up is positive, ±90 · heading: 0–360, clockwise from above
+export function vehicleAttitude(q, frame = DEFAULT_FRAME) {
+  const nose = sensorDirectionOf('-z', frame);
+  const right = sensorDirectionOf('+x', frame);
+  const up = sensorDirectionOf('+y', frame);
+
+  const bodyNose = rotateVector(q, nose);
+  const bodyRight = rotateVector(q, right);
+  const bodyUp = rotateVector(q, up);
+
+  const pitch = Math.asin(Math.max(-1, Math.min(1, dot(bodyNose, up)))) * RAD_TO_DEG;
+  const roll = Math.atan2(-dot(bodyRight, up), dot(bodyUp, up)) * RAD_TO_DEG;
+  const heading = Math.atan2(dot(bodyNose, right), dot(bodyNose, nose)) * RAD_TO_DEG;
+  return { roll, pitch, heading: (heading + 360) % 360 };
+}
+
+// Signed change from one heading to another, taking the short way round (-180–180)
+export function headingChange(from, to) {
+  return unwrapAngle(0, to - from);
+}
@@ -0,0 +1,23 @@
+import { conjugateQuaternion, IDENTITY_QUATERNION, multiplyQuaternions, normalizeQuaternion } from './quaternion';
+
+// mount: board orientation relative to the vehicle body (q_sensor = q_body · mount)
+// tare:  body orientation captured as the new zero (shown = tare⁻¹ · q_body)
+export const NO_CORRECTION = { mount: IDENTITY_QUATERNION, tare: IDENTITY_QUATERNION };
+
+function isIdentity(q) {
+  return Math.abs(Math.abs(q.w) - 1) < 1e-9;
+}
+
+export function isCorrectionActive(correction) {
+  return !isIdentity(correction.mount) || !isIdentity(correction.tare);
+}
+
+export function removeMount(q, mount) {
+  return normalizeQuaternion(multiplyQuaternions(q, conjugateQuaternion(mount)));
+}
+
+export function correctQuaternion(q, correction) {
+  if (!isCorrectionActive(correction)) return q;
+  const body = removeMount(normalizeQuaternion(q), correction.mount);
+  return normalizeQuaternion(multiplyQuaternions(conjugateQuaternion(correction.tare), body));
+}
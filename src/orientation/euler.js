@@ -0,0 +1,72 @@
+import * as THREE from 'three';
+import { normalizeQuaternion } from './quaternion';
+
+// Euler angles are { roll, pitch, yaw } in degrees about the board's X, Y and Z
+// axes. The order string follows three.js: 'YZX' means R = Ry(pitch) · Rz(yaw) · Rx(roll).
+// 'YZX' is what the cube has always rendered, so it is the default.
+export const DEFAULT_EULER_ORDER = 'YZX';
+
+const DEG_TO_RAD = Math.PI / 180;
+
+export function eulerToQuaternion(euler, order = DEFAULT_EULER_ORDER) {
+  const q = new THREE.Quaternion().setFromEuler(new THREE.Euler(
+    euler.roll * DEG_TO_RAD,
+    euler.pitch * DEG_TO_RAD,
+    euler.yaw * DEG_TO_RAD,
+    order
+  ));
+  return { w: q.w, x: q.x, y: q.y, z: q.z };
+}
+
+export function quaternionToEuler(q, order = DEFAULT_EULER_ORDER) {
+  const e = new THREE.Euler().setFromQuaternion(new THREE.Quaternion(q.x, q.y, q.z, q.w).normalize(), order);
+  return { roll: e.x / DEG_TO_RAD, pitch: e.y / DEG_TO_RAD, yaw: e.z / DEG_TO_RAD };
+}
+
+// How close (in degrees) the middle angle may get to ±90° before the sequence counts as gimbal locked.
+// Matches the point where three.js gives up on separating the outer two angles.
+export const GIMBAL_LOCK_MARGIN = 0.03;
+
+// Warn a little earlier: near lock the outer angles still exist but swing wildly with small rotations
+const GIMBAL_WARNING_MARGIN = 2;
+
+const AXIS_ANGLES = { X: 'roll', Y: 'pitch', Z: 'yaw' };
+
+// Shifts `angle` by whole turns so it lands within 180° of `previous`
+export function unwrapAngle(previous, angle) {
+  return angle + 360 * Math.round((previous - angle) / 360);
+}
+
+// Quaternion to Euler angles that stay continuous from one sample to the next.
+// In gimbal lock only the combined rotation of the outer axes is known; three.js then zeroes the
+// last angle, which makes it jump. Instead the last angle keeps its previous value and the first
+// takes up the rest. With `unwrapYaw` the yaw runs past ±180° instead of wrapping around.
+export function quaternionToContinuousEuler(q, order, previous = null, { unwrapYaw = false } = {}) {
+  const euler = quaternionToEuler(q, order);
+  const first = AXIS_ANGLES[order[0]];
+  const middle = AXIS_ANGLES[order[1]];
+  const last = AXIS_ANGLES[order[2]];
+  const distanceToLock = 90 - Math.abs(euler[middle]);
+
+  if (previous && distanceToLock < GIMBAL_LOCK_MARGIN) {
+    // The outer axes line up either the same or the opposite way round; try both
+    const held = previous[last];
+    const candidates = [1, -1].map((sign) => ({
+      ...euler,
+      [first]: unwrapAngle(0, euler[first] - sign * held),
+      [last]: held
+    }));
+    const target = normalizeQuaternion(q);
+    const error = (candidate) => {
+      const c = eulerToQuaternion(candidate, order);
+      return 1 - Math.abs(c.w * target.w + c.x * target.x + c.y * target.y + c.z * target.z);
+    };
+    Object.assign(euler, error(candidates[0]) <= error(candidates[1]) ? candidates[0] : candidates[1]);
+  }
+
+  if (unwrapYaw && previous) {
+    euler.yaw = unwrapAngle(previous.yaw, euler.yaw);
+  }
+
+  return { euler, gimbalLock: distanceToLock < GIMBAL_WARNING_MARGIN };
+}
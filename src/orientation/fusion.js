@@ -0,0 +1,260 @@
+// Madgwick and Mahony AHRS filters, ported from the reference
+// implementations by S. Madgwick (x-io Technologies).
+// Inputs: gyro in °/s, accel and mag in any consistent units (they are normalised).
+
+import { IDENTITY_QUATERNION } from './quaternion';
+
+export const FUSION_ALGORITHMS = {
+  madgwick: 'Madgwick',
+  mahony: 'Mahony',
+};
+
+export const DEFAULT_FUSION_SETTINGS = {
+  enabled: false,
+  algorithm: 'madgwick',
+  useMag: true,
+  beta: 0.1,
+  kp: 0.5,
+  ki: 0,
+  driveCube: true,
+  showFirmware: true,
+};
+
+const DEG_TO_RAD = Math.PI / 180;
+const MAX_DT = 0.1;
+
+function normalize3(x, y, z) {
+  const norm = Math.hypot(x, y, z);
+  return norm === 0 ? null : [x / norm, y / norm, z / norm];
+}
+
+function madgwickUpdate(q, gyro, accel, mag, beta, dt) {
+  let { w: q0, x: q1, y: q2, z: q3 } = q;
+  const gx = gyro.x * DEG_TO_RAD;
+  const gy = gyro.y * DEG_TO_RAD;
+  const gz = gyro.z * DEG_TO_RAD;
+
+  // Rate of change of quaternion from gyroscope
+  let qDot1 = 0.5 * (-q1 * gx - q2 * gy - q3 * gz);
+  let qDot2 = 0.5 * (q0 * gx + q2 * gz - q3 * gy);
+  let qDot3 = 0.5 * (q0 * gy - q1 * gz + q3 * gx);
+  let qDot4 = 0.5 * (q0 * gz + q1 * gy - q2 * gx);
+
+  const a = normalize3(accel.x, accel.y, accel.z);
+  const m = mag && normalize3(mag.x, mag.y, mag.z);
+
+  if (a) {
+    const [ax, ay, az] = a;
+    let s0, s1, s2, s3;
+
+    if (m) {
+      const [mx, my, mz] = m;
+      const _2q0mx = 2 * q0 * mx;
+      const _2q0my = 2 * q0 * my;
+      const _2q0mz = 2 * q0 * mz;
+      const _2q1mx = 2 * q1 * mx;
+      const _2q0 = 2 * q0;
+      const _2q1 = 2 * q1;
+      const _2q2 = 2 * q2;
+      const _2q3 = 2 * q3;
+      const _2q0q2 = 2 * q0 * q2;
+      const _2q2q3 = 2 * q2 * q3;
+      const q0q0 = q0 * q0;
+      const q0q1 = q0 * q1;
+      const q0q2 = q0 * q2;
+      const q0q3 = q0 * q3;
+      const q1q1 = q1 * q1;
+      const q1q2 = q1 * q2;
+      const q1q3 = q1 * q3;
+      const q2q2 = q2 * q2;
+      const q2q3 = q2 * q3;
+      const q3q3 = q3 * q3;
+
+      // Reference direction of Earth's magnetic field
+      const hx = mx * q0q0 - _2q0my * q3 + _2q0mz * q2 + mx * q1q1 + _2q1 * my * q2 + _2q1 * mz * q3 - mx * q2q2 - mx * q3q3;
+      const hy = _2q0mx * q3 + my * q0q0 - _2q0mz * q1 + _2q1mx * q2 - my * q1q1 + my * q2q2 + _2q2 * mz * q3 - my * q3q3;
+      const _2bx = Math.sqrt(hx * hx + hy * hy);
+      const _2bz = -_2q0mx * q2 + _2q0my * q1 + mz * q0q0 + _2q1mx * q3 - mz * q1q1 + _2q2 * my * q3 - mz * q2q2 + mz * q3q3;
+      const _4bx = 2 * _2bx;
+      const _4bz = 2 * _2bz;
+
+      // Gradient descent corrective step
+      const fx = 2 * q1q3 - _2q0q2 - ax;
+      const fy = 2 * q0q1 + _2q2q3 - ay;
+      const fz = 1 - 2 * q1q1 - 2 * q2q2 - az;
+      const fmx = _2bx * (0.5 - q2q2 - q3q3) + _2bz * (q1q3 - q0q2) - mx;
+      const fmy = _2bx * (q1q2 - q0q3) + _2bz * (q0q1 + q2q3) - my;
+      const fmz = _2bx * (q0q2 + q1q3) + _2bz * (0.5 - q1q1 - q2q2) - mz;
+
+      s0 = -_2q2 * fx + _2q1 * fy - _2bz * q2 * fmx + (-_2bx * q3 + _2bz * q1) * fmy + _2bx * q2 * fmz;
+      s1 = _2q3 * fx + _2q0 * fy - 4 * q1 * fz + _2bz * q3 * fmx + (_2bx * q2 + _2bz * q0) * fmy + (_2bx * q3 - _4bz * q1) * fmz;
+      s2 = -_2q0 * fx + _2q3 * fy - 4 * q2 * fz + (-_4bx * q2 - _2bz * q0) * fmx + (_2bx * q1 + _2bz * q3) * fmy + (_2bx * q0 - _4bz * q2) * fmz;
+      s3 = _2q1 * fx + _2q2 * fy + (-_4bx * q3 + _2bz * q1) * fmx + (-_2bx * q0 + _2bz * q2) * fmy + _2bx * q1 * fmz;
+    } else {
+      const _2q0 = 2 * q0;
+      const _2q1 = 2 * q1;
+      const _2q2 = 2 * q2;
+      const _2q3 = 2 * q3;
+      const _4q0 = 4 * q0;
+      const _4q1 = 4 * q1;
+      const _4q2 = 4 * q2;
+      const _8q1 = 8 * q1;
+      const _8q2 = 8 * q2;
+      const q0q0 = q0 * q0;
+      const q1q1 = q1 * q1;
+      const q2q2 = q2 * q2;
+      const q3q3 = q3 * q3;
+
+      s0 = _4q0 * q2q2 + _2q2 * ax + _4q0 * q1q1 - _2q1 * ay;
+      s1 = _4q1 * q3q3 - _2q3 * ax + 4 * q0q0 * q1 - _2q0 * ay - _4q1 + _8q1 * q1q1 + _8q1 * q2q2 + _4q1 * az;
+      s2 = 4 * q0q0 * q2 + _2q0 * ax + _4q2 * q3q3 - _2q3 * ay - _4q2 + _8q2 * q1q1 + _8q2 * q2q2 + _4q2 * az;
+      s3 = 4 * q1q1 * q3 - _2q1 * ax + 4 * q2q2 * q3 - _2q2 * ay;
+    }
+
+    const sNorm = Math.hypot(s0, s1, s2, s3);
+    if (sNorm > 0) {
+      qDot1 -= beta * (s0 / sNorm);
+      qDot2 -= beta * (s1 / sNorm);
+      qDot3 -= beta * (s2 / sNorm);
+      qDot4 -= beta * (s3 / sNorm);
+    }
+  }
+
+  q0 += qDot1 * dt;
+  q1 += qDot2 * dt;
+  q2 += qDot3 * dt;
+  q3 += qDot4 * dt;
+
+  const norm = Math.hypot(q0, q1, q2, q3);
+  return { w: q0 / norm, x: q1 / norm, y: q2 / norm, z: q3 / norm };
+}
+
+function mahonyUpdate(q, integral, gyro, accel, mag, kp, ki, dt) {
+  let { w: q0, x: q1, y: q2, z: q3 } = q;
+  let gx = gyro.x * DEG_TO_RAD;
+  let gy = gyro.y * DEG_TO_RAD;
+  let gz = gyro.z * DEG_TO_RAD;
+  let nextIntegral = integral;
+
+  const a = normalize3(accel.x, accel.y, accel.z);
+  const m = mag && normalize3(mag.x, mag.y, mag.z);
+
+  if (a) {
+    const [ax, ay, az] = a;
+    const q0q0 = q0 * q0;
+    const q0q1 = q0 * q1;
+    const q0q2 = q0 * q2;
+    const q0q3 = q0 * q3;
+    const q1q1 = q1 * q1;
+    const q1q2 = q1 * q2;
+    const q1q3 = q1 * q3;
+    const q2q2 = q2 * q2;
+    const q2q3 = q2 * q3;
+    const q3q3 = q3 * q3;
+
+    // Estimated direction of gravity
+    const halfvx = q1q3 - q0q2;
+    const halfvy = q0q1 + q2q3;
+    const halfvz = q0q0 - 0.5 + q3q3;
+
+    // Error is the cross product between estimated and measured directions
+    let halfex = ay * halfvz - az * halfvy;
+    let halfey = az * halfvx - ax * halfvz;
+    let halfez = ax * halfvy - ay * halfvx;
+
+    if (m) {
+      const [mx, my, mz] = m;
+      const hx = 2 * (mx * (0.5 - q2q2 - q3q3) + my * (q1q2 - q0q3) + mz * (q1q3 + q0q2));
+      const hy = 2 * (mx * (q1q2 + q0q3) + my * (0.5 - q1q1 - q3q3) + mz * (q2q3 - q0q1));
+      const bx = Math.sqrt(hx * hx + hy * hy);
+      const bz = 2 * (mx * (q1q3 - q0q2) + my * (q2q3 + q0q1) + mz * (0.5 - q1q1 - q2q2));
+
+      // Estimated direction of magnetic field
+      const halfwx = bx * (0.5 - q2q2 - q3q3) + bz * (q1q3 - q0q2);
+      const halfwy = bx * (q1q2 - q0q3) + bz * (q0q1 + q2q3);
+      const halfwz = bx * (q0q2 + q1q3) + bz * (0.5 - q1q1 - q2q2);
+
+      halfex += my * halfwz - mz * halfwy;
+      halfey += mz * halfwx - mx * halfwz;
+      halfez += mx * halfwy - my * halfwx;
+    }
+
+    if (ki > 0) {
+      nextIntegral = {
+        x: integral.x + 2 * ki * halfex * dt,
+        y: integral.y + 2 * ki * halfey * dt,
+        z: integral.z + 2 * ki * halfez * dt,
+      };
+      gx += nextIntegral.x;
+      gy += nextIntegral.y;
+      gz += nextIntegral.z;
+    } else {
+      nextIntegral = { x: 0, y: 0, z: 0 };
+    }
+
+    gx += 2 * kp * halfex;
+    gy += 2 * kp * halfey;
+    gz += 2 * kp * halfez;
+  }
+
+  // Integrate rate of change of quaternion
+  gx *= 0.5 * dt;
+  gy *= 0.5 * dt;
+  gz *= 0.5 * dt;
+  const qa = q0;
+  const qb = q1;
+  const qc = q2;
+  q0 += -qb * gx - qc * gy - q3 * gz;
+  q1 += qa * gx + qc * gz - q3 * gy;
+  q2 += qa * gy - qb * gz + q3 * gx;
+  q3 += qa * gz + qb * gy - qc * gx;
+
+  const norm = Math.hypot(q0, q1, q2, q3);
+  return {
+    quaternion: { w: q0 / norm, x: q1 / norm, y: q2 / norm, z: q3 / norm },
+    integral: nextIntegral,
+  };
+}
+
+// Stateful filter fed with raw samples ({ accel, gyro, mag } as from extractRawImu)
+// and their receive times in ms. Returns the new estimate, or null when the
+// filter is disabled or the sample lacks gyro/accel data.
+export function createFusionFilter(initialSettings = DEFAULT_FUSION_SETTINGS) {
+  let settings = { ...initialSettings };
+  let quaternion = { ...IDENTITY_QUATERNION };
+  let integral = { x: 0, y: 0, z: 0 };
+  let lastTime = null;
+
+  const reset = () => {
+    quaternion = { ...IDENTITY_QUATERNION };
+    integral = { x: 0, y: 0, z: 0 };
+    lastTime = null;
+  };
+
+  const setSettings = (next) => {
+    if (next.enabled && !settings.enabled) {
+      reset();
+    }
+    settings = { ...next };
+  };
+
+  const update = (raw, t) => {
+    if (!settings.enabled || !raw.gyro || !raw.accel) return null;
+
+    const dt = lastTime === null ? 0 : Math.min(MAX_DT, Math.max(0, (t - lastTime) / 1000));
+    lastTime = t;
+    if (dt === 0) return quaternion;
+
+    const mag = settings.useMag ? raw.mag : null;
+    if (settings.algorithm === 'mahony') {
+      const result = mahonyUpdate(quaternion, integral, raw.gyro, raw.accel, mag, settings.kp, settings.ki, dt);
+      quaternion = result.quaternion;
+      integral = result.integral;
+    } else {
+      quaternion = madgwickUpdate(quaternion, raw.gyro, raw.accel, mag, settings.beta, dt);
+    }
+    return quaternion;
+  };
+
+  return { update, reset, setSettings, getQuaternion: () => quaternion };
+}
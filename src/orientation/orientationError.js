@@ -0,0 +1,10 @@
+import { quaternionToAxisAngle } from './quaternion';
+import { relativeQuaternion } from '../devices/deviceState';
+
+// How far `live` is from `reference`, in degrees. The total is the smallest rotation between them;
+// the per-axis errors split that rotation (as a rotation vector) along the reference's body x, y
+// and z axes, so they stay meaningful at any attitude and never wrap around.
+export function orientationError(live, reference) {
+  const { axis, angle } = quaternionToAxisAngle(relativeQuaternion(reference, live));
+  return { total: angle, roll: axis.x * angle, pitch: axis.y * angle, yaw: axis.z * angle };
+}
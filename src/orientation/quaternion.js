@@ -0,0 +1,59 @@
+// Plain-object quaternion helpers ({ w, x, y, z }), independent of three.js
+
+export const IDENTITY_QUATERNION = { w: 1, x: 0, y: 0, z: 0 };
+
+export function normalizeQuaternion(q) {
+  const norm = Math.hypot(q.w, q.x, q.y, q.z);
+  if (norm === 0) return { ...IDENTITY_QUATERNION };
+  return { w: q.w / norm, x: q.x / norm, y: q.y / norm, z: q.z / norm };
+}
+
+export function conjugateQuaternion(q) {
+  return { w: q.w, x: -q.x, y: -q.y, z: -q.z };
+}
+
+// Hamilton product a * b
+export function multiplyQuaternions(a, b) {
+  return {
+    w: a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z,
+    x: a.w * b.x + a.x * b.w + a.y * b.z - a.z * b.y,
+    y: a.w * b.y - a.x * b.z + a.y * b.w + a.z * b.x,
+    z: a.w * b.z + a.x * b.y - a.y * b.x + a.z * b.w,
+  };
+}
+
+// Smallest rotation angle between two orientations, in degrees
+export function quaternionAngleBetween(a, b) {
+  const qa = normalizeQuaternion(a);
+  const qb = normalizeQuaternion(b);
+  const dot = Math.abs(qa.w * qb.w + qa.x * qb.x + qa.y * qb.y + qa.z * qb.z);
+  return (2 * Math.acos(Math.min(1, dot)) * 180) / Math.PI;
+}
+
+// Rotation matrix (rows) taking body-frame vectors into the reference frame
+export function quaternionToMatrix(q) {
+  const { w, x, y, z } = normalizeQuaternion(q);
+  return [
+    [1 - 2 * (y * y + z * z), 2 * (x * y - w * z), 2 * (x * z + w * y)],
+    [2 * (x * y + w * z), 1 - 2 * (x * x + z * z), 2 * (y * z - w * x)],
+    [2 * (x * z - w * y), 2 * (y * z + w * x), 1 - 2 * (x * x + y * y)],
+  ];
+}
+
+// Unit rotation axis and angle in degrees (0–180); the axis defaults to X when there is no rotation
+export function quaternionToAxisAngle(q) {
+  const n = normalizeQuaternion(q);
+  const { w, x, y, z } = n.w < 0 ? { w: -n.w, x: -n.x, y: -n.y, z: -n.z } : n;
+  const s = Math.hypot(x, y, z);
+  if (s < 1e-9) return { axis: { x: 1, y: 0, z: 0 }, angle: 0 };
+  return {
+    axis: { x: x / s, y: y / s, z: z / s },
+    angle: (2 * Math.atan2(s, w) * 180) / Math.PI,
+  };
+}
+
+// Rotates a vector { x, y, z } by q (body frame into the reference frame)
+export function rotateVector(q, v) {
+  const p = multiplyQuaternions(multiplyQuaternions(q, { w: 0, ...v }), conjugateQuaternion(q));
+  return { x: p.x, y: p.y, z: p.z };
+}
@@ -0,0 +1,81 @@
+import * as THREE from 'three';
+import { DEFAULT_EULER_ORDER } from './euler';
+
+// A frame convention says where each board axis points in the three.js scene
+// (x right, y up, z toward the viewer). Axis targets are signed three.js axes
+// such as '-z'. Both the quaternion and the Euler path go through the same mapping.
+export const THREE_AXES = {
+  '+x': { label: 'Right', vector: [1, 0, 0] },
+  '-x': { label: 'Left', vector: [-1, 0, 0] },
+  '+y': { label: 'Up', vector: [0, 1, 0] },
+  '-y': { label: 'Down', vector: [0, -1, 0] },
+  '+z': { label: 'Backward (toward viewer)', vector: [0, 0, 1] },
+  '-z': { label: 'Forward (away from viewer)', vector: [0, 0, -1] },
+};
+
+export const FRAME_PRESETS = {
+  flu: { label: 'ENU / FLU (x fwd, y left, z up)', axes: { x: '-z', y: '-x', z: '+y' } },
+  frd: { label: 'NED / FRD (x fwd, y right, z down)', axes: { x: '-z', y: '+x', z: '-y' } },
+};
+
+export const EULER_ORDERS = ['YZX', 'ZYX', 'XYZ', 'XZY', 'YXZ', 'ZXY'];
+
+// Matches the mapping the dashboard has always used
+export const DEFAULT_FRAME = {
+  preset: 'flu',
+  axes: FRAME_PRESETS.flu.axes,
+  eulerOrder: DEFAULT_EULER_ORDER,
+};
+
+export function isValidFrame(frame) {
+  const targets = Object.values(frame.axes).map((axis) => axis[1]);
+  return new Set(targets).size === 3;
+}
+
+// Columns are the three.js directions of the board's x, y and z axes
+function frameMatrix(frame) {
+  const [x, y, z] = ['x', 'y', 'z'].map((axis) => THREE_AXES[frame.axes[axis]].vector);
+  return [
+    [x[0], y[0], z[0]],
+    [x[1], y[1], z[1]],
+    [x[2], y[2], z[2]],
+  ];
+}
+
+function determinant(m) {
+  return m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1])
+    - m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0])
+    + m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+}
+
+function mapVector(m, v) {
+  return [
+    m[0][0] * v[0] + m[0][1] * v[1] + m[0][2] * v[2],
+    m[1][0] * v[0] + m[1][1] * v[1] + m[1][2] * v[2],
+    m[2][0] * v[0] + m[2][1] * v[1] + m[2][2] * v[2],
+  ];
+}
+
+export function sensorVectorToThree(v, frame = DEFAULT_FRAME) {
+  return new THREE.Vector3(...mapVector(frameMatrix(frame), [v.x, v.y, v.z]));
+}
+
+// R_three = P · R_sensor · Pᵀ. For a mirrored (left-handed) mapping the
+// rotation axis flips with the determinant so the result is still a rotation.
+export function sensorQuaternionToThree(q, frame = DEFAULT_FRAME) {
+  const m = frameMatrix(frame);
+  const [x, y, z] = mapVector(m, [q.x, q.y, q.z]).map((value) => value * determinant(m));
+  return new THREE.Quaternion(x, y, z, q.w);
+}
+
+// The board-frame direction that the mapping sends to a three.js axis, e.g. '+y' gives the board's "up"
+export function sensorDirectionOf(threeAxis, frame = DEFAULT_FRAME) {
+  const m = frameMatrix(frame);
+  const v = THREE_AXES[threeAxis].vector;
+  // P is a signed permutation, so its inverse is its transpose
+  return {
+    x: m[0][0] * v[0] + m[1][0] * v[1] + m[2][0] * v[2],
+    y: m[0][1] * v[0] + m[1][1] * v[1] + m[2][1] * v[2],
+    z: m[0][2] * v[0] + m[1][2] * v[1] + m[2][2] * v[2],
+  };
+}
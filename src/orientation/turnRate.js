@@ -0,0 +1,41 @@
+import { headingChange } from './attitude';
+
+const SMOOTHING = 0.5; // s, time constant of the low-pass on the heading derivative
+const MAX_GAP = 1; // s; after a longer pause the rate starts over from zero
+const HOLD = 0.2; // s the last rate is held before it starts fading out
+
+// Rate of change of heading in °/s (positive turning right), from headings and the receive times
+// of the samples they came from. Works for every source, including ones without a gyroscope.
+export function createTurnRateEstimator() {
+  let last = null; // { heading, t }
+  let rate = 0;
+
+  const update = (heading, t) => {
+    // Same sample seen through a new correction or frame: move the baseline, not the rate
+    if (last && t > last.t) {
+      const dt = (t - last.t) / 1000;
+      if (dt < MAX_GAP) {
+        const instantRate = headingChange(last.heading, heading) / dt;
+        rate += (instantRate - rate) * (1 - Math.exp(-dt / SMOOTHING));
+      } else {
+        rate = 0;
+      }
+    }
+    last = { heading, t };
+  };
+
+  // The rate as of `now`: once the heading stops changing (a turn ended, or data stopped coming)
+  // it settles back to zero instead of showing the last turn forever
+  const getRate = (now) => {
+    if (!last) return 0;
+    const idle = (now - last.t) / 1000 - HOLD;
+    return idle > 0 ? rate * Math.exp(-idle / SMOOTHING) : rate;
+  };
+
+  const reset = () => {
+    last = null;
+    rate = 0;
+  };
+
+  return { update, getRate, reset };
+}
@@ -0,0 +1,18 @@
+import { useState } from 'react';
+import { quaternionToContinuousEuler } from './euler';
+
+// Euler angles for a stream of quaternions, each conversion continuing from the last one shown.
+// The quaternion must keep its identity between renders (memoise it) or this recomputes every time.
+export function useContinuousEuler(quaternion, order, unwrapYaw) {
+  const [state, setState] = useState({ quaternion: null, order, unwrapYaw, result: null });
+
+  if (state.quaternion === quaternion && state.order === order && state.unwrapYaw === unwrapYaw) {
+    return state.result;
+  }
+
+  // A different sequence or unwrap setting starts over rather than continuing from incompatible angles
+  const previous = state.order === order && state.unwrapYaw === unwrapYaw ? state.result?.euler ?? null : null;
+  const result = quaternionToContinuousEuler(quaternion, order, previous, { unwrapYaw });
+  setState({ quaternion, order, unwrapYaw, result });
+  return result;
+}
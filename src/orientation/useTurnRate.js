@@ -0,0 +1,17 @@
+import { useEffect, useState } from 'react';
+import { timestamp } from '../utils/clock';
+
+const REFRESH_INTERVAL = 100; // ms
+
+// Current value of a turn-rate estimator (see turnRate.js), refreshed on a timer so it keeps
+// settling while no samples arrive. Only the component showing it re-renders.
+export function useTurnRate(estimator) {
+  const [rate, setRate] = useState(() => estimator.getRate(timestamp()));
+
+  useEffect(() => {
+    const timer = setInterval(() => setRate(estimator.getRate(timestamp())), REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [estimator]);
+
+  return rate;
+}
@@ -0,0 +1,75 @@
+import { crc16 } from './crc16.js';
+import { createCobsDeframer, createSlipDeframer } from './framing.js';
+
+// Binary packet layout (before COBS/SLIP framing), all values little-endian:
+//   [type: u8][payload: float32 × N][crc16: u16 over type + payload]
+export const MESSAGE_TYPES = {
+  EULER: 0x01, // roll, pitch, yaw (degrees)
+  QUATERNION: 0x02, // w, x, y, z
+  RAW_IMU: 0x03, // ax, ay, az, gx, gy, gz, mx, my, mz [, temperature]
+};
+
+const PAYLOAD_FIELDS = {
+  [MESSAGE_TYPES.EULER]: [['roll', 'pitch', 'yaw']],
+  [MESSAGE_TYPES.QUATERNION]: [['w', 'x', 'y', 'z']],
+  [MESSAGE_TYPES.RAW_IMU]: [
+    ['ax', 'ay', 'az', 'gx', 'gy', 'gz', 'mx', 'my', 'mz'],
+    ['ax', 'ay', 'az', 'gx', 'gy', 'gz', 'mx', 'my', 'mz', 'temperature'],
+  ],
+};
+
+function decodePacket(packet) {
+  const type = packet[0];
+  const layouts = PAYLOAD_FIELDS[type];
+  if (!layouts) {
+    return { error: 'unknownType' };
+  }
+
+  const payloadLength = packet.length - 3;
+  const fields = layouts.find((layout) => layout.length * 4 === payloadLength);
+  if (!fields) {
+    return { error: 'badLength' };
+  }
+
+  const view = new DataView(packet.buffer, packet.byteOffset + 1, payloadLength);
+  const sample = {};
+  fields.forEach((field, index) => {
+    sample[field] = view.getFloat32(index * 4, true);
+  });
+  return { sample };
+}
+
+export function createBinaryDecoder({ framing = 'cobs' } = {}) {
+  const deframer = framing === 'slip' ? createSlipDeframer() : createCobsDeframer();
+  const stats = { frames: 0, crcErrors: 0, framingErrors: 0, unknownType: 0, badLength: 0 };
+
+  const push = (bytes) => {
+    const { frames, errors } = deframer.push(bytes);
+    stats.framingErrors += errors;
+
+    const samples = [];
+    frames.forEach((packet) => {
+      if (packet.length < 3) {
+        stats.framingErrors++;
+        return;
+      }
+
+      const expected = packet[packet.length - 2] | (packet[packet.length - 1] << 8);
+      if (crc16(packet, 0, packet.length - 2) !== expected) {
+        stats.crcErrors++;
+        return;
+      }
+
+      const { sample, error } = decodePacket(packet);
+      if (error) {
+        stats[error]++;
+        return;
+      }
+      stats.frames++;
+      samples.push(sample);
+    });
+    return samples;
+  };
+
+  return { push, getStats: () => ({ ...stats }) };
+}
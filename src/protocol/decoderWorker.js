@@ -0,0 +1,42 @@
+import { createFrameDecoder } from './index.js';
+import { createSampleClock } from './sampleClock.js';
+import { setDebugLogging } from '../utils/debugLog.js';
+
+// Runs a frame decoder off the main thread. Messages in:
+//   { type: 'init', protocol, debug }
+//   { type: 'debug', enabled }     debug logging was switched on or off on the page
+//   { type: 'chunk', bytes, t }   t: when the page received the chunk (see sampleClock.js)
+// Messages out: { samples, times, stats }, batched so the page gets at most one per BATCH_INTERVAL.
+// times[i] is the receive time of samples[i]; the batching delay does not change it.
+const BATCH_INTERVAL = 16; // ms
+
+let decoder = null;
+let clock = null;
+let pending = [];
+let pendingTimes = [];
+let flushTimer = null;
+
+const flush = () => {
+  flushTimer = null;
+  self.postMessage({ samples: pending, times: pendingTimes, stats: decoder.getStats() });
+  pending = [];
+  pendingTimes = [];
+};
+
+self.onmessage = ({ data: message }) => {
+  if (message.type === 'init') {
+    decoder = createFrameDecoder(message.protocol);
+    clock = createSampleClock();
+    setDebugLogging(message.debug);
+  } else if (message.type === 'debug') {
+    setDebugLogging(message.enabled);
+  } else if (message.type === 'chunk' && decoder) {
+    const samples = decoder.push(message.bytes);
+    pending.push(...samples);
+    pendingTimes.push(...clock.stamp(samples.length, message.t));
+    // Scheduled even without new samples, the error counters may have moved
+    if (flushTimer === null) {
+      flushTimer = setTimeout(flush, BATCH_INTERVAL);
+    }
+  }
+};
@@ -0,0 +1,118 @@
+// Byte-stream deframers. Each returns { push(bytes) -> { frames, errors } } where
+// frames are complete, unstuffed packets and errors counts malformed/oversized frames.
+
+const SLIP_END = 0xc0;
+const SLIP_ESC = 0xdb;
+const SLIP_ESC_END = 0xdc;
+const SLIP_ESC_ESC = 0xdd;
+
+function cobsDecode(encoded) {
+  const decoded = [];
+  let i = 0;
+  while (i < encoded.length) {
+    const code = encoded[i];
+    if (code === 0 || i + code > encoded.length) {
+      return null;
+    }
+    for (let j = 1; j < code; j++) {
+      decoded.push(encoded[i + j]);
+    }
+    i += code;
+    if (code < 0xff && i < encoded.length) {
+      decoded.push(0);
+    }
+  }
+  return Uint8Array.from(decoded);
+}
+
+// COBS frames are terminated by a 0x00 byte
+export function createCobsDeframer(maxFrameLength = 512) {
+  let pending = [];
+  let overflowed = false;
+
+  const push = (bytes) => {
+    const frames = [];
+    let errors = 0;
+
+    for (const byte of bytes) {
+      if (byte !== 0) {
+        if (pending.length < maxFrameLength) {
+          pending.push(byte);
+        } else {
+          overflowed = true;
+        }
+        continue;
+      }
+
+      if (overflowed) {
+        errors++;
+      } else if (pending.length > 0) {
+        const frame = cobsDecode(pending);
+        if (frame) {
+          frames.push(frame);
+        } else {
+          errors++;
+        }
+      }
+      pending = [];
+      overflowed = false;
+    }
+
+    return { frames, errors };
+  };
+
+  return { push };
+}
+
+// SLIP (RFC 1055) frames are delimited by END bytes with ESC byte-stuffing
+export function createSlipDeframer(maxFrameLength = 512) {
+  let pending = [];
+  let escaping = false;
+  let invalid = false;
+
+  const push = (bytes) => {
+    const frames = [];
+    let errors = 0;
+
+    for (const byte of bytes) {
+      if (byte === SLIP_END) {
+        if (invalid || escaping) {
+          errors++;
+        } else if (pending.length > 0) {
+          frames.push(Uint8Array.from(pending));
+        }
+        pending = [];
+        escaping = false;
+        invalid = false;
+        continue;
+      }
+      if (invalid) continue;
+
+      let value = byte;
+      if (escaping) {
+        escaping = false;
+        if (byte === SLIP_ESC_END) {
+          value = SLIP_END;
+        } else if (byte === SLIP_ESC_ESC) {
+          value = SLIP_ESC;
+        } else {
+          invalid = true;
+          continue;
+        }
+      } else if (byte === SLIP_ESC) {
+        escaping = true;
+        continue;
+      }
+
+      if (pending.length < maxFrameLength) {
+        pending.push(value);
+      } else {
+        invalid = true;
+      }
+    }
+
+    return { frames, errors };
+  };
+
+  return { push };
+}
@@ -0,0 +1,24 @@
+// Telemetry decoding without React or browser APIs, so Node scripts can use it directly:
+//   import { createFrameDecoder } from './src/protocol/index.js';
+// Imports in here (and in what it pulls in) carry their .js extension for Node's resolver.
+import { createBinaryDecoder } from './binaryDecoder.js';
+import { createJsonDecoder } from './jsonDecoder.js';
+
+export { createBinaryDecoder, MESSAGE_TYPES } from './binaryDecoder.js';
+export { createJsonDecoder } from './jsonDecoder.js';
+export { crc16 } from './crc16.js';
+export { sampleKind } from '../sources/telemetry.js';
+
+export const SERIAL_PROTOCOLS = [
+  { value: 'json', label: 'JSON text' },
+  { value: 'cobs', label: 'Binary (COBS + CRC16)' },
+  { value: 'slip', label: 'Binary (SLIP + CRC16)' },
+];
+
+// Every decoder exposes push(bytes) -> samples[] and getStats()
+export function createFrameDecoder(protocol = 'json') {
+  if (protocol === 'cobs' || protocol === 'slip') {
+    return createBinaryDecoder({ framing: protocol });
+  }
+  return createJsonDecoder();
+}
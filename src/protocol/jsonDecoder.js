@@ -0,0 +1,94 @@
+import { sampleKind } from '../sources/telemetry.js';
+import { debugLog } from '../utils/debugLog.js';
+
+// Pulls top-level JSON objects out of a text stream. Anything between objects (boot
+// banners, log lines, line noise) is skipped, objects may be split across chunks and
+// may nest, and braces inside strings are ignored.
+// An object still open after maxFrameLength characters is treated as noise: the scan
+// resumes at the next "{" after its start, so a stray brace cannot stall the stream.
+export function createJsonDecoder({ maxFrameLength = 8192 } = {}) {
+  const textDecoder = new TextDecoder();
+  const stats = { frames: 0, parseErrors: 0, rejected: 0, overflows: 0 };
+  let buffer = '';
+
+  const handleFrame = (jsonString, samples) => {
+    let data;
+    try {
+      data = JSON.parse(jsonString);
+    } catch (e) {
+      stats.parseErrors++;
+      debugLog('Failed to parse JSON:', jsonString, e.message);
+      return;
+    }
+
+    const kind = sampleKind(data);
+    if (kind) {
+      stats.frames++;
+      samples.push(data);
+      debugLog(`Valid ${kind} data received:`, data);
+    } else {
+      stats.rejected++;
+      debugLog('JSON received but missing orientation, raw sensor or flight fields:', data);
+    }
+  };
+
+  // push(bytes | string) -> samples[]
+  const push = (bytes) => {
+    buffer += typeof bytes === 'string' ? bytes : textDecoder.decode(bytes, { stream: true });
+    const samples = [];
+
+    let start = -1; // index of the "{" opening the current object
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+
+    for (let i = 0; i < buffer.length; i++) {
+      const char = buffer[i];
+
+      if (start === -1) {
+        if (char === '{') {
+          start = i;
+          depth = 1;
+        }
+        continue;
+      }
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}') {
+        depth--;
+        if (depth === 0) {
+          handleFrame(buffer.substring(start, i + 1), samples);
+          start = -1;
+          continue;
+        }
+      }
+
+      if (i - start + 1 > maxFrameLength) {
+        stats.overflows++;
+        debugLog('Unterminated JSON object dropped:', buffer.substring(start, start + 80));
+        i = start; // rescan from just after the dropped "{"
+        start = -1;
+        depth = 0;
+        inString = false;
+        escaped = false;
+      }
+    }
+
+    // Only an unfinished object is worth keeping, everything before it has been handled
+    buffer = start === -1 ? '' : buffer.substring(start);
+    return samples;
+  };
+
+  return { push, getStats: () => ({ ...stats }) };
+}
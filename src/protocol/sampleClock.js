@@ -0,0 +1,17 @@
+const MAX_SPREAD = 100; // ms; after a longer silence the samples of a chunk are not spread further back
+
+// Receive times for samples decoded from a stream of chunks. `stamp(count, t)` is called once per
+// chunk with the number of samples it completed and the time it arrived. Those samples are spread
+// evenly over the time since the previous chunk, ending at t, so a steady stream never gives two
+// samples the same time even when the link delivers them in bursts.
+export function createSampleClock() {
+  let lastChunkAt = null;
+
+  const stamp = (count, t) => {
+    const span = lastChunkAt === null ? 0 : Math.min(MAX_SPREAD, Math.max(0, t - lastChunkAt));
+    lastChunkAt = t;
+    return Array.from({ length: count }, (_, i) => t - (span * (count - 1 - i)) / count);
+  };
+
+  return { stamp };
+}
@@ -0,0 +1,52 @@
+import { createFrameDecoder } from './index.js';
+import { createSampleClock } from './sampleClock.js';
+import { isDebugLogging, onDebugLoggingChange } from '../utils/debugLog.js';
+
+// Same job as createFrameDecoder, but frames are parsed in a Web Worker and the samples
+// arrive asynchronously through onSamples(samples[], times[]). push(bytes, t) takes the time the
+// chunk was received; times[i] is the receive time given to samples[i] (see sampleClock.js).
+// Without Worker support (Node, tests) it decodes in place and calls onSamples synchronously.
+export function createWorkerDecoder(protocol, onSamples) {
+  if (typeof Worker === 'undefined') {
+    const decoder = createFrameDecoder(protocol);
+    const clock = createSampleClock();
+    return {
+      push: (bytes, t) => {
+        const samples = decoder.push(bytes);
+        const times = clock.stamp(samples.length, t);
+        if (samples.length > 0) onSamples(samples, times);
+      },
+      getStats: decoder.getStats,
+      terminate: () => {},
+    };
+  }
+
+  const worker = new Worker(new URL('./decoderWorker.js', import.meta.url), { type: 'module' });
+  // The worker sends its counters along with every batch
+  let stats = createFrameDecoder(protocol).getStats();
+  let terminated = false;
+
+  worker.onmessage = ({ data }) => {
+    if (terminated) return;
+    stats = data.stats;
+    if (data.samples.length > 0) onSamples(data.samples, data.times);
+  };
+  worker.onerror = (event) => {
+    console.error('Decoder worker failed:', event.message);
+  };
+  worker.postMessage({ type: 'init', protocol, debug: isDebugLogging() });
+  // The worker has its own copy of the logging switch
+  const offDebugLogging = onDebugLoggingChange((enabled) => worker.postMessage({ type: 'debug', enabled }));
+
+  return {
+    push: (bytes, t) => {
+      if (!terminated) worker.postMessage({ type: 'chunk', bytes, t });
+    },
+    getStats: () => ({ ...stats }),
+    terminate: () => {
+      terminated = true;
+      offDebugLogging();
+      worker.terminate();
+    },
+  };
+}
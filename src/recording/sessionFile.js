@@ -0,0 +1,152 @@
+// Session files hold one record per received sample: { t, data } where t is the receive time in
+// milliseconds since the epoch and data the sample as received. Older files put the sample's fields
+// next to t ({ t, ...fields }); they are still read.
+
+export const SESSION_FORMATS = {
+  ndjson: { extension: 'ndjson', mimeType: 'application/x-ndjson', label: 'NDJSON' },
+  csv: { extension: 'csv', mimeType: 'text/csv', label: 'CSV' },
+};
+
+function flattenRecord(record, prefix = '', target = {}) {
+  Object.entries(record).forEach(([key, value]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      flattenRecord(value, name, target);
+    } else {
+      target[name] = value;
+    }
+  });
+  return target;
+}
+
+function escapeCsv(value) {
+  if (value === undefined || value === null) return '';
+  const text = Array.isArray(value) ? JSON.stringify(value) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(records) {
+  const rows = records.map((record) => flattenRecord(record));
+  const columns = ['t'];
+  rows.forEach((row) => {
+    Object.keys(row).forEach((key) => {
+      if (!columns.includes(key)) columns.push(key);
+    });
+  });
+
+  const lines = [columns.join(',')];
+  rows.forEach((row) => {
+    lines.push(columns.map((column) => escapeCsv(row[column])).join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+function toNdjson(records) {
+  return records.map((record) => JSON.stringify(record)).join('\n') + '\n';
+}
+
+export function serializeSession(records, format = 'ndjson') {
+  return format === 'csv' ? toCsv(records) : toNdjson(records);
+}
+
+function splitCsvLine(line) {
+  const cells = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current);
+  return cells;
+}
+
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  let node = target;
+  keys.slice(0, -1).forEach((key) => {
+    if (node[key] === undefined || typeof node[key] !== 'object') node[key] = {};
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+}
+
+function parseCell(text) {
+  if (text === '') return undefined;
+  const number = Number(text);
+  if (!Number.isNaN(number)) return number;
+  if (text === 'true' || text === 'false') return text === 'true';
+  return text;
+}
+
+function parseCsv(lines) {
+  const columns = splitCsvLine(lines[0]).map((column) => column.trim());
+  if (!columns.includes('t')) {
+    throw new Error('CSV session is missing the "t" column');
+  }
+
+  return lines.slice(1).map((line) => {
+    const record = {};
+    splitCsvLine(line).forEach((cell, index) => {
+      const value = parseCell(cell);
+      if (value !== undefined && columns[index]) {
+        setPath(record, columns[index], value);
+      }
+    });
+    return record;
+  });
+}
+
+function parseNdjson(lines) {
+  return lines.map((line, index) => {
+    try {
+      return JSON.parse(line);
+    } catch (e) {
+      throw new Error(`Invalid JSON on line ${index + 1}: ${e.message}`);
+    }
+  });
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function toRecord(parsed) {
+  if (!isPlainObject(parsed) || typeof parsed.t !== 'number' || !Number.isFinite(parsed.t)) return null;
+  const keys = Object.keys(parsed);
+  if (keys.length === 2 && isPlainObject(parsed.data)) return { t: parsed.t, data: parsed.data };
+  const { t, ...data } = parsed;
+  return { t, data };
+}
+
+// Accepts NDJSON or CSV text and returns { t, data } records sorted by time
+export function parseSession(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== '');
+  if (lines.length === 0) {
+    throw new Error('Session file is empty');
+  }
+
+  const records = lines[0].trim().startsWith('{') ? parseNdjson(lines) : parseCsv(lines);
+  const valid = records.map(toRecord).filter(Boolean);
+  if (valid.length === 0) {
+    throw new Error('Session file contains no timestamped samples');
+  }
+  return valid.sort((a, b) => a.t - b.t);
+}
@@ -0,0 +1,30 @@
+export function createSessionRecorder() {
+  let records = [];
+  let recording = false;
+  let startedAt = null;
+
+  const start = () => {
+    records = [];
+    recording = true;
+    startedAt = Date.now();
+  };
+
+  const stop = () => {
+    recording = false;
+    return records;
+  };
+
+  const add = (data, t = Date.now()) => {
+    if (!recording) return;
+    // Nested so a sample field called "t" cannot overwrite the receive time
+    records.push({ t, data });
+  };
+
+  const getStats = () => ({
+    recording,
+    count: records.length,
+    duration: startedAt === null ? 0 : (recording ? Date.now() : (records.at(-1)?.t ?? startedAt)) - startedAt,
+  });
+
+  return { start, stop, add, getStats, isRecording: () => recording };
+}
@@ -0,0 +1,7 @@
+// Display metadata for raw sensor vectors. Arrow length in the scene is
+// magnitude / reference, so a reading equal to the reference draws a full-length arrow.
+export const RAW_SENSOR_DISPLAY = {
+  accel: { label: 'Accelerometer', arrowLabel: 'Acceleration', unit: 'm/s²', color: '#ffc107', reference: 9.81 },
+  gyro: { label: 'Gyroscope', arrowLabel: 'Angular rate', unit: '°/s', color: '#ff6b6b', reference: 180 },
+  mag: { label: 'Magnetometer', arrowLabel: 'Magnetic field', unit: 'µT', color: '#7CFC00', reference: 50 },
+};
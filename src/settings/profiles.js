@@ -0,0 +1,218 @@
+import {
+  DEFAULT_HTTP_CONFIG,
+  DEFAULT_SERIAL_OPTIONS,
+  DEFAULT_SIMULATOR_CONFIG,
+  isValidBaseUrl,
+  isValidSimulatorConfig,
+  SOURCE_TYPES,
+} from '../sources';
+import { DEFAULT_FRAME, EULER_ORDERS, isValidFrame, THREE_AXES } from '../orientation/threeFrame';
+import { DEFAULT_FUSION_SETTINGS } from '../orientation/fusion';
+import { DEFAULT_ALARM_RULES, parseRules } from '../alarms/alarmRules';
+import { SERIAL_PROTOCOLS } from '../protocol';
+import { loadJson, saveJson } from '../utils/storage';
+
+// Everything a profile remembers. Missing keys (older profiles, hand-written files) fall back to these.
+export const DEFAULT_SETTINGS = {
+  dataSource: 'http', // see SOURCE_TYPES
+  rotationMode: 'euler', // see ROTATION_MODES, display only
+  unwrapYaw: true,
+  httpConfig: DEFAULT_HTTP_CONFIG,
+  simulatorConfig: DEFAULT_SIMULATOR_CONFIG,
+  webSocketUrl: 'ws://192.168.2.194:81',
+  relayUrl: 'ws://localhost:8765', // relay/serialRelay.js
+  serialProtocol: 'json',
+  serialOptions: DEFAULT_SERIAL_OPTIONS,
+  serialPort: null, // { usbVendorId, usbProductId } of the last port opened
+  frame: DEFAULT_FRAME,
+  mountOffset: { roll: 0, pitch: 0, yaw: 0 },
+  fusionSettings: DEFAULT_FUSION_SETTINGS,
+  showAxes: false,
+  visibleArrows: ['accel'],
+  showHud: false,
+  reference: { mode: 'none', euler: { roll: 0, pitch: 0, yaw: 0 }, device: '' }, // see REFERENCE_MODES
+  alarmRules: DEFAULT_ALARM_RULES,
+  hiddenPanels: [],
+};
+
+export const ROTATION_MODES = [
+  { value: 'euler', label: 'Euler Angles' },
+  { value: 'quaternion', label: 'Quaternion' },
+  { value: 'matrix', label: 'Rotation Matrix' },
+  { value: 'axisAngle', label: 'Axis-Angle' },
+];
+
+export const REFERENCE_MODES = [
+  { value: 'none', label: 'Off' },
+  { value: 'manual', label: 'Fixed orientation' },
+  { value: 'device', label: 'Another IMU or replay' },
+];
+
+// Lower dashboard panels that a profile can hide
+export const DASHBOARD_PANELS = [
+  { value: 'instruments', label: 'Flight instruments' },
+  { value: 'devices', label: 'Devices' },
+  { value: 'flight', label: 'Flight telemetry' },
+  { value: 'alarms', label: 'Alarms' },
+  { value: 'magCalibration', label: 'Magnetometer calibration' },
+  { value: 'rawSensors', label: 'Raw sensors' },
+  { value: 'frame', label: 'Coordinate frame' },
+  { value: 'model', label: 'Vehicle model' },
+  { value: 'calibration', label: 'Mounting & tare' },
+  { value: 'fusion', label: 'Sensor fusion' },
+  { value: 'reference', label: 'Reference orientation' },
+  { value: 'charts', label: 'Charts' },
+  { value: 'diagnostics', label: 'Link diagnostics' },
+];
+
+const STORAGE_KEY = 'profiles';
+const PROFILES_FILE_VERSION = 1;
+
+let nextId = 0;
+function newProfileId() {
+  nextId++;
+  return `profile-${Date.now().toString(36)}-${nextId}`;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Whether a value has the same shape as the default it replaces: same type, arrays of the same kind
+// of element, and objects whose known keys match in turn (missing keys are filled in from the default)
+function matchesDefault(value, fallback) {
+  if (fallback === null) return value === null || isPlainObject(value);
+  if (Array.isArray(fallback)) {
+    if (!Array.isArray(value)) return false;
+    return fallback.length === 0 || typeof fallback[0] === 'object' || value.every((item) => typeof item === typeof fallback[0]);
+  }
+  if (isPlainObject(fallback)) {
+    return isPlainObject(value)
+      && Object.entries(fallback).every(([key, nested]) => value[key] === undefined || matchesDefault(value[key], nested));
+  }
+  if (typeof fallback === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeof value === typeof fallback;
+}
+
+function mergeDefaults(value, fallback) {
+  if (!isPlainObject(fallback) || !isPlainObject(value)) return value;
+  const merged = { ...fallback, ...value };
+  Object.keys(fallback).forEach((key) => {
+    if (value[key] !== undefined) merged[key] = mergeDefaults(value[key], fallback[key]);
+  });
+  return merged;
+}
+
+function isOption(options, value) {
+  return options.some((option) => option.value === value);
+}
+
+// Checks that go beyond the shape of the default
+const SETTING_CHECKS = {
+  dataSource: (value) => isOption(SOURCE_TYPES, value),
+  rotationMode: (value) => isOption(ROTATION_MODES, value),
+  serialProtocol: (value) => isOption(SERIAL_PROTOCOLS, value),
+  reference: (value) => isOption(REFERENCE_MODES, value.mode),
+  simulatorConfig: isValidSimulatorConfig,
+  httpConfig: (value) => isValidBaseUrl(value.baseUrl),
+  frame: (value) => ['x', 'y', 'z'].every((axis) => Object.hasOwn(THREE_AXES, value.axes[axis]))
+    && EULER_ORDERS.includes(value.eulerOrder)
+    && isValidFrame(value),
+};
+
+// Stored rules go through the same checks as an imported rules file, but keep their ids
+function storedRules(rules) {
+  try {
+    return parseRules(JSON.stringify(rules))
+      .map((rule, index) => (typeof rules[index].id === 'string' ? { ...rule, id: rules[index].id } : rule));
+  } catch {
+    return undefined;
+  }
+}
+
+// The merged value for a setting, or undefined when the stored one cannot be used
+function settingValue(key, value) {
+  const fallback = DEFAULT_SETTINGS[key];
+  if (!matchesDefault(value, fallback)) return undefined;
+  if (key === 'alarmRules') return storedRules(value);
+  const merged = mergeDefaults(value, fallback);
+  return !SETTING_CHECKS[key] || SETTING_CHECKS[key](merged) ? merged : undefined;
+}
+
+// Settings that are missing or unusable fall back to their defaults
+export function withDefaultSettings(settings = {}) {
+  const merged = {};
+  Object.entries(DEFAULT_SETTINGS).forEach(([key, fallback]) => {
+    const value = settings[key] === undefined ? undefined : settingValue(key, settings[key]);
+    merged[key] = value === undefined ? fallback : value;
+  });
+  return merged;
+}
+
+export function createProfile(name, settings = DEFAULT_SETTINGS) {
+  return { id: newProfileId(), name, settings: withDefaultSettings(settings) };
+}
+
+// Before profiles existed the frame, mounting offset and alarm rules were stored on their own
+function migrateLegacySettings() {
+  return createProfile('Default', {
+    frame: loadJson('frame', undefined),
+    mountOffset: loadJson('mountOffset', undefined),
+    alarmRules: loadJson('alarmRules', undefined),
+  });
+}
+
+// -> { activeId, profiles: [{ id, name, settings }] }, never empty
+export function loadProfiles() {
+  const stored = loadJson(STORAGE_KEY, null);
+  const profiles = Array.isArray(stored?.profiles)
+    ? stored.profiles.map((profile) => ({ ...profile, settings: withDefaultSettings(profile.settings) }))
+    : [];
+  if (profiles.length === 0) {
+    const profile = migrateLegacySettings();
+    return { activeId: profile.id, profiles: [profile] };
+  }
+  const activeId = profiles.some((profile) => profile.id === stored.activeId) ? stored.activeId : profiles[0].id;
+  return { activeId, profiles };
+}
+
+export function saveProfiles(state) {
+  saveJson(STORAGE_KEY, state);
+}
+
+export function serializeProfiles(profiles) {
+  return JSON.stringify({
+    version: PROFILES_FILE_VERSION,
+    profiles: profiles.map(({ name, settings }) => ({ name, settings })),
+  }, null, 2);
+}
+
+// Throws with a message naming the first bad profile, so a broken file changes nothing
+export function parseProfiles(text) {
+  const parsed = JSON.parse(text);
+  const profiles = Array.isArray(parsed) ? parsed : parsed?.profiles;
+  if (!Array.isArray(profiles) || profiles.length === 0) {
+    throw new Error('Expected a non-empty "profiles" array');
+  }
+
+  return profiles.map((profile, index) => {
+    const where = `Profile ${index + 1}`;
+    if (typeof profile?.name !== 'string' || !profile.name.trim()) throw new Error(`${where}: missing name`);
+    if (!isPlainObject(profile.settings)) throw new Error(`${where}: missing settings`);
+
+    const settings = { ...profile.settings };
+    if (settings.alarmRules !== undefined) {
+      try {
+        settings.alarmRules = parseRules(JSON.stringify(settings.alarmRules));
+      } catch (error) {
+        throw new Error(`${where}: ${error.message}`);
+      }
+    }
+    Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+      if (settings[key] !== undefined && settingValue(key, settings[key]) === undefined) {
+        throw new Error(`${where}: invalid "${key}" setting`);
+      }
+    });
+    return createProfile(profile.name.trim(), settings);
+  });
+}
@@ -0,0 +1,75 @@
+import { useEffect, useMemo, useState } from 'react';
+import { createProfile, DEFAULT_SETTINGS, loadProfiles, saveProfiles } from './profiles';
+
+// Named settings profiles, persisted to localStorage on every change.
+// `setters` holds one stable setter per settings key, used like a useState setter.
+export function useProfiles() {
+  const [state, setState] = useState(loadProfiles);
+  const activeProfile = state.profiles.find((profile) => profile.id === state.activeId);
+
+  useEffect(() => {
+    saveProfiles(state);
+  }, [state]);
+
+  const setters = useMemo(() => Object.fromEntries(Object.keys(DEFAULT_SETTINGS).map((key) => [
+    key,
+    (value) => setState(prev => ({
+      ...prev,
+      profiles: prev.profiles.map((profile) => {
+        if (profile.id !== prev.activeId) return profile;
+        const next = typeof value === 'function' ? value(profile.settings[key]) : value;
+        return { ...profile, settings: { ...profile.settings, [key]: next } };
+      }),
+    })),
+  ])), []);
+
+  const switchProfile = (id) => {
+    setState(prev => ({ ...prev, activeId: id }));
+  };
+
+  // The new profile starts as a copy of the current one and becomes active
+  const addProfile = (name) => {
+    const profile = createProfile(name, activeProfile.settings);
+    setState(prev => ({ activeId: profile.id, profiles: [...prev.profiles, profile] }));
+  };
+
+  const renameProfile = (id, name) => {
+    setState(prev => ({
+      ...prev,
+      profiles: prev.profiles.map((profile) => (profile.id === id ? { ...profile, name } : profile)),
+    }));
+  };
+
+  // The last profile cannot be deleted
+  const deleteProfile = (id) => {
+    setState(prev => {
+      const profiles = prev.profiles.filter((profile) => profile.id !== id);
+      if (profiles.length === 0) return prev;
+      return { activeId: prev.activeId === id ? profiles[0].id : prev.activeId, profiles };
+    });
+  };
+
+  // Imported profiles replace ones with the same name and are added otherwise
+  const importProfiles = (imported) => {
+    setState(prev => {
+      const profiles = prev.profiles.map((profile) => {
+        const replacement = imported.find((candidate) => candidate.name === profile.name);
+        return replacement ? { ...profile, settings: replacement.settings } : profile;
+      });
+      const added = imported.filter((candidate) => !prev.profiles.some((profile) => profile.name === candidate.name));
+      return { ...prev, profiles: [...profiles, ...added] };
+    });
+  };
+
+  return {
+    settings: activeProfile.settings,
+    setters,
+    profiles: state.profiles,
+    activeProfile,
+    switchProfile,
+    addProfile,
+    renameProfile,
+    deleteProfile,
+    importProfiles,
+  };
+}
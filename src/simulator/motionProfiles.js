@@ -0,0 +1,146 @@
+import { IDENTITY_QUATERNION, multiplyQuaternions, normalizeQuaternion } from '../orientation/quaternion';
+
+// Synthetic vehicle motion for the simulator. A profile is a stateful stepper:
+// step(t, dt) -> { quaternion, accel, position?, velocity? } with t and dt in seconds.
+// The world frame is x north, y west, z up (what the default FLU convention renders),
+// `accel` is the world-frame acceleration in m/s² excluding gravity.
+
+export const GRAVITY = 9.80665;
+const DEG_TO_RAD = Math.PI / 180;
+
+export function axisAngleQuaternion(axis, degrees) {
+  const half = (degrees * DEG_TO_RAD) / 2;
+  const norm = Math.hypot(axis.x, axis.y, axis.z) || 1;
+  const s = Math.sin(half) / norm;
+  return { w: Math.cos(half), x: axis.x * s, y: axis.y * s, z: axis.z * s };
+}
+
+// Shortest rotation taking unit vector a onto unit vector b
+function rotationBetween(a, b) {
+  const dot = a.x * b.x + a.y * b.y + a.z * b.z;
+  if (dot < -0.999999) return axisAngleQuaternion({ x: 0, y: 0, z: 1 }, 180);
+  return normalizeQuaternion({
+    w: 1 + dot,
+    x: a.y * b.z - a.z * b.y,
+    y: a.z * b.x - a.x * b.z,
+    z: a.x * b.y - a.y * b.x,
+  });
+}
+
+const ZERO = { x: 0, y: 0, z: 0 };
+const BODY_X = { x: 1, y: 0, z: 0 };
+
+// Nose (body x) along `direction`, then rolled about the nose
+function noseAlong(direction, rollDegrees) {
+  return multiplyQuaternions(rotationBetween(BODY_X, direction), axisAngleQuaternion(BODY_X, rollDegrees));
+}
+
+function createSpinProfile({ spinRate }) {
+  return {
+    step: (t) => {
+      const rate = Math.hypot(spinRate.x, spinRate.y, spinRate.z);
+      const quaternion = rate > 0 ? axisAngleQuaternion(spinRate, rate * t) : IDENTITY_QUATERNION;
+      return { quaternion, accel: ZERO };
+    },
+  };
+}
+
+// Roll and pitch swing out of phase while the heading drifts slowly
+function createWobbleProfile({ wobbleAmplitude, wobbleFrequency }) {
+  return {
+    step: (t) => {
+      const phase = 2 * Math.PI * wobbleFrequency * t;
+      const roll = axisAngleQuaternion({ x: 1, y: 0, z: 0 }, wobbleAmplitude * Math.sin(phase));
+      const pitch = axisAngleQuaternion({ x: 0, y: 1, z: 0 }, wobbleAmplitude * Math.sin(phase + Math.PI / 2) * 0.6);
+      const yaw = axisAngleQuaternion({ x: 0, y: 0, z: 1 }, 10 * t);
+      return { quaternion: multiplyQuaternions(yaw, multiplyQuaternions(pitch, roll)), accel: ZERO };
+    },
+  };
+}
+
+const PAD_TIME = 3;
+const BOOST_TIME = 3;
+const THRUST = 30; // m/s²
+const PITCH_OVER = 5; // degrees toward north by burnout
+const ROLL_RATE = 90; // °/s while under thrust
+const CHUTE_DESCENT = 6; // m/s
+const CHUTE_DRIFT = { x: 0, y: -2, z: 0 }; // m/s, wind towards the east
+const LANDED_TIME = 5;
+
+// Pad, boost, coast to apogee, descent under parachute, landing; then it starts over
+function createRocketProfile() {
+  let phase = 'pad';
+  let phaseStart = 0;
+  let position = { ...ZERO };
+  let velocity = { ...ZERO };
+  let roll = 0;
+
+  const enter = (next, t) => {
+    phase = next;
+    phaseStart = t;
+  };
+
+  return {
+    step: (t, dt) => {
+      const elapsed = t - phaseStart;
+      let accel = ZERO;
+      let quaternion;
+
+      if (phase === 'pad') {
+        quaternion = noseAlong({ x: 0, y: 0, z: 1 }, 0);
+        if (elapsed >= PAD_TIME) enter('boost', t);
+      } else if (phase === 'boost') {
+        const tilt = (PITCH_OVER * Math.min(1, elapsed / BOOST_TIME)) * DEG_TO_RAD;
+        const nose = { x: Math.sin(tilt), y: 0, z: Math.cos(tilt) };
+        roll += ROLL_RATE * dt;
+        quaternion = noseAlong(nose, roll);
+        accel = { x: nose.x * THRUST, y: 0, z: nose.z * THRUST - GRAVITY };
+        if (elapsed >= BOOST_TIME) enter('coast', t);
+      } else if (phase === 'coast') {
+        accel = { x: 0, y: 0, z: -GRAVITY };
+        const speed = Math.hypot(velocity.x, velocity.y, velocity.z) || 1;
+        quaternion = noseAlong({ x: velocity.x / speed, y: velocity.y / speed, z: velocity.z / speed }, roll);
+        if (velocity.z <= 0) enter('descent', t);
+      } else if (phase === 'descent') {
+        velocity = { x: CHUTE_DRIFT.x, y: CHUTE_DRIFT.y, z: -CHUTE_DESCENT };
+        // Hanging nose-up under the canopy, swinging gently
+        const swing = 15 * Math.sin(2 * Math.PI * 0.4 * elapsed);
+        quaternion = multiplyQuaternions(
+          axisAngleQuaternion({ x: 1, y: 0, z: 0 }, swing),
+          noseAlong({ x: 0, y: 0, z: 1 }, roll)
+        );
+        if (position.z <= 0) enter('landed', t);
+      } else {
+        velocity = { ...ZERO };
+        position.z = 0;
+        quaternion = noseAlong({ x: 1, y: 0, z: 0 }, 90);
+        if (elapsed >= LANDED_TIME) {
+          position = { ...ZERO };
+          roll = 0;
+          enter('pad', t);
+        }
+      }
+
+      if (phase === 'boost' || phase === 'coast') {
+        velocity = {
+          x: velocity.x + accel.x * dt,
+          y: velocity.y + accel.y * dt,
+          z: velocity.z + accel.z * dt,
+        };
+      }
+      position = {
+        x: position.x + velocity.x * dt,
+        y: position.y + velocity.y * dt,
+        z: Math.max(0, position.z + velocity.z * dt),
+      };
+
+      return { quaternion, accel, position, velocity, phase };
+    },
+  };
+}
+
+export const MOTION_PROFILES = {
+  spin: { label: 'Constant spin', create: createSpinProfile },
+  wobble: { label: 'Sinusoidal wobble', create: createWobbleProfile },
+  rocket: { label: 'Rocket flight', create: createRocketProfile },
+};
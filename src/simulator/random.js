@@ -0,0 +1,22 @@
+// Small seeded PRNG so a simulator run can be repeated exactly
+
+// mulberry32, uniform in [0, 1)
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  const uniform = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  // Standard normal via Box-Muller
+  const gaussian = () => {
+    const u = 1 - uniform();
+    const v = uniform();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  };
+
+  return { uniform, gaussian };
+}
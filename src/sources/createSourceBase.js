@@ -0,0 +1,51 @@
+export const SOURCE_STATE = {
+  DISCONNECTED: 'disconnected',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  STALE: 'stale',
+  ERROR: 'error',
+};
+
+// Shared event/status plumbing for every telemetry source.
+// A source exposes { type, on, getStatus, connect, disconnect } and emits:
+//   'status' -> { state, message }
+//   'sample' -> parsed telemetry object (e.g. { roll, pitch, yaw } or { w, x, y, z }), and optionally
+//               its receive time in ms (utils/clock.js) when the link delivers samples in bursts
+//   'raw'    -> received data before decoding (string or Uint8Array), if the link has a raw view
+//   'latency'-> request round-trip time in ms, for request/response links
+// Links that can talk back to the device also expose write(text); links that decode
+// or validate data expose getStats() with their error counters.
+export function createSourceBase() {
+  const listeners = new Map();
+  let status = { state: SOURCE_STATE.DISCONNECTED, message: '' };
+
+  const on = (event, handler) => {
+    if (!listeners.has(event)) {
+      listeners.set(event, new Set());
+    }
+    listeners.get(event).add(handler);
+    return () => listeners.get(event).delete(handler);
+  };
+
+  const emit = (event, ...payload) => {
+    const handlers = listeners.get(event);
+    if (!handlers) return;
+    handlers.forEach((handler) => {
+      try {
+        handler(...payload);
+      } catch (error) {
+        console.error(`Error in '${event}' listener:`, error);
+      }
+    });
+  };
+
+  const getStatus = () => status;
+
+  const setStatus = (state, message = '') => {
+    if (status.state === state && status.message === message) return;
+    status = { state, message };
+    emit('status', status);
+  };
+
+  return { on, emit, getStatus, setStatus };
+}
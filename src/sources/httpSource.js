@@ -0,0 +1,179 @@
+import { createSourceBase, SOURCE_STATE } from './createSourceBase';
+import { isEulerData, isFlightData, isQuaternionData } from './telemetry';
+
+export const DEFAULT_HTTP_CONFIG = {
+  baseUrl: 'http://192.168.2.194', // Replace with ESP32 IP
+  eulerPath: '/euler',
+  quaternionPath: '',
+  telemetryPath: '', // altitude, battery, GPS, ...
+  interval: 50,
+  staleTimeout: 1000,
+};
+
+const MAX_BACKOFF = 5000;
+
+function buildUrl(baseUrl, path) {
+  return new URL(path, baseUrl.endsWith('/') ? baseUrl : baseUrl + '/').toString();
+}
+
+// The base URL needs its scheme; "192.168.2.10" on its own is not a URL fetch can use
+export function isValidBaseUrl(baseUrl) {
+  try {
+    return ['http:', 'https:'].includes(new URL(baseUrl).protocol);
+  } catch {
+    return false;
+  }
+}
+
+export function createHttpSource(config = DEFAULT_HTTP_CONFIG) {
+  const { baseUrl, eulerPath, quaternionPath, telemetryPath, interval, staleTimeout } = { ...DEFAULT_HTTP_CONFIG, ...config };
+  const { on, emit, getStatus, setStatus } = createSourceBase();
+
+  // A bad base URL is reported by connect() rather than thrown, so a saved config cannot break the page
+  const urlValid = isValidBaseUrl(baseUrl);
+  const endpoints = [
+    { kind: 'euler', path: eulerPath, isValid: isEulerData },
+    { kind: 'quaternion', path: quaternionPath, isValid: isQuaternionData },
+    { kind: 'telemetry', path: telemetryPath, isValid: isFlightData },
+  ]
+    .filter((endpoint) => endpoint.path)
+    .map((endpoint) => ({ ...endpoint, url: urlValid ? buildUrl(baseUrl, endpoint.path) : null }));
+
+  let timer = null;
+  let connectedAt = 0;
+  let lastSuccessAt = null;
+  let lastError = '';
+  let backoff = 0;
+  let retryAt = 0;
+  let tickCount = 0;
+  let backedOffTick = -1; // every endpoint can fail in one tick, but the backoff grows once per tick
+  // One request per endpoint at a time; slow responses skip ticks instead of piling up
+  const inFlight = new Map();
+  const stats = { requests: 0, failures: 0, parseErrors: 0, rejected: 0 };
+
+  const handleSuccess = (endpoint, data) => {
+    if (!endpoint.isValid(data)) {
+      stats.rejected++;
+      throw new Error(`Unexpected ${endpoint.kind} payload from ${endpoint.path}`);
+    }
+    lastSuccessAt = Date.now();
+    lastError = '';
+    backoff = 0;
+    retryAt = 0;
+    setStatus(SOURCE_STATE.CONNECTED);
+    emit('sample', data);
+  };
+
+  const handleFailure = (endpoint, err, requestTick) => {
+    console.error(`HTTP ${endpoint.kind} request failed:`, err);
+    stats.failures++;
+    lastError = err.message;
+    if (requestTick === backedOffTick) return;
+    backedOffTick = requestTick;
+    backoff = backoff ? Math.min(backoff * 2, MAX_BACKOFF) : interval * 2;
+    retryAt = Date.now() + backoff;
+  };
+
+  const request = (endpoint, requestTick) => {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), staleTimeout);
+    inFlight.set(endpoint.kind, controller);
+    stats.requests++;
+    const startedAt = performance.now();
+
+    fetch(endpoint.url, { signal: controller.signal, cache: 'no-store' })
+      .then((res) => {
+        if (!res.ok) {
+          throw new Error(`HTTP ${res.status} from ${endpoint.path}`);
+        }
+        return res.text();
+      })
+      .then((text) => {
+        if (!timer) return;
+        emit('latency', performance.now() - startedAt);
+        emit('raw', text);
+        let data;
+        try {
+          data = JSON.parse(text);
+        } catch (err) {
+          stats.parseErrors++;
+          throw err;
+        }
+        handleSuccess(endpoint, data);
+      })
+      .catch((err) => {
+        if (!timer) return;
+        const error = err.name === 'AbortError' ? new Error(`Request to ${endpoint.path} timed out`) : err;
+        handleFailure(endpoint, error, requestTick);
+      })
+      .finally(() => {
+        clearTimeout(timeout);
+        inFlight.delete(endpoint.kind);
+      });
+  };
+
+  const checkStale = (now) => {
+    const age = now - (lastSuccessAt ?? connectedAt);
+    if (age <= staleTimeout) return;
+
+    const message = `No data for ${(age / 1000).toFixed(1)}s` + (lastError ? `: ${lastError}` : '');
+    if (lastSuccessAt !== null) {
+      setStatus(SOURCE_STATE.STALE, message);
+    } else if (lastError) {
+      setStatus(SOURCE_STATE.ERROR, message);
+    }
+  };
+
+  const tick = () => {
+    const now = Date.now();
+    checkStale(now);
+    if (now < retryAt) return;
+
+    tickCount++;
+    endpoints.forEach((endpoint) => {
+      if (!inFlight.has(endpoint.kind)) {
+        request(endpoint, tickCount);
+      }
+    });
+  };
+
+  const stop = () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+    inFlight.forEach((controller) => controller.abort());
+    inFlight.clear();
+  };
+
+  const connect = async () => {
+    stop();
+
+    if (!urlValid) {
+      setStatus(SOURCE_STATE.ERROR, `Invalid base URL "${baseUrl}" (include http://)`);
+      return;
+    }
+    if (endpoints.length === 0) {
+      setStatus(SOURCE_STATE.ERROR, 'No Euler, quaternion or telemetry path configured');
+      return;
+    }
+
+    connectedAt = Date.now();
+    lastSuccessAt = null;
+    lastError = '';
+    backoff = 0;
+    retryAt = 0;
+    setStatus(SOURCE_STATE.CONNECTING);
+    timer = setInterval(tick, interval);
+    tick();
+  };
+
+  const disconnect = async () => {
+    stop();
+    setStatus(SOURCE_STATE.DISCONNECTED);
+  };
+
+  const getStats = () => ({ ...stats });
+
+  return { type: 'http', on, getStatus, connect, disconnect, getStats };
+}
@@ -0,0 +1,24 @@
+export { SOURCE_STATE } from './createSourceBase';
+export { createHttpSource, DEFAULT_HTTP_CONFIG, isValidBaseUrl } from './httpSource';
+export { createSerialSource, DEFAULT_SERIAL_OPTIONS, SERIAL_BAUD_RATES } from './serialSource';
+export { createWebSocketSource } from './webSocketSource';
+export { createRelaySource } from './relaySource';
+export { createReplaySource } from './replaySource';
+export { createSimulatorSource, DEFAULT_SIMULATOR_CONFIG, isValidSimulatorConfig } from './simulatorSource';
+
+export const SOURCE_TYPES = [
+  { value: 'http', label: 'HTTP (ESP32)', shortLabel: 'HTTP' },
+  { value: 'serial', label: 'Serial Port', shortLabel: 'Serial Port' },
+  { value: 'websocket', label: 'WebSocket', shortLabel: 'WebSocket' },
+  { value: 'relay', label: 'Serial Relay (no Web Serial needed)', shortLabel: 'Serial Relay' },
+  { value: 'replay', label: 'File Replay', shortLabel: 'File Replay' },
+  { value: 'simulator', label: 'Simulator', shortLabel: 'Simulator' },
+];
+
+export const STATUS_DISPLAY = {
+  disconnected: { label: '○ Disconnected', color: '#ff6b6b' },
+  connecting: { label: '◌ Connecting…', color: '#ffc107' },
+  connected: { label: '● Connected', color: '#00d4ff' },
+  stale: { label: '◐ Stale data', color: '#ffc107' },
+  error: { label: '✕ Error', color: '#ff6b6b' },
+};
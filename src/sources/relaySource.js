@@ -0,0 +1,124 @@
+import { createSourceBase, SOURCE_STATE } from './createSourceBase';
+import { createSampleClock } from '../protocol/sampleClock';
+import { timestamp } from '../utils/clock';
+import { debugLog } from '../utils/debugLog';
+
+function decodeBase64(data) {
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// Client for relay/serialRelay.js, which owns the serial port on another machine (or this one,
+// for browsers without Web Serial). The relay decodes frames itself and sends JSON messages;
+// see the relay script for the message types.
+export function createRelaySource({ url }) {
+  const { on, emit, getStatus, setStatus } = createSourceBase();
+  let socket = null;
+  let relayStats = {};
+  const stats = { messages: 0, badMessages: 0 };
+  let clock = createSampleClock();
+
+  const handleRelayMessage = (message) => {
+    if (message === null || typeof message !== 'object'
+      || (message.type === 'samples' && !Array.isArray(message.samples))
+      || (message.type === 'raw' && typeof message.data !== 'string')) {
+      stats.badMessages++;
+      debugLog('Ignoring malformed relay message:', message);
+      return;
+    }
+    if (message.type === 'samples') {
+      // Already validated by the relay's decoder. The relay batches every BATCH_INTERVAL, so the
+      // samples of a batch are spread over the time since the last one rather than sharing its time.
+      const times = clock.stamp(message.samples.length, timestamp());
+      message.samples.forEach((data, i) => emit('sample', data, times[i]));
+    } else if (message.type === 'raw') {
+      emit('raw', decodeBase64(message.data));
+    } else if (message.type === 'status') {
+      // The relay stays reachable while its device is unplugged, just like a reconnecting serial port
+      setStatus(message.open ? SOURCE_STATE.CONNECTED : SOURCE_STATE.CONNECTING, `relay: ${message.message}`);
+    } else if (message.type === 'stats') {
+      relayStats = message.stats;
+    } else if (message.type === 'error') {
+      console.error('Relay error:', message.message);
+    }
+  };
+
+  const handleMessage = (event) => {
+    stats.messages++;
+    let message;
+    try {
+      message = JSON.parse(event.data);
+    } catch (e) {
+      stats.badMessages++;
+      debugLog('Failed to parse relay message:', event.data, e.message);
+      return;
+    }
+    handleRelayMessage(message);
+  };
+
+  const connect = () => new Promise((resolve, reject) => {
+    if (socket) {
+      socket.close();
+    }
+
+    setStatus(SOURCE_STATE.CONNECTING, `Connecting to relay at ${url}`);
+    clock = createSampleClock();
+
+    let ws;
+    try {
+      ws = new WebSocket(url);
+    } catch (error) {
+      setStatus(SOURCE_STATE.ERROR, error.message);
+      reject(error);
+      return;
+    }
+    socket = ws;
+    let opened = false;
+
+    // CONNECTED waits for the relay's status message, which says whether the device is open
+    ws.onopen = () => {
+      opened = true;
+      resolve();
+    };
+    ws.onmessage = handleMessage;
+    ws.onerror = () => {
+      if (socket !== ws) return;
+      setStatus(SOURCE_STATE.ERROR, `Relay error on ${url}`);
+    };
+    ws.onclose = (event) => {
+      if (socket !== ws) return;
+      socket = null;
+      if (!opened) {
+        setStatus(SOURCE_STATE.ERROR, `Could not reach a relay at ${url}`);
+        reject(new Error(`Could not reach a relay at ${url}`));
+      } else {
+        setStatus(SOURCE_STATE.ERROR, event.reason || 'Relay closed the connection');
+      }
+    };
+  });
+
+  const disconnect = async () => {
+    if (socket) {
+      const ws = socket;
+      socket = null;
+      ws.close();
+    }
+    setStatus(SOURCE_STATE.DISCONNECTED);
+  };
+
+  const write = async (text) => {
+    if (!socket || socket.readyState !== WebSocket.OPEN) {
+      throw new Error('Relay is not connected');
+    }
+    socket.send(JSON.stringify({ type: 'command', text }));
+  };
+
+  // Message counters for this connection plus the relay's decoder counters and client count
+  const getStats = () => ({ ...stats, ...relayStats });
+
+  return { type: 'relay', on, getStatus, connect, disconnect, write, getStats };
+}
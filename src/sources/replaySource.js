@@ -0,0 +1,130 @@
+import { createSourceBase, SOURCE_STATE } from './createSourceBase';
+
+const TICK_INTERVAL = 16;
+
+// Plays back recorded session records ({ t, data }, see recording/sessionFile.js) as live samples.
+// Besides the common source events it emits
+//   'playback' -> { position, duration, playing, speed } (position/duration in ms)
+export function createReplaySource({ records, name = 'session' }) {
+  const { on, emit, getStatus, setStatus } = createSourceBase();
+  const startTime = records[0].t;
+  const duration = records[records.length - 1].t - startTime;
+
+  let timer = null;
+  let position = 0;
+  let nextIndex = 0;
+  let speed = 1;
+  let playing = false;
+  let lastTickAt = 0;
+
+  const emitPlayback = () => {
+    emit('playback', { position, duration, playing, speed });
+  };
+
+  // `t` is the receive time to report (see utils/clock.js), when the record is played in time
+  const emitRecord = (record, t) => {
+    emit('sample', record.data, t);
+  };
+
+  // Index of the first record after the given playback position
+  const indexAfter = (pos) => {
+    const target = startTime + pos;
+    let low = 0;
+    let high = records.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (records[mid].t <= target) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  };
+
+  const stopTimer = () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  const tick = () => {
+    const now = performance.now();
+    position = Math.min(duration, position + (now - lastTickAt) * speed);
+    lastTickAt = now;
+
+    // Records due since the last tick keep their recorded spacing, scaled by the playback speed
+    const endIndex = indexAfter(position);
+    for (; nextIndex < endIndex; nextIndex++) {
+      const record = records[nextIndex];
+      emitRecord(record, performance.timeOrigin + now - (position - (record.t - startTime)) / speed);
+    }
+
+    if (position >= duration) {
+      playing = false;
+      stopTimer();
+    }
+    emitPlayback();
+  };
+
+  const play = () => {
+    if (getStatus().state !== SOURCE_STATE.CONNECTED) return;
+    if (position >= duration) {
+      seek(0);
+    }
+    playing = true;
+    lastTickAt = performance.now();
+    stopTimer();
+    timer = setInterval(tick, TICK_INTERVAL);
+    emitPlayback();
+  };
+
+  const pause = () => {
+    playing = false;
+    stopTimer();
+    emitPlayback();
+  };
+
+  const seek = (pos) => {
+    position = Math.max(0, Math.min(duration, pos));
+    nextIndex = indexAfter(position);
+    lastTickAt = performance.now();
+    // Show the pose at the new position right away, even while paused
+    if (nextIndex > 0) {
+      emitRecord(records[nextIndex - 1]);
+    }
+    emitPlayback();
+  };
+
+  const setSpeed = (value) => {
+    speed = value;
+    emitPlayback();
+  };
+
+  const getPlayback = () => ({ position, duration, playing, speed });
+
+  const connect = async () => {
+    setStatus(SOURCE_STATE.CONNECTED, `${name} · ${records.length} samples`);
+    seek(0);
+    play();
+  };
+
+  const disconnect = async () => {
+    pause();
+    setStatus(SOURCE_STATE.DISCONNECTED);
+  };
+
+  return {
+    type: 'replay',
+    on,
+    getStatus,
+    connect,
+    disconnect,
+    play,
+    pause,
+    seek,
+    setSpeed,
+    getPlayback,
+  };
+}
@@ -0,0 +1,290 @@
+import { createSourceBase, SOURCE_STATE } from './createSourceBase';
+import { createFrameDecoder } from '../protocol';
+import { createWorkerDecoder } from '../protocol/workerDecoder';
+import { createSampleClock } from '../protocol/sampleClock';
+import { timestamp } from '../utils/clock';
+import { debugLog } from '../utils/debugLog';
+
+export const SERIAL_BAUD_RATES = [9600, 19200, 38400, 57600, 115200, 230400, 460800, 921600];
+
+// Auto-detect tries the most common rates first
+const DETECT_ORDER = [115200, 9600, 57600, 230400, 38400, 19200, 460800, 921600];
+const DETECT_TIMEOUT = 1500; // ms of listening per rate
+const DETECT_MIN_FRAMES = 3; // valid frames needed before a rate counts as right
+
+export const DEFAULT_SERIAL_OPTIONS = {
+  baudRate: 'auto', // or one of SERIAL_BAUD_RATES
+  dataBits: 8,
+  parity: 'none',
+  stopBits: 1,
+  flowControl: 'none',
+  autoReconnect: true,
+};
+
+// Line errors the Web Serial API reports without closing the port; reading can simply resume
+const RECOVERABLE_READ_ERRORS = new Set(['BreakError', 'FramingError', 'ParityError', 'BufferOverrunError']);
+
+// USB devices come back as a new SerialPort object after a replug, so match on the USB IDs
+function isSameDevice(a, b) {
+  if (a === b) return true;
+  const infoA = a.getInfo();
+  const infoB = b.getInfo();
+  return infoA.usbVendorId !== undefined &&
+    infoA.usbVendorId === infoB.usbVendorId &&
+    infoA.usbProductId === infoB.usbProductId;
+}
+
+function describeOpenError(error) {
+  if (error.message.includes('Failed to open serial port')) {
+    return 'Serial port is in use by another application. Please:\n' +
+           '1. Close any other applications using this port (Arduino IDE, Serial Monitor, etc.)\n' +
+           '2. Try disconnecting and reconnecting your device\n' +
+           '3. Try a different USB port\n' +
+           '4. Check if your device drivers are properly installed';
+  } else if (error.message.includes('Access denied')) {
+    return 'Access denied to serial port. Please:\n' +
+           '1. Make sure no other application is using this port\n' +
+           '2. Try running the browser with administrator privileges\n' +
+           '3. Check your device permissions';
+  }
+  return 'Failed to connect to serial port: ' + error.message;
+}
+
+export function createSerialSource({ port: initialPort, protocol = 'json', options = {} }) {
+  const { on, emit, getStatus, setStatus } = createSourceBase();
+  const settings = { ...DEFAULT_SERIAL_OPTIONS, ...options };
+  let port = initialPort;
+  let reader = null;
+  let portOpened = false;
+  let closing = false;
+  let baudRate = null; // settled rate, reused when the device comes back
+  let lineErrors = 0;
+  let decoder = null; // worker decoder for the open connection
+
+  const openOptions = (rate) => ({
+    baudRate: rate,
+    dataBits: settings.dataBits,
+    parity: settings.parity,
+    stopBits: settings.stopBits,
+    flowControl: settings.flowControl,
+  });
+
+  const emitSamples = (samples, times) => {
+    samples.forEach((sample, i) => emit('sample', sample, times[i]));
+  };
+
+  // Decoding happens in a worker so a fast link never stalls rendering
+  const startDecoder = () => {
+    decoder = createWorkerDecoder(protocol, emitSamples);
+  };
+
+  const processChunk = (value) => {
+    emit('raw', value);
+    decoder.push(value, timestamp());
+  };
+
+  const closePort = async () => {
+    decoder?.terminate();
+    // Take the reader before the first await: disconnect() and a baud probe can both be closing
+    const activeReader = reader;
+    reader = null;
+    if (activeReader) {
+      try {
+        await activeReader.cancel();
+      } catch {
+        // The stream is already gone when the device was unplugged
+      }
+      activeReader.releaseLock();
+    }
+    // Only close ports this source opened, another source may own it now
+    if (portOpened) {
+      portOpened = false;
+      try {
+        await port.close();
+      } catch (error) {
+        debugLog('Error closing serial port:', error.message);
+      }
+    }
+  };
+
+  const handleDeviceLost = async (message) => {
+    await closePort();
+    if (closing) return;
+    if (settings.autoReconnect) {
+      setStatus(SOURCE_STATE.CONNECTING, `${message.replace(/\.$/, '')}, waiting for the device to come back…`);
+    } else {
+      setStatus(SOURCE_STATE.ERROR, message);
+    }
+  };
+
+  const readLoop = async () => {
+    while (reader) {
+      try {
+        const { value, done } = await reader.read();
+        if (done) {
+          debugLog('Serial port reader closed');
+          break;
+        }
+        processChunk(value);
+      } catch (error) {
+        // closePort() has already taken the reader
+        if (!reader) break;
+        if (RECOVERABLE_READ_ERRORS.has(error.name) && port.readable) {
+          // The old stream is finished but the port hands out a fresh one
+          lineErrors++;
+          debugLog('Serial line error:', error.name);
+          reader.releaseLock();
+          reader = port.readable.getReader();
+          continue;
+        }
+        console.error('Error reading from serial port:', error);
+        await handleDeviceLost(error.message);
+        return;
+      }
+    }
+    if (!closing) {
+      await handleDeviceLost('Serial port closed');
+    }
+  };
+
+  // Listens at one rate and keeps the port open only if the decoder finds valid frames
+  const probe = async (rate) => {
+    debugLog(`Listening for frames at ${rate} baud`);
+    await port.open(openOptions(rate));
+    portOpened = true;
+    reader = port.readable.getReader();
+    const probeDecoder = createFrameDecoder(protocol);
+    const probeClock = createSampleClock();
+    const samples = [];
+    const times = [];
+    const deadline = setTimeout(() => reader?.cancel(), DETECT_TIMEOUT);
+    try {
+      while (samples.length < DETECT_MIN_FRAMES) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        const decoded = probeDecoder.push(value);
+        samples.push(...decoded);
+        times.push(...probeClock.stamp(decoded.length, timestamp()));
+      }
+    } catch (error) {
+      debugLog(`Read failed at ${rate} baud:`, error.message);
+    } finally {
+      clearTimeout(deadline);
+    }
+
+    if (samples.length >= DETECT_MIN_FRAMES && !closing) {
+      return { samples, times };
+    }
+    await closePort();
+    return null;
+  };
+
+  const detectBaudRate = async () => {
+    for (const rate of DETECT_ORDER) {
+      if (closing) break;
+      const frames = await probe(rate);
+      if (frames) {
+        debugLog(`Detected ${rate} baud`);
+        return { rate, ...frames };
+      }
+    }
+    throw new Error('No valid frames at any baud rate. Check the protocol and that the device is sending.');
+  };
+
+  const open = async () => {
+    if (baudRate === null && settings.baudRate === 'auto') {
+      const detected = await detectBaudRate();
+      baudRate = detected.rate;
+      emitSamples(detected.samples, detected.times);
+    } else {
+      baudRate = baudRate ?? settings.baudRate;
+      await port.open(openOptions(baudRate));
+      portOpened = true;
+      reader = port.readable.getReader();
+    }
+    startDecoder();
+
+    const detail = settings.baudRate === 'auto' ? `${baudRate} baud, detected` : `${baudRate} baud`;
+    setStatus(SOURCE_STATE.CONNECTED, detail);
+    readLoop();
+  };
+
+  const handleConnectEvent = async (event) => {
+    const candidate = event.target;
+    if (closing || portOpened || !isSameDevice(port, candidate)) return;
+    port = candidate;
+    setStatus(SOURCE_STATE.CONNECTING, 'Device reconnected, reopening…');
+    try {
+      await open();
+    } catch (error) {
+      console.error('Error reopening serial port:', error);
+      setStatus(SOURCE_STATE.ERROR, describeOpenError(error));
+    }
+  };
+
+  const handleDisconnectEvent = (event) => {
+    if (event.target !== port || closing) return;
+    // Reading fails on its own as well; this just reports the unplug promptly
+    if (!settings.autoReconnect) return;
+    setStatus(SOURCE_STATE.CONNECTING, 'Device unplugged, waiting for it to come back…');
+  };
+
+  const connect = async () => {
+    if (port.readable) {
+      throw new Error('Port is already in use. Please disconnect first or try a different port.');
+    }
+
+    closing = false;
+    baudRate = null;
+    lineErrors = 0;
+    setStatus(SOURCE_STATE.CONNECTING, settings.baudRate === 'auto' ? 'Detecting baud rate…' : '');
+
+    try {
+      await open();
+    } catch (error) {
+      await closePort();
+      // Disconnecting while the rate is still being detected is not a failure
+      if (closing) return;
+      console.error('Error connecting to serial port:', error);
+      const message = describeOpenError(error);
+      setStatus(SOURCE_STATE.ERROR, message);
+      throw new Error(message);
+    }
+
+    if (settings.autoReconnect && navigator.serial) {
+      navigator.serial.addEventListener('connect', handleConnectEvent);
+      navigator.serial.addEventListener('disconnect', handleDisconnectEvent);
+    }
+  };
+
+  const disconnect = async () => {
+    closing = true;
+    if (navigator.serial) {
+      navigator.serial.removeEventListener('connect', handleConnectEvent);
+      navigator.serial.removeEventListener('disconnect', handleDisconnectEvent);
+    }
+    try {
+      await closePort();
+    } catch (error) {
+      console.error('Error disconnecting from serial port:', error);
+    }
+    setStatus(SOURCE_STATE.DISCONNECTED);
+  };
+
+  const write = async (text) => {
+    if (!portOpened || !port.writable) {
+      throw new Error('Serial port is not open');
+    }
+    const writer = port.writable.getWriter();
+    try {
+      await writer.write(new TextEncoder().encode(text));
+    } finally {
+      writer.releaseLock();
+    }
+  };
+
+  // Decoder counters (frames, CRC/parse failures, ...) plus line errors for the current connection
+  const getStats = () => ({ ...decoder?.getStats(), lineErrors });
+
+  return { type: 'serial', protocol, on, getStatus, connect, disconnect, write, getStats };
+}
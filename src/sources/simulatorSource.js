@@ -0,0 +1,193 @@
+import { createSourceBase, SOURCE_STATE } from './createSourceBase';
+import { GRAVITY, MOTION_PROFILES, axisAngleQuaternion } from '../simulator/motionProfiles';
+import { createRandom } from '../simulator/random';
+import {
+  conjugateQuaternion,
+  multiplyQuaternions,
+  normalizeQuaternion,
+  quaternionToAxisAngle,
+  rotateVector
+} from '../orientation/quaternion';
+
+export const DEFAULT_SIMULATOR_CONFIG = {
+  profile: 'wobble', // see MOTION_PROFILES
+  rate: 50, // Hz
+  spinRate: { x: 0, y: 0, z: 45 }, // °/s, spin profile
+  wobbleAmplitude: 30, // degrees, wobble profile
+  wobbleFrequency: 0.5, // Hz, wobble profile
+  noise: 1, // multiple of typical MEMS noise, 0 for clean data
+  gyroBias: { x: 0, y: 0, z: 0 }, // °/s added to the gyro readings
+  yawDrift: 0, // °/s the reported orientation drifts in heading
+  dropout: 0, // fraction of samples that are never delivered
+  raw: true, // also send accelerometer, gyroscope and magnetometer readings
+  seed: 1,
+};
+
+// Limits the simulator manager enforces before applying, and that stored profiles must meet
+export function isValidSimulatorConfig(config) {
+  return Object.hasOwn(MOTION_PROFILES, config.profile)
+    && config.rate > 0
+    && config.noise >= 0
+    && config.dropout >= 0 && config.dropout < 1;
+}
+
+const TICK_INTERVAL = 16;
+const MAX_CATCH_UP = 1; // s of samples generated at most per tick, e.g. after the tab was hidden
+const GPS_INTERVAL = 0.2; // s
+
+// One-sigma noise at noise = 1
+const NOISE = {
+  orientation: 0.2, // degrees
+  accel: 0.05, // m/s²
+  gyro: 0.3, // °/s
+  mag: 0.5, // µT
+  altitude: 0.3, // m
+};
+
+// Earth field in the simulator world frame (x north, y west, z up), µT
+const EARTH_FIELD = { x: 20, y: 0, z: -40 };
+const LAUNCH_SITE = { lat: 52.0, lon: 5.0, alt: 10 };
+const METRES_PER_DEGREE = 111320;
+
+// Generates synthetic samples from a motion profile as if a board were streaming them.
+// Every sample carries a "seq" counter, so dropped samples show up in the link diagnostics.
+// The same seed and settings always produce the same stream.
+export function createSimulatorSource(config = DEFAULT_SIMULATOR_CONFIG) {
+  const { on, emit, getStatus, setStatus } = createSourceBase();
+  const period = 1 / config.rate;
+
+  let timer = null;
+  let random = null;
+  let profile = null;
+  let simTime = 0;
+  let startedAt = 0;
+  let seq = 0;
+  let previous = null;
+  let nextGpsAt = 0;
+  let stats = { generated: 0, dropped: 0 };
+
+  const jitter = (sigma) => sigma * config.noise * random.gaussian();
+  const noisyVector = (v, sigma, bias = { x: 0, y: 0, z: 0 }) => ({
+    x: v.x + bias.x + jitter(sigma),
+    y: v.y + bias.y + jitter(sigma),
+    z: v.z + bias.z + jitter(sigma),
+  });
+
+  // Body rates from the change in orientation since the previous step
+  const bodyRates = (from, to) => {
+    const { axis, angle } = quaternionToAxisAngle(multiplyQuaternions(conjugateQuaternion(from), to));
+    const rate = angle / period;
+    return { x: axis.x * rate, y: axis.y * rate, z: axis.z * rate };
+  };
+
+  // What the board's own fusion would report: the true pose, a slow heading drift and a little jitter
+  const reportedOrientation = (quaternion) => {
+    const drift = axisAngleQuaternion({ x: 0, y: 0, z: 1 }, config.yawDrift * simTime);
+    const error = { x: jitter(NOISE.orientation), y: jitter(NOISE.orientation), z: jitter(NOISE.orientation) };
+    const errorAngle = Math.hypot(error.x, error.y, error.z);
+    const reported = multiplyQuaternions(drift, quaternion);
+    return normalizeQuaternion(
+      errorAngle > 0 ? multiplyQuaternions(reported, axisAngleQuaternion(error, errorAngle)) : reported
+    );
+  };
+
+  const generate = () => {
+    const state = profile.step(simTime, period);
+    const toBody = conjugateQuaternion(state.quaternion);
+    const sample = { seq, ...reportedOrientation(state.quaternion) };
+
+    if (config.raw) {
+      const specificForce = { x: state.accel.x, y: state.accel.y, z: state.accel.z + GRAVITY };
+      const accel = noisyVector(rotateVector(toBody, specificForce), NOISE.accel);
+      const gyro = noisyVector(previous ? bodyRates(previous, state.quaternion) : { x: 0, y: 0, z: 0 }, NOISE.gyro, config.gyroBias);
+      const mag = noisyVector(rotateVector(toBody, EARTH_FIELD), NOISE.mag);
+      Object.assign(sample, {
+        ax: accel.x, ay: accel.y, az: accel.z,
+        gx: gyro.x, gy: gyro.y, gz: gyro.z,
+        mx: mag.x, my: mag.y, mz: mag.z,
+        temperature: 25 + jitter(0.1),
+      });
+    }
+
+    if (state.position) {
+      sample.baroAlt = state.position.z + jitter(NOISE.altitude);
+      sample.vspeed = state.velocity.z;
+      // A 1S LiPo that sags under the igniter and motor load
+      sample.vbat = 4.1 - simTime * 0.0005 - (state.phase === 'boost' ? 0.25 : 0);
+
+      if (simTime >= nextGpsAt) {
+        nextGpsAt = simTime + GPS_INTERVAL;
+        const north = state.position.x;
+        const east = -state.position.y;
+        sample.lat = LAUNCH_SITE.lat + north / METRES_PER_DEGREE;
+        sample.lon = LAUNCH_SITE.lon + east / (METRES_PER_DEGREE * Math.cos(LAUNCH_SITE.lat * Math.PI / 180));
+        sample.gpsAlt = LAUNCH_SITE.alt + state.position.z;
+      }
+    }
+
+    previous = state.quaternion;
+    seq += 1;
+    simTime += period;
+    stats.generated += 1;
+
+    if (random.uniform() < config.dropout) {
+      stats.dropped += 1;
+      return;
+    }
+    // Stamped with when the sample was due, not when the timer got round to it (see utils/clock.js)
+    emit('sample', sample, performance.timeOrigin + startedAt + simTime * 1000);
+  };
+
+  const tick = () => {
+    const elapsed = (performance.now() - startedAt) / 1000;
+    // Skip ahead rather than flooding the dashboard after a long pause
+    if (elapsed - simTime > MAX_CATCH_UP) {
+      simTime = elapsed - MAX_CATCH_UP;
+    }
+    while (simTime + period <= elapsed) {
+      generate();
+    }
+  };
+
+  const stopTimer = () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  const connect = async () => {
+    stopTimer();
+    // A period of zero or less would keep tick() generating forever
+    if (!(period > 0) || !isValidSimulatorConfig(config)) {
+      setStatus(SOURCE_STATE.ERROR, 'Invalid simulator settings');
+      return;
+    }
+    random = createRandom(config.seed);
+    profile = MOTION_PROFILES[config.profile].create(config);
+    simTime = 0;
+    seq = 0;
+    previous = null;
+    nextGpsAt = 0;
+    stats = { generated: 0, dropped: 0 };
+    startedAt = performance.now();
+    timer = setInterval(tick, TICK_INTERVAL);
+    setStatus(SOURCE_STATE.CONNECTED, `${MOTION_PROFILES[config.profile].label} · ${config.rate} Hz`);
+  };
+
+  const disconnect = async () => {
+    stopTimer();
+    setStatus(SOURCE_STATE.DISCONNECTED);
+  };
+
+  const getStats = () => ({ ...stats });
+
+  return {
+    type: 'simulator',
+    on,
+    getStatus,
+    connect,
+    disconnect,
+    getStats,
+  };
+}
@@ -0,0 +1,110 @@
+export const RAW_VECTORS = {
+  accel: ['ax', 'ay', 'az'],
+  gyro: ['gx', 'gy', 'gz'],
+  mag: ['mx', 'my', 'mz'],
+};
+
+export function isEulerData(data) {
+  return data.roll !== undefined && data.pitch !== undefined && data.yaw !== undefined;
+}
+
+export function isQuaternionData(data) {
+  return data.w !== undefined && data.x !== undefined && data.y !== undefined && data.z !== undefined;
+}
+
+export function isOrientationData(data) {
+  return data !== null && typeof data === 'object' && (isEulerData(data) || isQuaternionData(data));
+}
+
+function hasVector(data, keys) {
+  return keys.every((key) => typeof data[key] === 'number');
+}
+
+export function isRawImuData(data) {
+  return data !== null && typeof data === 'object' && (
+    Object.values(RAW_VECTORS).some((keys) => hasVector(data, keys)) ||
+    typeof data.temperature === 'number'
+  );
+}
+
+// Optional flight-computer readings and the JSON keys accepted for each, first match wins
+export const FLIGHT_FIELDS = {
+  altitude: ['baroAlt', 'altitude'],
+  verticalSpeed: ['vspeed', 'verticalSpeed'],
+  accelMagnitude: ['accelMag'],
+  battery: ['vbat', 'battery'],
+};
+
+const GPS_FIELDS = {
+  lat: ['lat'],
+  lon: ['lon', 'lng'],
+  alt: ['gpsAlt'],
+};
+
+function firstNumber(data, keys) {
+  const key = keys.find((candidate) => typeof data[candidate] === 'number');
+  return key === undefined ? undefined : data[key];
+}
+
+function hasGpsFix(data) {
+  return firstNumber(data, GPS_FIELDS.lat) !== undefined && firstNumber(data, GPS_FIELDS.lon) !== undefined;
+}
+
+export function isFlightData(data) {
+  return data !== null && typeof data === 'object' && (
+    Object.values(FLIGHT_FIELDS).some((keys) => firstNumber(data, keys) !== undefined) ||
+    hasGpsFix(data)
+  );
+}
+
+export function isTelemetryData(data) {
+  return isOrientationData(data) || isRawImuData(data) || isFlightData(data);
+}
+
+// 'euler', 'quaternion', 'raw' or 'flight', by the first group of fields present; null for anything else
+export function sampleKind(data) {
+  if (data === null || typeof data !== 'object') return null;
+  if (isEulerData(data)) return 'euler';
+  if (isQuaternionData(data)) return 'quaternion';
+  if (isRawImuData(data)) return 'raw';
+  if (isFlightData(data)) return 'flight';
+  return null;
+}
+
+// Pulls the raw sensor readings out of a sample, e.g.
+// { ax, ay, az, gx, gy, gz, temperature } -> { accel: { x, y, z }, gyro: { x, y, z }, temperature }
+export function extractRawImu(data) {
+  const raw = {};
+  Object.entries(RAW_VECTORS).forEach(([name, [kx, ky, kz]]) => {
+    if (hasVector(data, [kx, ky, kz])) {
+      raw[name] = { x: data[kx], y: data[ky], z: data[kz] };
+    }
+  });
+  if (typeof data.temperature === 'number') {
+    raw.temperature = data.temperature;
+  }
+  return raw;
+}
+
+// Pulls the flight readings out of a sample, e.g.
+// { baroAlt, vbat, lat, lon, gpsAlt } -> { altitude, battery, gps: { lat, lon, alt } }
+// The acceleration magnitude is worked out from the accelerometer when the firmware doesn't send it.
+export function extractFlightData(data) {
+  const flight = {};
+  Object.entries(FLIGHT_FIELDS).forEach(([name, keys]) => {
+    const value = firstNumber(data, keys);
+    if (value !== undefined) flight[name] = value;
+  });
+  if (flight.accelMagnitude === undefined && hasVector(data, RAW_VECTORS.accel)) {
+    const [kx, ky, kz] = RAW_VECTORS.accel;
+    flight.accelMagnitude = Math.hypot(data[kx], data[ky], data[kz]);
+  }
+  if (hasGpsFix(data)) {
+    flight.gps = {
+      lat: firstNumber(data, GPS_FIELDS.lat),
+      lon: firstNumber(data, GPS_FIELDS.lon),
+      alt: firstNumber(data, GPS_FIELDS.alt) ?? 0,
+    };
+  }
+  return flight;
+}
@@ -0,0 +1,96 @@
+import { createSourceBase, SOURCE_STATE } from './createSourceBase';
+import { isTelemetryData } from './telemetry';
+import { debugLog } from '../utils/debugLog';
+
+export function createWebSocketSource({ url }) {
+  const { on, emit, getStatus, setStatus } = createSourceBase();
+  let socket = null;
+  const stats = { messages: 0, parseErrors: 0, rejected: 0 };
+
+  const handleMessage = (event) => {
+    if (typeof event.data !== 'string') return;
+    emit('raw', event.data);
+    stats.messages++;
+
+    let payload;
+    try {
+      payload = JSON.parse(event.data);
+    } catch (e) {
+      stats.parseErrors++;
+      debugLog('Failed to parse WebSocket frame:', event.data);
+      debugLog('Parse error:', e.message);
+      return;
+    }
+
+    // Firmware may batch several samples into one frame
+    const frames = Array.isArray(payload) ? payload : [payload];
+    frames.forEach((data) => {
+      if (isTelemetryData(data)) {
+        emit('sample', data);
+      } else {
+        stats.rejected++;
+        debugLog('WebSocket frame missing orientation or raw sensor fields:', data);
+      }
+    });
+  };
+
+  const connect = () => new Promise((resolve, reject) => {
+    if (socket) {
+      socket.close();
+    }
+
+    setStatus(SOURCE_STATE.CONNECTING);
+
+    let ws;
+    try {
+      ws = new WebSocket(url);
+    } catch (error) {
+      setStatus(SOURCE_STATE.ERROR, error.message);
+      reject(error);
+      return;
+    }
+    socket = ws;
+    let opened = false;
+
+    ws.onopen = () => {
+      opened = true;
+      setStatus(SOURCE_STATE.CONNECTED);
+      resolve();
+    };
+    ws.onmessage = handleMessage;
+    ws.onerror = () => {
+      if (socket !== ws) return;
+      setStatus(SOURCE_STATE.ERROR, `WebSocket error on ${url}`);
+    };
+    ws.onclose = (event) => {
+      if (socket !== ws) return;
+      socket = null;
+      if (!opened) {
+        setStatus(SOURCE_STATE.ERROR, `Could not connect to ${url}`);
+        reject(new Error(`Could not connect to ${url}`));
+      } else {
+        setStatus(SOURCE_STATE.DISCONNECTED, event.reason || '');
+      }
+    };
+  });
+
+  const disconnect = async () => {
+    if (socket) {
+      const ws = socket;
+      socket = null;
+      ws.close();
+    }
+    setStatus(SOURCE_STATE.DISCONNECTED);
+  };
+
+  const write = async (text) => {
+    if (!socket || socket.readyState !== WebSocket.OPEN) {
+      throw new Error('WebSocket is not connected');
+    }
+    socket.send(text);
+  };
+
+  const getStats = () => ({ ...stats });
+
+  return { type: 'websocket', on, getStatus, connect, disconnect, write, getStats };
+}
@@ -0,0 +1,82 @@
+// Shared inline style objects for the dashboard panels
+
+export const panelStyle = {
+  background: 'linear-gradient(135deg, rgba(30, 30, 40, 0.8) 0%, rgba(20, 20, 30, 0.9) 100%)',
+  border: '1px solid rgba(0, 212, 255, 0.2)',
+  padding: '24px',
+  borderRadius: '16px',
+  marginBottom: '24px',
+  backdropFilter: 'blur(10px)',
+  boxShadow: '0 8px 32px rgba(0, 0, 0, 0.3)'
+};
+
+export const panelTitleStyle = {
+  margin: '0 0 20px 0',
+  color: '#00d4ff',
+  fontSize: '20px',
+  fontWeight: '600',
+  textShadow: '0 0 10px rgba(0, 212, 255, 0.5)'
+};
+
+export const labelStyle = {
+  marginRight: '12px',
+  color: '#e0e0e0',
+  fontWeight: '500'
+};
+
+export const inputStyle = {
+  marginRight: '12px',
+  padding: '8px 12px',
+  backgroundColor: 'rgba(20, 20, 30, 0.8)',
+  border: '1px solid rgba(0, 212, 255, 0.3)',
+  borderRadius: '8px',
+  color: '#e0e0e0',
+  fontSize: '14px'
+};
+
+export const smallButtonStyle = (color = '#00d4ff') => ({
+  marginRight: '12px',
+  padding: '8px 16px',
+  backgroundColor: `${color}33`,
+  border: `1px solid ${color}66`,
+  borderRadius: '8px',
+  color,
+  cursor: 'pointer',
+  fontSize: '14px',
+  transition: 'all 0.3s ease'
+});
+
+export const primaryButtonStyle = (enabled = true) => ({
+  background: enabled ? 'linear-gradient(135deg, #00d4ff 0%, #0099cc 100%)' : 'rgba(60, 60, 60, 0.5)',
+  color: 'white',
+  padding: '12px 24px',
+  border: 'none',
+  borderRadius: '8px',
+  cursor: enabled ? 'pointer' : 'not-allowed',
+  opacity: enabled ? 1 : 0.6,
+  fontSize: '16px',
+  fontWeight: '600',
+  transition: 'all 0.3s ease',
+  boxShadow: enabled ? '0 4px 15px rgba(0, 212, 255, 0.4)' : 'none'
+});
+
+export const dangerButtonStyle = {
+  background: 'linear-gradient(135deg, #ff6b6b 0%, #ee5a52 100%)',
+  color: 'white',
+  padding: '12px 24px',
+  border: 'none',
+  borderRadius: '8px',
+  cursor: 'pointer',
+  fontSize: '16px',
+  fontWeight: '600',
+  transition: 'all 0.3s ease',
+  boxShadow: '0 4px 15px rgba(255, 107, 107, 0.4)'
+};
+
+export const statusTextStyle = (color) => ({
+  marginLeft: '16px',
+  color,
+  fontSize: '16px',
+  fontWeight: '500',
+  textShadow: `0 0 10px ${color}80`
+});
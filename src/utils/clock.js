@@ -0,0 +1,5 @@
+// Wall-clock time in ms on the same scale as Date.now(), but with sub-millisecond resolution.
+// Used to stamp samples as they arrive, so close-together samples still get distinct times.
+export function timestamp() {
+  return performance.timeOrigin + performance.now();
+}
@@ -0,0 +1,26 @@
+import { loadJson, saveJson } from './storage.js';
+
+// Per-frame chatter from the decoders only reaches the console when debug logging is on;
+// at hundreds of samples a second it otherwise drowns out everything else.
+let enabled = loadJson('debugLogging', false);
+const listeners = new Set();
+
+export function isDebugLogging() {
+  return enabled;
+}
+
+export function setDebugLogging(value) {
+  enabled = value;
+  saveJson('debugLogging', value);
+  listeners.forEach((listener) => listener(value));
+}
+
+// For code that logs somewhere else, like the decoder worker; returns an unsubscribe function
+export function onDebugLoggingChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function debugLog(...args) {
+  if (enabled) console.log(...args);
+}
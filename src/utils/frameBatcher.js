@@ -0,0 +1,32 @@
+// Collects items and hands them over in one batch per animation frame,
+// so a 1 kHz stream costs one React update per frame instead of one per sample.
+
+// Hidden tabs get no animation frames; past this many items the batch goes out anyway
+const MAX_PENDING = 1000;
+
+export function createFrameBatcher(onBatch) {
+  let pending = [];
+  let frame = null;
+
+  const flush = () => {
+    if (frame !== null) {
+      cancelAnimationFrame(frame);
+      frame = null;
+    }
+    if (pending.length === 0) return;
+    const batch = pending;
+    pending = [];
+    onBatch(batch);
+  };
+
+  const push = (item) => {
+    pending.push(item);
+    if (pending.length >= MAX_PENDING) {
+      flush();
+    } else if (frame === null) {
+      frame = requestAnimationFrame(flush);
+    }
+  };
+
+  return { push, flush };
+}
@@ -0,0 +1,24 @@
+const PREFIX = 'imu-dashboard.';
+
+// Web Workers have no localStorage; code shared with them just gets the fallback
+const hasStorage = typeof localStorage !== 'undefined';
+
+export function loadJson(key, fallback) {
+  if (!hasStorage) return fallback;
+  try {
+    const stored = localStorage.getItem(PREFIX + key);
+    return stored === null ? fallback : JSON.parse(stored);
+  } catch (error) {
+    console.error(`Error reading '${key}' from localStorage:`, error);
+    return fallback;
+  }
+}
+
+export function saveJson(key, value) {
+  if (!hasStorage) return;
+  try {
+    localStorage.setItem(PREFIX + key, JSON.stringify(value));
+  } catch (error) {
+    console.error(`Error writing '${key}' to localStorage:`, error);
+  }
+}
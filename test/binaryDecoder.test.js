@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createFrameDecoder } from '../src/protocol/index.js';
+
+const expected = JSON.parse(readFileSync(new URL('./fixtures/binary-capture.expected.json', import.meta.url), 'utf8'));
+
+// Float32 payloads, so compare with a little slack
+function assertSamplesClose(actual, wanted, message) {
+  assert.equal(actual.length, wanted.length, message);
+  actual.forEach((sample, index) => {
+    assert.deepEqual(Object.keys(sample), Object.keys(wanted[index]), message);
+    Object.entries(wanted[index]).forEach(([key, value]) => {
+      assert.ok(Math.abs(sample[key] - value) < 1e-6, `${message}: sample ${index} ${key} = ${sample[key]}`);
+    });
+  });
+}
+
+for (const framing of ['cobs', 'slip']) {
+  const capture = readFileSync(new URL(`./fixtures/${framing}-capture.bin`, import.meta.url));
+
+  test(`${framing}: decodes a recorded capture in one chunk`, () => {
+    const decoder = createFrameDecoder(framing);
+    assertSamplesClose(decoder.push(capture), expected.samples, framing);
+    assert.deepEqual(decoder.getStats(), expected.stats[framing]);
+  });
+
+  test(`${framing}: gives the same result however the capture is split`, () => {
+    for (const chunkSize of [1, 2, 5, 17, 64]) {
+      const decoder = createFrameDecoder(framing);
+      const samples = [];
+      for (let i = 0; i < capture.length; i += chunkSize) {
+        samples.push(...decoder.push(capture.subarray(i, i + chunkSize)));
+      }
+      assertSamplesClose(samples, expected.samples, `${framing}, chunk size ${chunkSize}`);
+      assert.deepEqual(decoder.getStats(), expected.stats[framing]);
+    }
+  });
+
+  test(`${framing}: resynchronises after an oversized frame`, () => {
+    const decoder = createFrameDecoder(framing);
+    const noise = new Uint8Array(2000).fill(0x55);
+    assert.deepEqual(decoder.push(noise), []);
+    assertSamplesClose(decoder.push(capture), expected.samples, framing);
+    assert.ok(decoder.getStats().framingErrors + decoder.getStats().crcErrors > 0);
+  });
+}
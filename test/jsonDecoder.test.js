@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createJsonDecoder, sampleKind } from '../src/protocol/index.js';
+
+const capture = readFileSync(new URL('./fixtures/json-capture.txt', import.meta.url));
+const expected = JSON.parse(readFileSync(new URL('./fixtures/json-capture.expected.json', import.meta.url), 'utf8'));
+const encode = (text) => new TextEncoder().encode(text);
+
+function decodeInChunks(bytes, chunkSize, decoder = createJsonDecoder()) {
+  const samples = [];
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    samples.push(...decoder.push(bytes.subarray(i, i + chunkSize)));
+  }
+  return { samples, stats: decoder.getStats() };
+}
+
+test('decodes a recorded capture in one chunk', () => {
+  const decoder = createJsonDecoder();
+  const samples = decoder.push(capture);
+  assert.deepEqual(samples, expected.samples);
+  assert.deepEqual(samples.map(sampleKind), expected.kinds);
+  assert.deepEqual(decoder.getStats(), expected.stats);
+});
+
+test('gives the same result however the capture is split', () => {
+  for (const chunkSize of [1, 2, 3, 7, 16, 63, 64, 100, 511]) {
+    const { samples, stats } = decodeInChunks(capture, chunkSize);
+    assert.deepEqual(samples, expected.samples, `chunk size ${chunkSize}`);
+    assert.deepEqual(stats, expected.stats, `chunk size ${chunkSize}`);
+  }
+});
+
+test('keeps a multi-byte character split across chunks intact', () => {
+  const bytes = encode('{"roll":1,"pitch":2,"yaw":3,"unit":"°"}');
+  const split = bytes.indexOf(0xb0); // second byte of "°"
+  const decoder = createJsonDecoder();
+  assert.deepEqual(decoder.push(bytes.subarray(0, split)), []);
+  assert.deepEqual(decoder.push(bytes.subarray(split)), [{ roll: 1, pitch: 2, yaw: 3, unit: '°' }]);
+});
+
+test('skips garbage and stray closing braces between frames', () => {
+  const decoder = createJsonDecoder();
+  const samples = decoder.push('}}noise]{"w":1,"x":0,"y":0,"z":0}\r\n\u0000ÿ}{"roll":0,"pitch":0,"yaw":0}tail');
+  assert.deepEqual(samples.map(sampleKind), ['quaternion', 'euler']);
+  assert.equal(decoder.getStats().parseErrors, 0);
+});
+
+test('handles nested objects and braces inside strings', () => {
+  const decoder = createJsonDecoder();
+  const frame = '{"w":1,"x":0,"y":0,"z":0,"meta":{"a":{"b":"}}{{"}},"s":"\\"}\\\\"}';
+  assert.deepEqual(decoder.push(frame), [JSON.parse(frame)]);
+});
+
+test('decodes every frame of an oversized chunk', () => {
+  const frames = Array.from({ length: 5000 }, (_, seq) => `{"w":1,"x":0,"y":0,"z":0,"seq":${seq}}`);
+  const decoder = createJsonDecoder();
+  const samples = decoder.push(encode(frames.join('\n')));
+  assert.equal(samples.length, 5000);
+  assert.equal(samples[4999].seq, 4999);
+  assert.equal(decoder.getStats().overflows, 0);
+});
+
+test('recovers from an object that never closes', () => {
+  const decoder = createJsonDecoder({ maxFrameLength: 256 });
+  const frames = Array.from({ length: 20 }, (_, seq) => `{"roll":0,"pitch":0,"yaw":0,"seq":${seq}}`);
+  const { samples } = decodeInChunks(encode(`{"truncated":${frames.join('\n')}`), 10, decoder);
+  // Frames swallowed by the open object before it overflowed are lost, the rest come through in order
+  assert.ok(samples.length >= 10, `only ${samples.length} frames recovered`);
+  assert.equal(samples[samples.length - 1].seq, 19);
+  assert.equal(decoder.getStats().overflows, 1);
+});
+
+test('drops an oversized object without holding on to it', () => {
+  const decoder = createJsonDecoder({ maxFrameLength: 1024 });
+  assert.deepEqual(decoder.push(`{"blob":"${'x'.repeat(5000)}"}`), []);
+  assert.deepEqual(decoder.push('{"roll":1,"pitch":2,"yaw":3}'), [{ roll: 1, pitch: 2, yaw: 3 }]);
+  assert.equal(decoder.getStats().overflows, 1);
+});
@@ -0,0 +1,17 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSampleClock } from '../src/protocol/sampleClock.js';
+
+test('spreads the samples of a chunk over the time since the previous chunk', () => {
+  const clock = createSampleClock();
+  assert.deepEqual(clock.stamp(1, 1000), [1000]);
+  assert.deepEqual(clock.stamp(4, 1016), [1004, 1008, 1012, 1016]);
+  assert.deepEqual(clock.stamp(0, 1020), []);
+  assert.deepEqual(clock.stamp(2, 1030), [1025, 1030]);
+});
+
+test('does not spread samples back over a long silence', () => {
+  const clock = createSampleClock();
+  clock.stamp(1, 0);
+  assert.deepEqual(clock.stamp(2, 5000), [4950, 5000]);
+});
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { connect } from 'node:net';
+import { once } from 'node:events';
+import { attachWebSocketServer, decodeFrames, encodeFrame, MAX_MESSAGE_LENGTH } from '../relay/webSocketServer.js';
+
+const MASK = Buffer.from([0x12, 0x34, 0x56, 0x78]);
+
+// A frame as a browser sends it: masked, with the shortest length encoding that fits
+function clientFrame(opcode, payload, { fin = true, length = payload.length } = {}) {
+  let header;
+  if (length < 126) {
+    header = Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt16BE(length, 2);
+    header[1] = 0x80 | 126;
+  } else {
+    header = Buffer.alloc(10);
+    header.writeBigUInt64BE(BigInt(length), 2);
+    header[1] = 0x80 | 127;
+  }
+  header[0] = (fin ? 0x80 : 0) | opcode;
+  const masked = Buffer.from(payload);
+  for (let i = 0; i < masked.length; i++) masked[i] ^= MASK[i % 4];
+  return Buffer.concat([header, MASK, masked]);
+}
+
+test('unmasks frames and keeps an incomplete one for the next chunk', () => {
+  const first = clientFrame(0x1, Buffer.from('hello'));
+  const second = clientFrame(0x1, Buffer.from('world'));
+  const { frames, rest } = decodeFrames(Buffer.concat([first, second.subarray(0, 4)]));
+  assert.deepEqual(frames.map(({ fin, opcode, payload }) => [fin, opcode, payload.toString()]), [[true, 0x1, 'hello']]);
+  assert.deepEqual(rest, second.subarray(0, 4));
+  assert.equal(decodeFrames(Buffer.concat([rest, second.subarray(4)])).frames[0].payload.toString(), 'world');
+});
+
+test('reads 16-bit and 64-bit payload lengths', () => {
+  const medium = Buffer.alloc(300, 'a');
+  const large = Buffer.alloc(MAX_MESSAGE_LENGTH, 'b');
+  const { frames, rest } = decodeFrames(Buffer.concat([clientFrame(0x1, medium), clientFrame(0x2, large)]));
+  assert.deepEqual(frames.map((frame) => frame.payload), [medium, large]);
+  assert.equal(rest.length, 0);
+});
+
+test('rejects unmasked frames and flags oversized ones', () => {
+  assert.equal(decodeFrames(encodeFrame(0x1, Buffer.from('hi'))), null);
+  const header = clientFrame(0x1, Buffer.alloc(0), { length: MAX_MESSAGE_LENGTH + 1 });
+  assert.deepEqual(decodeFrames(header), { tooBig: true });
+});
+
+test('encodes each payload length with the shortest header', () => {
+  for (const [length, headerLength] of [[0, 2], [125, 2], [126, 4], [65535, 4], [65536, 10]]) {
+    const frame = encodeFrame(0x1, Buffer.alloc(length));
+    assert.equal(frame.length, headerLength + length, `length ${length}`);
+    assert.equal(frame[0], 0x81);
+    assert.equal(frame[1] & 0x80, 0, 'server frames are not masked');
+  }
+  assert.equal(encodeFrame(0x1, Buffer.alloc(300)).readUInt16BE(2), 300);
+  assert.equal(encodeFrame(0x1, Buffer.alloc(65536)).readBigUInt64BE(2), 65536n);
+});
+
+// Opens a raw WebSocket connection to a fresh server; resolves with the socket, the messages the
+// server's client received, and a promise of everything the server sent after the handshake
+async function openConnection(t) {
+  const server = createServer();
+  const messages = [];
+  attachWebSocketServer(server, (client) => client.onMessage((message) => messages.push(message)));
+  server.listen(0);
+  await once(server, 'listening');
+  t.after(() => server.close());
+
+  const socket = connect(server.address().port);
+  await once(socket, 'connect');
+  socket.write(
+    'GET / HTTP/1.1\r\nHost: localhost\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+    'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\nSec-WebSocket-Version: 13\r\n\r\n'
+  );
+  // Like a browser, send nothing until the handshake response is in
+  const [response] = await once(socket, 'data');
+  const handshakeEnd = response.indexOf('\r\n\r\n') + 4;
+  assert.match(response.subarray(0, handshakeEnd).toString(), /^HTTP\/1\.1 101 /);
+  const chunks = [response.subarray(handshakeEnd)];
+  socket.on('data', (chunk) => chunks.push(chunk));
+  const received = once(socket, 'close').then(() => Buffer.concat(chunks));
+  return { socket, messages, received };
+}
+
+const closeFrame = (code) => encodeFrame(0x8, Buffer.from([code >> 8, code & 0xff]));
+
+test('joins fragmented messages', async (t) => {
+  const { socket, messages, received } = await openConnection(t);
+  socket.write(Buffer.concat([
+    clientFrame(0x1, Buffer.from('hel'), { fin: false }),
+    clientFrame(0x9, Buffer.from('ping')),
+    clientFrame(0x0, Buffer.from('lo')),
+    clientFrame(0x8, Buffer.alloc(0)),
+  ]));
+  const sent = await received;
+  assert.deepEqual(messages, ['hello']);
+  assert.deepEqual(sent, Buffer.concat([encodeFrame(0xa, Buffer.from('ping')), closeFrame(1000)]));
+});
+
+test('closes with 1009 when a single frame is too big', async (t) => {
+  const { socket, messages, received } = await openConnection(t);
+  socket.write(clientFrame(0x1, Buffer.alloc(MAX_MESSAGE_LENGTH + 1)));
+  assert.deepEqual(await received, closeFrame(1009));
+  assert.deepEqual(messages, []);
+});
+
+test('closes with 1009 when fragments add up to too much', async (t) => {
+  const { socket, received } = await openConnection(t);
+  const half = Buffer.alloc(MAX_MESSAGE_LENGTH / 2 + 1);
+  socket.write(Buffer.concat([clientFrame(0x1, half, { fin: false }), clientFrame(0x0, half)]));
+  assert.deepEqual(await received, closeFrame(1009));
+});
+
+test('closes with 1002 on an unmasked frame', async (t) => {
+  const { socket, received } = await openConnection(t);
+  socket.write(encodeFrame(0x1, Buffer.from('hi')));
+  assert.deepEqual(await received, closeFrame(1002));
+});